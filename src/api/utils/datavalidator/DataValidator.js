@@ -3,11 +3,21 @@
  * @module api/utils/datavalidator/DataValidator
  */
 
-import { getNestedValue, applyDefaults } from '../../../utils/SafeAccess.js';
+import { toJsonPointer } from '../../../utils/SafeAccess.js';
 import { validatePart } from './validators/part.js';
 import { validateCelestialBody } from './validators/celestialBody.js';
 import { validateResource } from './validators/resource.js';
+import { validateTech } from './validators/tech.js';
+import { validateDataset, COLLECTION_TYPES } from './validators/dataset.js';
+import { validateMany } from './validators/bulk.js';
 import { formatError } from './formatters.js';
+import { applyEntityDefaults } from './defaults.js';
+import { collectFixes, applyFixes, changesToPatch, MAX_FIX_PASSES } from './fixes.js';
+import { msg, DEFAULT_LOCALE, resolveLocale, getAvailableLocales, localizeFinding, localizeResult } from './messages/index.js';
+import { ValidationCache } from './cache.js';
+import { PartValidatorRegistry, VALIDATOR_TARGETS } from './registry.js';
+import { DEFAULT_PROFILE, registerProfile as registerRuleProfile, getProfile, applyRuleProfile } from './profiles.js';
+import { validateTankWetMass } from './helpers/relationValidators.js';
 import { VALIDATION_TYPES, ERROR_CODES, ERROR_TYPES } from './constants.js';
 
 /**
@@ -24,26 +34,33 @@ class DataValidator {
       tech: {}
     };
     
-    // Cache de validation pour optimiser les performances
-    this.validationCache = new Map();
+    // Validateurs spécifiques aux pièces, par catégorie ou par module
+    this.partValidators = new PartValidatorRegistry();
+    
+    // Cache de validation LRU, indexé par le contenu des entités et les options
+    this.validationCache = new ValidationCache();
     
     // Options par défaut
     this.defaultOptions = {
       enableCache: true,          // Utiliser le cache de validation
       validateReferences: true,   // Vérifier les références entre entités
-      strictMode: false,          // Mode strict (toutes les erreurs sont critiques)
+      strictMode: false,          // Mode strict (les avertissements deviennent des erreurs)
+      profile: DEFAULT_PROFILE,   // Profil de validation (nom enregistré ou profil, voir profiles.js)
       autoFix: false,             // Correction automatique des problèmes simples
       maxErrors: 100,             // Nombre maximum d'erreurs à collecter
       includeWarnings: true,      // Inclure les avertissements
-      includeInfo: true           // Inclure les informations
+      includeInfo: true,          // Inclure les informations
+      locale: DEFAULT_LOCALE      // Langue des messages (voir getAvailableLocales)
     };
   }
   
   /**
    * Ajoute une règle de validation personnalisée
+   * Ses constats sont identifiés par "custom.<ruleName>" dans les profils de validation.
    * @param {string} entityType - Type d'entité (part, celestial_body, resource, tech)
    * @param {string} ruleName - Nom de la règle
-   * @param {Function} validator - Fonction de validation qui prend l'entité et retourne {valid, message, code, type}
+   * @param {Function} validator - Fonction de validation qui prend l'entité et retourne {valid, message, code, type},
+   *   éventuellement accompagnés d'une correction (fix, voir createFix) appliquée par autoFix
    */
   addCustomValidationRule(entityType, ruleName, validator) {
     if (!this.customRules[entityType]) {
@@ -59,8 +76,8 @@ class DataValidator {
     this.customRules[entityType][ruleName] = validator;
     console.info(`Règle de validation "${ruleName}" ajoutée pour le type ${entityType}`);
     
-    // Vider le cache car les règles ont changé
-    this.clearCache();
+    // Invalider le cache car les règles ont changé
+    this.validationCache.bumpRulesVersion();
   }
   
   /**
@@ -77,8 +94,85 @@ class DataValidator {
     delete this.customRules[entityType][ruleName];
     console.info(`Règle de validation "${ruleName}" supprimée pour le type ${entityType}`);
     
-    // Vider le cache car les règles ont changé
-    this.clearCache();
+    // Invalider le cache car les règles ont changé
+    this.validationCache.bumpRulesVersion();
+  }
+  
+  /**
+   * Ajoute un validateur spécifique à une catégorie de pièces
+   * Il s'applique aussi aux catégories qui en héritent (voir setCategoryParent).
+   * @param {string} category - Catégorie (ex: "engines")
+   * @param {string} name - Nom du validateur (remplace le validateur de même nom)
+   * @param {Function} validator - (part, errors, warnings, infos) => void, remplissant les tableaux
+   *   avec des constats produits par formatError
+   */
+  addCategoryValidator(category, name, validator) {
+    this._addPartValidator(VALIDATOR_TARGETS.CATEGORY, category, name, validator);
+  }
+  
+  /**
+   * Supprime un validateur spécifique à une catégorie (validateurs intégrés compris)
+   * @param {string} category - Catégorie
+   * @param {string} name - Nom du validateur
+   */
+  removeCategoryValidator(category, name) {
+    this._removePartValidator(VALIDATOR_TARGETS.CATEGORY, category, name);
+  }
+  
+  /**
+   * Ajoute un validateur pour les pièces portant un module, quelle que soit leur catégorie
+   * @param {string} moduleName - Nom du module (ex: "ModuleEngines")
+   * @param {string} name - Nom du validateur (remplace le validateur de même nom)
+   * @param {Function} validator - (part, errors, warnings, infos) => void
+   */
+  addModuleValidator(moduleName, name, validator) {
+    this._addPartValidator(VALIDATOR_TARGETS.MODULE, moduleName, name, validator);
+  }
+  
+  /**
+   * Supprime un validateur de module
+   * @param {string} moduleName - Nom du module
+   * @param {string} name - Nom du validateur
+   */
+  removeModuleValidator(moduleName, name) {
+    this._removePartValidator(VALIDATOR_TARGETS.MODULE, moduleName, name);
+  }
+  
+  /**
+   * Fait hériter une catégorie des validateurs d'une autre
+   * @param {string} category - Catégorie (ex: "solid_boosters")
+   * @param {string|null} parent - Catégorie parente (ex: "engines"), null pour supprimer l'héritage
+   */
+  setCategoryParent(category, parent) {
+    if (!this.partValidators.setParent(category, parent)) {
+      console.warn(`Héritage circulaire: ${parent} hérite déjà de ${category}. L'héritage ne sera pas défini.`);
+      return;
+    }
+    
+    this.validationCache.bumpRulesVersion();
+  }
+  
+  /**
+   * Liste les validateurs spécifiques qui s'appliquent à une pièce
+   * @param {Object} part - Pièce
+   * @returns {Array<Object>} - Validateurs {name, target, key} dans l'ordre d'exécution,
+   *   où target vaut "category" ou "module" et key la catégorie ou le module concerné
+   */
+  getPartValidators(part) {
+    return this.partValidators.resolve(part).map(({ name, target, key }) => ({ name, target, key }));
+  }
+  
+  /**
+   * Enregistre un profil de validation, sélectionnable par son nom (option profile)
+   * Le profil est partagé par toutes les instances de DataValidator.
+   * @param {string} name - Nom du profil
+   * @param {Object} profile - Profil {extends, strict, disabled, severities} (voir profiles.js)
+   * @throws {Error} - Si le profil est invalide
+   */
+  registerProfile(name, profile) {
+    // Les profils sont partagés : l'enregistrement change la version des profils,
+    // qui invalide les résultats en cache de toutes les instances (voir ValidationCache)
+    registerRuleProfile(name, profile);
   }
   
   /**
@@ -89,6 +183,52 @@ class DataValidator {
     console.info('Cache de validation vidé');
   }
   
+  /**
+   * Modifie le nombre maximum de résultats conservés dans le cache
+   * @param {number} maxSize - Nombre maximum d'entrées (0 désactive le stockage)
+   */
+  setCacheSize(maxSize) {
+    this.validationCache.resize(maxSize);
+  }
+  
+  /**
+   * Retourne les statistiques du cache de validation
+   * @returns {Object} - {hits, misses, evictions, hitRate, size, maxSize, rulesVersion}
+   */
+  getCacheStats() {
+    return this.validationCache.getStats();
+  }
+  
+  /**
+   * Définit la langue par défaut des messages de validation
+   * @param {string} locale - Code de langue (ex: "en", "fr-CA")
+   * @returns {string} - Langue effectivement utilisée
+   */
+  setLocale(locale) {
+    const resolved = resolveLocale(locale);
+    
+    if (resolved !== locale) {
+      console.warn(`Langue "${locale}" non disponible, utilisation de "${resolved}". Langues disponibles: ${getAvailableLocales().join(', ')}`);
+    }
+    
+    this.defaultOptions.locale = resolved;
+    return resolved;
+  }
+  
+  /**
+   * Restitue un résultat de validation ou un constat dans une autre langue
+   * @param {Object} resultOrFinding - Résultat {valid, errors, warnings, infos} ou constat isolé
+   * @param {string} [locale] - Langue (langue par défaut du validateur si omise)
+   * @returns {Object} - Copie traduite
+   */
+  localize(resultOrFinding, locale = this.defaultOptions.locale) {
+    if (resultOrFinding && Array.isArray(resultOrFinding.errors)) {
+      return localizeResult(resultOrFinding, locale);
+    }
+    
+    return localizeFinding(resultOrFinding, locale);
+  }
+  
   /**
    * Applique les règles de validation personnalisées à une entité
    * @private
@@ -112,10 +252,12 @@ class DataValidator {
         
         if (!result.valid) {
           const error = formatError(
-            result.message || `Échec de la règle ${ruleName}`,
+            this._getRuleMessage(ruleName, result),
             result.path || '',
             result.code || ERROR_CODES.CONSTRAINT_VIOLATION,
-            result.type || ERROR_TYPES.ERROR
+            result.type || ERROR_TYPES.ERROR,
+            result.fix || null,
+            `custom.${ruleName}`
           );
           
           if (error.type === ERROR_TYPES.ERROR) {
@@ -133,23 +275,84 @@ class DataValidator {
   }
   
   /**
-   * Valide le type d'une propriété
+   * Ajoute un validateur spécifique aux pièces
+   * @private
+   * @param {string} target - Cible (voir VALIDATOR_TARGETS)
+   * @param {string} key - Catégorie ou nom de module
+   * @param {string} name - Nom du validateur
+   * @param {Function} validator - Fonction de validation
+   */
+  _addPartValidator(target, key, name, validator) {
+    if (typeof key !== 'string' || key === '') {
+      console.warn(`${target === VALIDATOR_TARGETS.MODULE ? 'Module' : 'Catégorie'} invalide. Le validateur ne sera pas ajouté.`);
+      return;
+    }
+    
+    if (typeof validator !== 'function') {
+      console.error('Le validateur doit être une fonction. Il ne sera pas ajouté.');
+      return;
+    }
+    
+    this.partValidators.register(target, key, name, validator);
+    console.info(`Validateur "${name}" ajouté pour ${target === VALIDATOR_TARGETS.MODULE ? 'le module' : 'la catégorie'} ${key}`);
+    
+    // Invalider le cache car les validateurs ont changé
+    this.validationCache.bumpRulesVersion();
+  }
+  
+  /**
+   * Supprime un validateur spécifique aux pièces
    * @private
-   * @param {Object} obj - Objet à valider
-   * @param {string} prop - Nom de la propriété
-   * @param {string} expectedType - Type attendu
+   * @param {string} target - Cible (voir VALIDATOR_TARGETS)
+   * @param {string} key - Catégorie ou nom de module
+   * @param {string} name - Nom du validateur
+   */
+  _removePartValidator(target, key, name) {
+    if (!this.partValidators.unregister(target, key, name)) {
+      console.warn(`Validateur "${name}" pour ${key} non trouvé.`);
+      return;
+    }
+    
+    console.info(`Validateur "${name}" supprimé pour ${key}`);
+    
+    // Invalider le cache car les validateurs ont changé
+    this.validationCache.bumpRulesVersion();
+  }
+  
+  /**
+   * Applique les validateurs spécifiques à la catégorie et aux modules d'une pièce
+   * Un validateur qui lève une exception est signalé sans interrompre la validation.
+   * @private
+   * @param {Object} part - Pièce à valider
    * @param {Array} errors - Tableau d'erreurs à remplir
+   * @param {Array} warnings - Tableau d'avertissements à remplir
+   * @param {Array} infos - Tableau d'informations à remplir
    */
-  _validateType(obj, prop, expectedType, errors) {
-    const value = getNestedValue(obj, prop, null);
-    
-    if (value !== null && typeof value !== expectedType) {
-      errors.push(formatError(
-        `Le champ '${prop}' doit être un ${expectedType}`,
-        prop,
-        ERROR_CODES.INVALID_TYPE
-      ));
+  _applyPartValidators(part, errors, warnings, infos) {
+    this.partValidators.resolve(part).forEach(({ name, key, validate }) => {
+      try {
+        validate(part, errors, warnings, infos);
+      } catch (e) {
+        console.error(`Erreur lors de l'exécution du validateur "${name}" (${key}):`, e);
+      }
+    });
+  }
+  
+  /**
+   * Construit le message d'une règle personnalisée en échec
+   * Une règle peut fournir un texte libre (message) ou une clé de catalogue
+   * (messageKey, "CODE.variante") accompagnée de ses paramètres (params).
+   * @private
+   * @param {string} ruleName - Nom de la règle
+   * @param {Object} result - Résultat retourné par la règle
+   * @returns {string|Object} - Message ou descripteur de message
+   */
+  _getRuleMessage(ruleName, result) {
+    if (result.messageKey) {
+      return msg(result.messageKey, result.params || {});
     }
+    
+    return result.message || msg('CUSTOM_RULE.failed', { rule: ruleName });
   }
   
   /**
@@ -164,7 +367,7 @@ class DataValidator {
       this.validationCache, 
       this.defaultOptions, 
       this._applyCustomRules.bind(this), 
-      this._validateType.bind(this), 
+      this._applyPartValidators.bind(this),
       options
     );
   }
@@ -181,7 +384,6 @@ class DataValidator {
       this.validationCache, 
       this.defaultOptions, 
       this._applyCustomRules.bind(this), 
-      this._validateType.bind(this), 
       options
     );
   }
@@ -198,7 +400,6 @@ class DataValidator {
       this.validationCache, 
       this.defaultOptions, 
       this._applyCustomRules.bind(this), 
-      this._validateType.bind(this), 
       options
     );
   }
@@ -210,123 +411,219 @@ class DataValidator {
    * @returns {Object} - Résultat de la validation {valid, errors, warnings, infos}
    */
   validateTech(tech, options = {}) {
-    // À implémenter: import et appel de validateTech
-    console.warn("Méthode validateTech pas encore implémentée");
-    return { valid: false, errors: [], warnings: [], infos: [] };
+    return validateTech(
+      tech, 
+      this.validationCache, 
+      this.defaultOptions, 
+      this._applyCustomRules.bind(this), 
+      options
+    );
+  }
+  
+  /**
+   * Valide un jeu de données complet
+   * Valide chaque entité puis, si l'option validateReferences est active,
+   * les références entre pièces, ressources, technologies et corps célestes.
+   * @param {Object} dataset - Jeu de données {parts, resources, celestialBodies, techs}
+   * @param {Object} [options] - Options de validation
+   * @returns {Object} - Rapport {valid, collections, summary}, chaque collection
+   *   contenant {valid, entities, errors, warnings, infos, summary}
+   */
+  validateDataset(dataset, options = {}) {
+    return validateDataset(
+      dataset,
+      {
+        parts: (part, opts) => this.validatePart(part, opts),
+        resources: (resource, opts) => this.validateResource(resource, opts),
+        celestialBodies: (body, opts) => this.validateCelestialBody(body, opts),
+        techs: (tech, opts) => this.validateTech(tech, opts)
+      },
+      this.defaultOptions,
+      options
+    );
+  }
+  
+  /**
+   * Valide une collection d'entités de façon asynchrone, par lots
+   * Rend la main à la boucle d'événements entre chaque lot pour ne pas figer l'interface.
+   * Avec l'option workers, les lots sont validés en parallèle dans des Web Workers
+   * (navigateur) ou des worker_threads (Node), sans les règles personnalisées.
+   * @param {Array} entities - Entités à valider
+   * @param {string} type - Type d'entité (voir VALIDATION_TYPES)
+   * @param {Object} [options] - Options de validation
+   * @param {Function} [options.onProgress] - Appelée après chaque lot avec {processed, total, progress}
+   * @param {AbortSignal} [options.signal] - Signal d'annulation
+   * @param {number} [options.chunkSize=100] - Nombre d'entités par lot
+   * @param {number} [options.workers=0] - Nombre de workers à utiliser
+   * @returns {Promise<Object>} - Rapport {valid, entities, errors, warnings, infos, summary},
+   *   identique à celui d'une collection de validateDataset
+   */
+  async validateMany(entities, type, options = {}) {
+    const validate = this._getValidator(type);
+    
+    if (!validate) {
+      throw new Error(`Type d'entité inconnu: ${type}`);
+    }
+    
+    let bulkOptions = options;
+    
+    // Les règles personnalisées (fonctions) ne peuvent pas être transmises aux workers
+    if (options.workers > 0 && Object.keys(this.customRules[type] || {}).length > 0) {
+      console.warn(`Règles personnalisées définies pour le type ${type}: validation dans le thread principal.`);
+      bulkOptions = { ...options, workers: 0 };
+    }
+    
+    // Les workers n'ont que les validateurs de pièces intégrés
+    if (bulkOptions.workers > 0 && type === VALIDATION_TYPES.PART && this.partValidators.modified) {
+      console.warn('Validateurs de pièces modifiés: validation dans le thread principal.');
+      bulkOptions = { ...bulkOptions, workers: 0 };
+    }
+    
+    // Les profils enregistrés ici sont inconnus des workers : leur transmettre le profil résolu
+    if (bulkOptions.workers > 0) {
+      bulkOptions = { ...bulkOptions, profile: getProfile(options.profile ?? this.defaultOptions.profile) };
+    }
+    
+    return validateMany(entities, type, validate, this.defaultOptions, bulkOptions);
   }
   
   /**
-   * Essaie de corriger automatiquement les problèmes simples dans une entité
-   * @param {Object} entity - Entité à corriger
+   * Corrige automatiquement une entité
+   * Complète d'abord les champs manquants avec les valeurs par défaut (sauf si applyDefaults
+   * vaut false), puis valide l'entité et applique les corrections proposées par les constats,
+   * jusqu'à ce qu'aucune correction ne reste applicable (ou que MAX_FIX_PASSES soit atteint).
+   * @param {Object} entity - Entité à corriger (non modifiée)
    * @param {string} type - Type d'entité (voir VALIDATION_TYPES)
-   * @param {Object} [options] - Options de correction
-   * @returns {Object} - Résultat de la correction {entity, fixed, changes}
+   * @param {Object} [options] - Options de validation utilisées entre les passes
+   * @param {number} [options.maxPasses=MAX_FIX_PASSES] - Nombre maximal de passes
+   * @param {boolean} [options.applyDefaults=true] - Compléter les champs manquants avec les valeurs
+   *   par défaut de defaults.js ; false pour ne garder que les corrections proposées par les constats
+   *   (ex: données réécrites sur disque, où ces valeurs ne feraient que remplir les fichiers)
+   * @returns {Object} - Résultat de la correction {entity, fixed, changes, patch, validation} où
+   *   chaque modification vaut {path, oldValue, newValue, rule}, patch contient les mêmes
+   *   modifications au format JSON Patch (RFC 6902) et validation est le résultat de la
+   *   validation de l'entité corrigée
    */
   autoFix(entity, type, options = {}) {
-    if (!entity) return { entity: null, fixed: false, changes: [] };
+    const validate = this._getValidator(type);
     
-    const changes = [];
-    let fixedEntity = { ...entity };
-    
-    switch (type) {
-      case VALIDATION_TYPES.PART:
-        // Appliquer les valeurs par défaut pour les champs manquants
-        fixedEntity = applyDefaults(fixedEntity, {
-          name: `Part_${entity.id || 'unknown'}`,
-          title: entity.name || `Pièce ${entity.id || 'inconnue'}`,
-          category: 'unknown',
-          mass: { dry: 0, wet: 0 },
-          cost: 0,
-          attachNodes: [],
-          attachRules: { stack: true, srfAttach: false },
-          resources: []
-        });
-        
-        // Corriger les tableaux vides au lieu de null
-        if (fixedEntity.attachNodes === null) {
-          fixedEntity.attachNodes = [];
-          changes.push({ path: 'attachNodes', oldValue: null, newValue: [] });
-        }
-        
-        if (fixedEntity.resources === null) {
-          fixedEntity.resources = [];
-          changes.push({ path: 'resources', oldValue: null, newValue: [] });
-        }
-        
-        // Vérifier et normaliser les nœuds d'attachement
-        if (Array.isArray(fixedEntity.attachNodes)) {
-          fixedEntity.attachNodes = fixedEntity.attachNodes.map((node, index) => {
-            if (!node) return null;
-            
-            const fixedNode = { ...node };
-            
-            // Corriger la position si elle est invalide
-            if (!Array.isArray(fixedNode.position) || fixedNode.position.length !== 3) {
-              const oldValue = fixedNode.position;
-              fixedNode.position = [0, 0, 0];
-              changes.push({ path: `attachNodes[${index}].position`, oldValue, newValue: fixedNode.position });
-            }
-            
-            // Corriger l'orientation si elle est invalide
-            if (!Array.isArray(fixedNode.orientation) || fixedNode.orientation.length !== 3) {
-              const oldValue = fixedNode.orientation;
-              fixedNode.orientation = [0, 1, 0]; // Orientation vers le haut par défaut
-              changes.push({ path: `attachNodes[${index}].orientation`, oldValue, newValue: fixedNode.orientation });
-            }
-            
-            return fixedNode;
-          }).filter(node => node !== null);
-        }
+    if (!entity || !validate) {
+      return { entity: entity || null, fixed: false, changes: [], patch: [], validation: null };
+    }
+    
+    const { maxPasses = MAX_FIX_PASSES, applyDefaults = true, ...validationOptions } = options;
+    const opts = {
+      ...validationOptions,
+      autoFix: false,        // Les valeurs par défaut sont appliquées et rapportées ci-dessous
+      enableCache: false,    // Ne pas remplir le cache avec les états intermédiaires
+      includeWarnings: true, // Les avertissements et informations portent aussi des corrections
+      includeInfo: true,
+      maxErrors: 0
+    };
+    
+    // Appliquer les valeurs par défaut pour les champs manquants
+    const defaults = applyDefaults ? applyEntityDefaults(entity, type) : { entity, changes: [] };
+    const changes = [...defaults.changes];
+    let fixedEntity = defaults.entity;
+    let validation = validate(fixedEntity, opts);
+    
+    for (let pass = 0; pass < maxPasses; pass++) {
+      const fixes = collectFixes(validation);
+      
+      if (fixes.length === 0) {
         break;
-        
-      case VALIDATION_TYPES.CELESTIAL_BODY:
-        // Appliquer les valeurs par défaut pour les champs manquants
-        fixedEntity = applyDefaults(fixedEntity, {
-          name: `Body_${entity.id || 'unknown'}`,
-          type: 'planet',
-          physical: { radius: 0, mass: 0, gravity: 0 }
-        });
+      }
+      
+      const applied = applyFixes(fixedEntity, fixes);
+      
+      // Corrections sans effet : l'entité ne peut pas être corrigée davantage
+      if (applied.changes.length === 0) {
         break;
+      }
+      
+      fixedEntity = applied.entity;
+      changes.push(...applied.changes);
+      validation = validate(fixedEntity, opts);
+    }
+    
+    return { entity: fixedEntity, fixed: changes.length > 0, changes, patch: changesToPatch(changes), validation };
+  }
+  
+  /**
+   * Corrige automatiquement toutes les entités d'un jeu de données
+   * Le patch produit s'applique au jeu de données (ex: "/parts/3/mass/wet") avec applyPatch.
+   * Les masses humides des réservoirs sont ensuite recalculées avec les densités des ressources
+   * d'origine, uniquement si toutes les ressources du réservoir ont une densité positive.
+   * @param {Object} dataset - Jeu de données {parts, resources, celestialBodies, techs} (non modifié)
+   * @param {Object} [options] - Options de correction (voir autoFix)
+   * @returns {Object} - {dataset, fixed, changes, patch} où chaque modification vaut
+   *   {collection, index, path, oldValue, newValue, rule}
+   */
+  autoFixDataset(dataset, options = {}) {
+    const fixedDataset = { ...dataset };
+    const changes = [];
+    const patch = [];
+    
+    Object.entries(COLLECTION_TYPES).forEach(([collection, type]) => {
+      if (!Array.isArray(dataset[collection])) {
+        return;
+      }
+      
+      fixedDataset[collection] = dataset[collection].map((entity, index) => {
+        const result = this.autoFix(entity, type, options);
         
-      case VALIDATION_TYPES.RESOURCE:
-        // Appliquer les valeurs par défaut pour les champs manquants
-        fixedEntity = applyDefaults(fixedEntity, {
-          name: `Resource_${entity.id || 'unknown'}`,
-          density: 1,
-          unitCost: 0,
-          transferable: true
-        });
-        break;
+        if (!result.fixed) {
+          return entity;
+        }
         
-      case VALIDATION_TYPES.TECH:
-        // Appliquer les valeurs par défaut pour les champs manquants
-        fixedEntity = applyDefaults(fixedEntity, {
-          title: `Tech_${entity.id || 'unknown'}`,
-          cost: 0,
-          parents: [],
-          partUnlocks: []
-        });
+        changes.push(...result.changes.map(change => ({ collection, index, ...change })));
+        patch.push(...changesToPatch(result.changes, toJsonPointer([collection, index])));
+        return result.entity;
+      });
+    });
+    
+    // Corrections qui dépendent d'une autre collection, calculées sur les pièces déjà corrigées.
+    // Les densités viennent des ressources d'origine : une densité complétée par défaut ou nulle
+    // n'est pas une donnée mesurée, et un réservoir qui en dépend garde sa masse humide.
+    if (Array.isArray(fixedDataset.parts) && Array.isArray(dataset.resources)) {
+      const opts = { ...this.defaultOptions, ...options };
+      const measuredResources = dataset.resources.filter(resource =>
+        resource && typeof resource.density === 'number' && resource.density > 0);
+      
+      fixedDataset.parts = fixedDataset.parts.map((part, index) => {
+        const findings = { errors: [], warnings: [], infos: [] };
+        validateTankWetMass([part], measuredResources, findings.errors, findings.warnings);
         
-        // Corriger les tableaux vides au lieu de null
-        if (fixedEntity.parents === null) {
-          fixedEntity.parents = [];
-          changes.push({ path: 'parents', oldValue: null, newValue: [] });
-        }
+        const applied = applyFixes(part, collectFixes(applyRuleProfile(findings, opts)));
         
-        if (fixedEntity.partUnlocks === null) {
-          fixedEntity.partUnlocks = [];
-          changes.push({ path: 'partUnlocks', oldValue: null, newValue: [] });
+        if (applied.changes.length === 0) {
+          return part;
         }
-        break;
         
-      default:
-        return { entity, fixed: false, changes: [] };
+        changes.push(...applied.changes.map(change => ({ collection: 'parts', index, ...change })));
+        patch.push(...changesToPatch(applied.changes, toJsonPointer(['parts', index])));
+        return applied.entity;
+      });
     }
     
-    // Vérifier si des corrections ont été appliquées
-    const fixed = changes.length > 0;
+    return { dataset: fixedDataset, fixed: changes.length > 0, changes, patch };
+  }
+  
+  /**
+   * Retourne la méthode de validation d'un type d'entité
+   * @private
+   * @param {string} type - Type d'entité (voir VALIDATION_TYPES)
+   * @returns {Function|null} - (entity, options) => résultat, ou null si le type est inconnu
+   */
+  _getValidator(type) {
+    const validators = {
+      [VALIDATION_TYPES.PART]: (entity, opts) => this.validatePart(entity, opts),
+      [VALIDATION_TYPES.CELESTIAL_BODY]: (entity, opts) => this.validateCelestialBody(entity, opts),
+      [VALIDATION_TYPES.RESOURCE]: (entity, opts) => this.validateResource(entity, opts),
+      [VALIDATION_TYPES.TECH]: (entity, opts) => this.validateTech(entity, opts)
+    };
     
-    return { entity: fixedEntity, fixed, changes };
+    return validators[type] || null;
   }
 }
 
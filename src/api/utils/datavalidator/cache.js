@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Cache de validation LRU basé sur le contenu des entités
+ * @module api/utils/datavalidator/cache
+ */
+
+import { getProfilesVersion } from './profiles.js';
+
+/**
+ * Taille maximale par défaut du cache (nombre de résultats conservés)
+ * @type {number}
+ */
+export const DEFAULT_CACHE_SIZE = 1000;
+
+/**
+ * Options sans effet sur le résultat d'une validation, exclues de la clé de cache
+ * @type {Array<string>}
+ */
+const IGNORED_OPTIONS = ['enableCache'];
+
+/**
+ * Sérialise une valeur en JSON avec des clés triées
+ * Deux objets de même contenu produisent la même chaîne quel que soit l'ordre des clés.
+ * @param {*} value - Valeur à sérialiser
+ * @returns {string} - Représentation stable
+ */
+export function stableStringify(value) {
+  if (value === undefined) {
+    return 'undefined';
+  }
+  
+  if (typeof value === 'function') {
+    return `"[Function ${value.name || 'anonymous'}]"`;
+  }
+  
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return `"${String(value)}"`;
+  }
+  
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Calcule une empreinte stable (53 bits, base 36) du contenu d'une valeur
+ * @param {*} value - Valeur à hacher
+ * @returns {string} - Empreinte
+ */
+export function stableHash(value) {
+  const str = stableStringify(value);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Cache LRU des résultats de validation
+ * Les clés combinent le type d'entité, la version des règles, celle des profils
+ * enregistrés (partagés entre les instances), l'empreinte du contenu de l'entité
+ * et celle des options effectives. Les résultats sont copiés
+ * à l'ajout et à la lecture : modifier un résultat ne modifie pas le cache.
+ * @class
+ */
+export class ValidationCache {
+  /**
+   * @param {Object} [options] - Options du cache
+   * @param {number} [options.maxSize=DEFAULT_CACHE_SIZE] - Nombre maximum d'entrées
+   */
+  constructor({ maxSize = DEFAULT_CACHE_SIZE } = {}) {
+    this.entries = new Map();
+    this.maxSize = maxSize;
+    this.rulesVersion = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+  }
+  
+  /**
+   * Construit la clé de cache d'une entité
+   * @param {string} entityType - Type d'entité (voir VALIDATION_TYPES)
+   * @param {*} entity - Entité à valider
+   * @param {Object} options - Options de validation effectives
+   * @returns {string} - Clé de cache
+   */
+  buildKey(entityType, entity, options = {}) {
+    const effectiveOptions = { ...options };
+    IGNORED_OPTIONS.forEach(option => delete effectiveOptions[option]);
+    
+    return `${entityType}:${this.rulesVersion}.${getProfilesVersion()}:${stableHash(entity)}:${stableHash(effectiveOptions)}`;
+  }
+  
+  /**
+   * Invalide toutes les entrées existantes en changeant la version des règles
+   * Les anciennes entrées deviennent inaccessibles et sont évincées au fil de l'eau.
+   */
+  bumpRulesVersion() {
+    this.rulesVersion++;
+  }
+  
+  /**
+   * Indique si une clé est présente, sans modifier les statistiques
+   * @param {string} key - Clé de cache
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+  
+  /**
+   * Récupère une copie d'un résultat et le marque comme récemment utilisé
+   * @param {string} key - Clé de cache
+   * @returns {Object|undefined} - Copie du résultat en cache
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.stats.misses++;
+      return undefined;
+    }
+    
+    const value = this.entries.get(key);
+    
+    // Réinsérer pour placer l'entrée en fin d'ordre d'itération (la plus récente)
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.stats.hits++;
+    
+    return structuredClone(value);
+  }
+  
+  /**
+   * Ajoute une copie d'un résultat en évinçant les entrées les moins récemment utilisées
+   * @param {string} key - Clé de cache
+   * @param {Object} value - Résultat de validation
+   */
+  set(key, value) {
+    if (this.maxSize <= 0) {
+      return;
+    }
+    
+    if (this.entries.has(key)) {
+      this.entries.delete(key);
+    }
+    
+    this.entries.set(key, structuredClone(value));
+    this._evict();
+  }
+  
+  /**
+   * Modifie la taille maximale du cache
+   * @param {number} maxSize - Nouveau nombre maximum d'entrées (0 désactive le stockage)
+   */
+  resize(maxSize) {
+    this.maxSize = Math.max(0, maxSize);
+    this._evict();
+  }
+  
+  /**
+   * Vide le cache et remet les statistiques à zéro
+   */
+  clear() {
+    this.entries.clear();
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+  }
+  
+  /**
+   * Nombre d'entrées en cache
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+  
+  /**
+   * Retourne les statistiques d'utilisation du cache
+   * @returns {Object} - {hits, misses, evictions, hitRate, size, maxSize, rulesVersion}
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      rulesVersion: this.rulesVersion
+    };
+  }
+  
+  /**
+   * Évince les entrées les plus anciennes au-delà de la taille maximale
+   * @private
+   */
+  _evict() {
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+}
\ No newline at end of file
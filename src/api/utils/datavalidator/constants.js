@@ -30,11 +30,141 @@ export const ERROR_TYPES = {
  */
 export const ERROR_CODES = {
   REQUIRED_FIELD_MISSING: 'REQUIRED_FIELD_MISSING',
+  RECOMMENDED_FIELD_MISSING: 'RECOMMENDED_FIELD_MISSING',
   INVALID_TYPE: 'INVALID_TYPE',
   INVALID_VALUE: 'INVALID_VALUE',
   REFERENCE_ERROR: 'REFERENCE_ERROR',
   CIRCULAR_REFERENCE: 'CIRCULAR_REFERENCE',
   CONSTRAINT_VIOLATION: 'CONSTRAINT_VIOLATION',
   UNUSUAL_VALUE: 'UNUSUAL_VALUE',
-  OPTIMIZATION_SUGGESTION: 'OPTIMIZATION_SUGGESTION'
+  OPTIMIZATION_SUGGESTION: 'OPTIMIZATION_SUGGESTION',
+  MAX_ERRORS_EXCEEDED: 'MAX_ERRORS_EXCEEDED'
+};
+
+/**
+ * Règles de correction automatique portées par les constats (voir formatters.createFix)
+ * @enum {string}
+ */
+export const FIX_RULES = {
+  DEFAULT_VALUE: 'defaultValue',                           // Valeur par défaut d'un champ manquant
+  SCHEMA_DEFAULT: 'schemaDefault',                         // Valeur par défaut déclarée dans le schéma
+  REMOVE_NULL_ITEM: 'removeNullItem',                      // Suppression d'un élément null d'un tableau
+  REMOVE_DUPLICATE: 'removeDuplicate',                     // Suppression d'un doublon
+  NORMALIZE_ORIENTATION: 'normalizeOrientation',           // Normalisation d'un vecteur d'orientation
+  CLAMP_AMOUNT: 'clampAmount',                             // Quantité ramenée à la capacité maximale
+  RESCALE_PROPELLANT_RATIOS: 'rescalePropellantRatios',    // Ratios de propergols ramenés à une somme de 1
+  SOLID_FUEL_NOT_TRANSFERABLE: 'solidFuelNotTransferable', // Carburant solide non transférable
+  ELECTRIC_CHARGE_FLOW_MODE: 'electricChargeFlowMode',     // Mode de flux de l'électricité
+  RECOMPUTE_WET_MASS: 'recomputeWetMass'                   // Masse humide recalculée avec les densités des ressources
+};
+
+/**
+ * Identifiants stables des contrôles intégrés, portés par chaque constat (finding.rule)
+ * Les profils de validation (voir profiles.js) les utilisent pour désactiver un contrôle
+ * ou modifier sa gravité. Les règles personnalisées sont identifiées par "custom.<nom>".
+ * @enum {string}
+ */
+export const RULES = {
+  // Structure (schémas déclaratifs)
+  SCHEMA_REQUIRED: 'schema.required',                                    // Champ obligatoire manquant
+  SCHEMA_TYPE: 'schema.type',                                            // Type ou format de vecteur incorrect
+  SCHEMA_BOUNDS: 'schema.bounds',                                        // Valeur numérique hors bornes
+  SCHEMA_MIN_LENGTH: 'schema.minLength',                                 // Chaîne vide
+  SCHEMA_ENUM: 'schema.enum',                                            // Valeur non autorisée
+  SCHEMA_ITEM_COUNT: 'schema.itemCount',                                 // Nombre d'éléments d'un tableau
+  SCHEMA_NULL_ITEM: 'schema.nullItem',                                   // Élément null dans un tableau
+  
+  // Pièces
+  PART_UNDEFINED: 'part.undefined',                                      // Pièce non définie
+  PART_WET_BELOW_DRY: 'part.wetBelowDry',                                // Masse humide inférieure à la masse à sec
+  PART_ORIENTATION_NOT_NORMALIZED: 'part.orientationNotNormalized',      // Orientation d'un nœud non normalisée
+  PART_AMOUNT_EXCEEDS_MAX: 'part.amountExceedsMax',                      // Quantité de ressource supérieure à la capacité
+  ENGINE_PROPELLANT_RATIO_SUM: 'engine.propellantRatioSum',              // Somme des ratios de propergols différente de 1
+  ENGINE_ISP_ORDER: 'engine.ispOrder',                                   // ISP atmosphérique supérieure à l'ISP dans le vide
+  ENGINE_THRUST_ISP_RATIO: 'engine.thrustIspRatio',                      // Rapport des poussées différent du rapport des ISP
+  ENGINE_THRUST_TO_WEIGHT: 'engine.thrustToWeight',                      // Rapport poussée/poids invraisemblable
+  ENGINE_MASS_FLOW: 'engine.massFlow',                                   // Débit massique incohérent avec poussée et ISP
+  FUEL_TANK_EMPTY: 'fuelTank.emptyResources',                            // Réservoir sans ressources
+  FUEL_TANK_CAPACITY: 'fuelTank.capacity',                               // Capacité différente du volume
+  FUEL_TANK_WET_MASS: 'fuelTank.wetMass',                                // Masse humide différente de la masse à sec plus les ressources
+  COMMAND_SAS_MODULE: 'command.sasModule',                               // Module ModuleSAS absent
+  COMMAND_REACTION_WHEEL_MODULE: 'command.reactionWheelModule',          // Module ModuleReactionWheel absent
+  COMMAND_CREWED_MODULE: 'command.crewedModule',                         // Module ModuleCommand absent d'un module habité
+  COMMAND_ELECTRIC_CHARGE: 'command.electricCharge',                     // Aucune ressource électrique
+  STAGING_NO_DECOUPLER_MODULE: 'staging.noDecouplerModule',              // Pièce de couplage sans module de séparation
+  STAGING_EJECTION_FORCE: 'staging.ejectionForce',                       // Force d'éjection nulle
+  STAGING_DISABLED: 'staging.disabled',                                  // Module non déclenché par les étages
+  STAGING_SURFACE_ATTACH: 'staging.surfaceAttach',                       // Fixation en surface non autorisée
+  STAGING_ATTACH_NODES: 'staging.attachNodes',                           // Nœud d'attachement requis manquant
+  STAGING_EXPLOSIVE_NODE: 'staging.explosiveNode',                       // Nœud explosif inexistant
+  STAGING_OMNI_EXPLOSIVE_NODE: 'staging.omniExplosiveNode',              // Nœud explosif d'un séparateur
+  STAGING_CROSSFEED_LOCKED: 'staging.crossfeedLocked',                   // Alimentation croisée non commutable
+  STAGING_FAIRING_MAX_RADIUS: 'staging.fairingMaxRadius',                // Rayon maximal d'une coiffe inférieur à sa base
+  STAGING_FAIRING_BASE_SIZE: 'staging.fairingBaseSize',                  // Base d'une coiffe et nœud de tailles différentes
+  AERO_DRAG_RANGE: 'aero.dragRange',                                     // Traînée minimale supérieure à la traînée maximale
+  AERO_LIFT_TO_MASS: 'aero.liftToMass',                                  // Rapport portance/masse invraisemblable
+  AERO_CONTROL_SURFACE_LOCKED: 'aero.controlSurfaceLocked',              // Gouverne sans débattement
+  AERO_INTAKE_STORAGE: 'aero.intakeStorage',                             // Ressource d'une prise d'air non stockée
+  ELECTRICAL_NO_POWER: 'electrical.noPower',                             // Pièce électrique sans stockage ni production
+  ELECTRICAL_GENERATOR_OUTPUT: 'electrical.generatorOutput',             // Production sans consommation invraisemblable
+  ELECTRICAL_POWER_CURVE: 'electrical.powerCurve',                       // Courbe de production d'un panneau solaire incohérente
+  ELECTRICAL_RESOURCE_LOOP: 'electrical.resourceLoop',                   // Ressource consommée et produite par un même module
+  RECOVERY_CHUTE_DRAG: 'recovery.chuteDrag',                             // Traînée semi-déployée supérieure à la traînée déployée
+  RECOVERY_CHUTE_PRESSURE: 'recovery.chutePressure',                     // Pression d'ouverture d'un parachute trop élevée
+  RECOVERY_DEPLOY_ALTITUDE: 'recovery.deployAltitude',                   // Altitude de déploiement hors de la plage du jeu
+  RECOVERY_ABLATOR_RESOURCE: 'recovery.ablatorResource',                 // Ressource ablative absente ou vide
+  RECOVERY_ABLATOR_LOSS: 'recovery.ablatorLoss',                         // Exposant d'ablation positif
+  RECOVERY_SKIN_TEMPERATURE: 'recovery.skinTemperature',                 // Températures limites d'un bouclier incohérentes
+  SCIENCE_SITUATION_MASK: 'science.situationMask',                       // Expérience inutilisable dans ses situations
+  SCIENCE_BIOME_MASK: 'science.biomeMask',                               // Biomes hors des situations possibles
+  SCIENCE_CAP: 'science.cap',                                            // Plafond de science inférieur à la valeur de base
+  SCIENCE_SINGLE_USE: 'science.singleUse',                               // Expérience à usage unique
+  SCIENCE_TRANSMISSION: 'science.transmission',                          // Expérience non transmissible
+  
+  // Corps célestes
+  CELESTIAL_BODY_UNDEFINED: 'celestialBody.undefined',                   // Corps céleste non défini
+  CELESTIAL_BODY_ORBIT: 'celestialBody.orbit',                           // Orbite manquante
+  CELESTIAL_BODY_GRAVITY: 'celestialBody.gravity',                       // Gravité de surface différente de G·M/r²
+  CELESTIAL_BODY_ECCENTRICITY: 'celestialBody.eccentricity',             // Excentricité hors de [0, 1)
+  CELESTIAL_BODY_ORBITAL_PERIOD: 'celestialBody.orbitalPeriod',          // Période différente de la troisième loi de Kepler
+  CELESTIAL_BODY_PERIAPSIS: 'celestialBody.periapsis',                   // Périapse sous la surface ou l'atmosphère du parent
+  CELESTIAL_BODY_SPHERE_OF_INFLUENCE: 'celestialBody.sphereOfInfluence', // Orbite sortant de la sphère d'influence du parent
+  CELESTIAL_BODY_ATMOSPHERE_CURVE: 'celestialBody.atmosphereCurve',      // Courbe de pression ou de température incohérente
+  
+  // Ressources
+  RESOURCE_UNDEFINED: 'resource.undefined',                              // Ressource non définie
+  RESOURCE_ZERO_DENSITY: 'resource.zeroDensity',                         // Densité nulle
+  RESOURCE_NON_TRANSFERABLE_FLOW: 'resource.nonTransferableFlow',        // Mode de flux d'une ressource non transférable
+  RESOURCE_SPECIFIC_ENERGY: 'resource.specificEnergy',                   // Énergie spécifique de l'électricité manquante
+  RESOURCE_ELECTRIC_CHARGE_FLOW_MODE: 'resource.electricChargeFlowMode', // Mode de flux de l'électricité
+  RESOURCE_PROPELLANT_DENSITY: 'resource.propellantDensity',             // Densité de propergol inhabituelle
+  RESOURCE_SOLID_FUEL_TRANSFERABLE: 'resource.solidFuelTransferable',    // Carburant solide transférable
+  
+  // Technologies
+  TECH_UNDEFINED: 'tech.undefined',                                      // Nœud technologique non défini
+  TECH_HIGH_COST: 'tech.highCost',                                       // Coût inhabituellement élevé
+  TECH_EXCLUSIVE_PARENT_MODES: 'tech.exclusiveParentModes',              // anyParent et allParents à la fois
+  TECH_SELF_PARENT: 'tech.selfParent',                                   // Nœud parent de lui-même
+  TECH_DUPLICATE_PARENT: 'tech.duplicateParent',                         // Parent en double
+  TECH_ROOT_COST: 'tech.rootCost',                                       // Coût d'un nœud racine
+  TECH_PARENT_MODE_WITHOUT_PARENTS: 'tech.parentModeWithoutParents',     // Mode de parents sans parents
+  TECH_DUPLICATE_PART_UNLOCK: 'tech.duplicatePartUnlock',                // Pièce débloquée en double
+  
+  // Jeu de données et références croisées
+  DATASET_COLLECTION_TYPE: 'dataset.collectionType',                     // Collection qui n'est pas un tableau
+  DATASET_DUPLICATE_ID: 'dataset.duplicateId',                           // Identifiant en double
+  REFERENCE_PART_RESOURCE: 'reference.partResource',                     // Ressource d'une pièce inconnue
+  REFERENCE_ENGINE_PROPELLANT: 'reference.enginePropellant',             // Propergol d'un moteur inconnu
+  REFERENCE_INTAKE_RESOURCE: 'reference.intakeResource',                 // Ressource d'une prise d'air inconnue
+  REFERENCE_CONVERTER_RESOURCE: 'reference.converterResource',           // Ressource d'un module électrique inconnue
+  REFERENCE_ABLATOR_RESOURCE: 'reference.ablatorResource',               // Ressource ablative inconnue
+  REFERENCE_PART_TECH: 'reference.partTech',                             // Technologie requise inconnue
+  REFERENCE_TECH_PART: 'reference.techPart',                             // Pièce débloquée inconnue
+  REFERENCE_BODY_PARENT: 'reference.bodyParent',                         // Parent d'un corps céleste inconnu
+  REFERENCE_BODY_HIERARCHY: 'reference.bodyHierarchy',                   // Hiérarchie de corps célestes circulaire
+  REFERENCE_TECH_PARENT: 'reference.techParent',                         // Parent d'un nœud technologique inconnu
+  REFERENCE_TECH_TREE: 'reference.techTree',                             // Arbre technologique circulaire
+  
+  // Validation
+  MAX_ERRORS_EXCEEDED: 'validation.maxErrors'                            // Erreurs au-delà de maxErrors ignorées
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Valeurs par défaut des entités, partagées entre la validation avec autoFix et DataValidator.autoFix
+ * @module api/utils/datavalidator/defaults
+ */
+
+import { applyDefaults } from '../../../utils/SafeAccess.js';
+import { VALIDATION_TYPES, FIX_RULES } from './constants.js';
+
+/**
+ * Constructeurs des valeurs par défaut, par type d'entité
+ * Certaines valeurs dépendent de l'entité (nom déduit de l'identifiant).
+ * @private
+ * @type {Object<string, Function>}
+ */
+const ENTITY_DEFAULTS = {
+  [VALIDATION_TYPES.PART]: part => ({
+    name: `Part_${part.id || 'unknown'}`,
+    title: part.name || `Pièce ${part.id || 'inconnue'}`,
+    category: 'unknown',
+    mass: { dry: 0, wet: 0 },
+    cost: 0,
+    attachNodes: [],
+    attachRules: { stack: true, srfAttach: false },
+    resources: []
+  }),
+  [VALIDATION_TYPES.CELESTIAL_BODY]: body => ({
+    name: `Body_${body.id || 'unknown'}`,
+    type: 'planet',
+    physical: { radius: 0, mass: 0, gravity: 0 }
+  }),
+  [VALIDATION_TYPES.RESOURCE]: resource => ({
+    name: `Resource_${resource.id || 'unknown'}`,
+    density: 1,
+    unitCost: 0,
+    transferable: true
+  }),
+  [VALIDATION_TYPES.TECH]: tech => ({
+    title: `Tech_${tech.id || 'unknown'}`,
+    cost: 0,
+    parents: [],
+    partUnlocks: []
+  })
+};
+
+/**
+ * Retourne les valeurs par défaut d'une entité
+ * @param {string} type - Type d'entité (voir VALIDATION_TYPES)
+ * @param {Object} entity - Entité à compléter
+ * @returns {Object|null} - Valeurs par défaut à appliquer (null si le type est inconnu)
+ */
+export function getEntityDefaults(type, entity) {
+  const build = ENTITY_DEFAULTS[type];
+  return build ? build(entity || {}) : null;
+}
+
+/**
+ * Complète une entité avec ses valeurs par défaut et liste les champs complétés
+ * @param {Object} entity - Entité à compléter
+ * @param {string} type - Type d'entité (voir VALIDATION_TYPES)
+ * @returns {Object} - {entity, changes} où chaque modification vaut {path, oldValue, newValue, rule}
+ */
+export function applyEntityDefaults(entity, type) {
+  const defaults = getEntityDefaults(type, entity);
+  
+  if (!defaults) {
+    return { entity, changes: [] };
+  }
+  
+  return {
+    entity: applyDefaults(entity, defaults),
+    changes: listDefaultChanges(entity, defaults, '')
+  };
+}
+
+/**
+ * Liste les champs que applyDefaults complète, en suivant les mêmes règles
+ * @private
+ * @param {Object} obj - Objet à compléter
+ * @param {Object} defaults - Valeurs par défaut
+ * @param {string} prefix - Chemin de l'objet dans l'entité
+ * @returns {Array<Object>} - Modifications {path, oldValue, newValue, rule}
+ */
+function listDefaultChanges(obj, defaults, prefix) {
+  const changes = [];
+  
+  Object.entries(defaults).forEach(([key, defaultValue]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = obj[key];
+    
+    if (value === undefined || value === null) {
+      changes.push({ path, oldValue: value, newValue: defaultValue, rule: FIX_RULES.DEFAULT_VALUE });
+    } else if (typeof value === 'object' && !Array.isArray(value) &&
+               typeof defaultValue === 'object' && !Array.isArray(defaultValue)) {
+      changes.push(...listDefaultChanges(value, defaultValue, path));
+    } else if (Array.isArray(value) && value.length === 0 && Array.isArray(defaultValue) && defaultValue.length > 0) {
+      changes.push({ path, oldValue: value, newValue: [...defaultValue], rule: FIX_RULES.DEFAULT_VALUE });
+    }
+  });
+  
+  return changes;
+}
\ No newline at end of file
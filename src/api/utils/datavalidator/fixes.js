@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Application des corrections portées par les constats de validation
+ * @module api/utils/datavalidator/fixes
+ *
+ * Une correction (voir formatters.createFix) décrit des modifications {path, value}
+ * ou des suppressions d'éléments de tableau {path, remove: true}. Chaque modification
+ * appliquée est rapportée sous la forme {path, oldValue, newValue, rule}, puis peut être
+ * exportée en patch JSON (RFC 6902) pour être relue, conservée et rejouée.
+ */
+
+import { getNestedValue, setNestedValue, parsePath, toJsonPointer } from '../../../utils/SafeAccess.js';
+
+/**
+ * Nombre maximal de passes validation/correction d'autoFix
+ * Une correction peut en révéler d'autres (ex: un vecteur remplacé puis normalisé).
+ * @type {number}
+ */
+export const MAX_FIX_PASSES = 10;
+
+/**
+ * Marqueur d'une valeur absente de l'entité
+ * @private
+ * @type {symbol}
+ */
+const MISSING = Symbol('missing');
+
+/**
+ * Rassemble les corrections proposées par un résultat de validation
+ * Les corrections des erreurs passent avant celles des avertissements et des informations.
+ * @param {Object} result - Résultat {valid, errors, warnings, infos}
+ * @returns {Array<Object>} - Corrections {rule, changes}
+ */
+export function collectFixes(result) {
+  return [...result.errors, ...result.warnings, ...result.infos]
+    .filter(finding => finding && finding.fix)
+    .map(finding => finding.fix);
+}
+
+/**
+ * Applique des corrections à une copie de l'entité
+ * Un même chemin n'est modifié qu'une fois par appel (la première correction l'emporte)
+ * et les modifications sans effet sont ignorées. Les suppressions sont appliquées en
+ * dernier, dans l'ordre inverse des chemins (voir compareRemovalPaths) pour ne pas décaler
+ * les autres chemins.
+ * @param {Object} entity - Entité à corriger (non modifiée)
+ * @param {Array<Object>} fixes - Corrections {rule, changes}
+ * @returns {Object} - {entity, changes} où chaque modification vaut {path, oldValue, newValue, rule}
+ */
+export function applyFixes(entity, fixes) {
+  // Copie JSON : les objets partagés de l'entité deviennent indépendants
+  const fixedEntity = JSON.parse(JSON.stringify(entity));
+  const changes = [];
+  const removals = [];
+  const touched = new Set();
+  
+  fixes.forEach(({ rule, changes: operations }) => {
+    operations.forEach(operation => {
+      if (touched.has(operation.path)) {
+        return;
+      }
+      
+      touched.add(operation.path);
+      
+      if (operation.remove) {
+        removals.push({ ...operation, rule, keys: parsePath(operation.path) });
+        return;
+      }
+      
+      const current = getNestedValue(fixedEntity, parsePath(operation.path), MISSING);
+      const oldValue = current === MISSING ? undefined : current;
+      
+      if (isSameValue(oldValue, operation.value)) {
+        return;
+      }
+      
+      setNestedValue(fixedEntity, parsePath(operation.path), JSON.parse(JSON.stringify(operation.value)));
+      changes.push({ path: operation.path, oldValue, newValue: operation.value, rule });
+    });
+  });
+  
+  removals
+    .sort((a, b) => compareRemovalPaths(a.keys, b.keys))
+    .forEach(({ path, keys, rule }) => {
+      const index = keys[keys.length - 1];
+      const array = getNestedValue(fixedEntity, keys.slice(0, -1), null);
+      
+      if (!Array.isArray(array) || typeof index !== 'number' || index >= array.length) {
+        return;
+      }
+      
+      const [oldValue] = array.splice(index, 1);
+      changes.push({ path, oldValue, newValue: undefined, rule, removed: true });
+    });
+  
+  return { entity: fixedEntity, changes };
+}
+
+/**
+ * Convertit une liste de modifications en patch JSON (RFC 6902)
+ * Chaque remplacement ou suppression est précédé d'une opération test sur l'ancienne
+ * valeur : le patch échoue si les données ont changé depuis sa création.
+ * @param {Array<Object>} changes - Modifications {path, oldValue, newValue, removed}, dans l'ordre d'application
+ * @param {string} [basePointer=''] - Pointeur JSON de l'entité dans le document (ex: "/parts/3")
+ * @returns {Array<Object>} - Opérations {op, path, value}
+ */
+export function changesToPatch(changes, basePointer = '') {
+  return changes.flatMap(({ path, oldValue, newValue, removed }) => {
+    const pointer = `${basePointer}${toJsonPointer(path)}`;
+    
+    if (removed) {
+      return [{ op: 'test', path: pointer, value: oldValue }, { op: 'remove', path: pointer }];
+    }
+    
+    if (oldValue === undefined) {
+      return [{ op: 'add', path: pointer, value: newValue }];
+    }
+    
+    return [{ op: 'test', path: pointer, value: oldValue }, { op: 'replace', path: pointer, value: newValue }];
+  });
+}
+
+/**
+ * Ordonne deux suppressions pour qu'aucune ne décale le chemin d'une suppression suivante
+ * Les chemins sont comparés clé par clé : dans un même tableau, l'index le plus grand passe
+ * en premier, et un chemin situé dans un élément passe avant la suppression de cet élément.
+ * @private
+ * @param {Array<string|number>} a - Clés du premier chemin
+ * @param {Array<string|number>} b - Clés du second chemin
+ * @returns {number} - Négatif si a doit être supprimé avant b
+ */
+function compareRemovalPaths(a, b) {
+  const length = Math.min(a.length, b.length);
+  
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return typeof a[i] === 'number' && typeof b[i] === 'number'
+        ? b[i] - a[i]
+        : String(b[i]).localeCompare(String(a[i]));
+    }
+  }
+  
+  // Le chemin le plus profond est contenu dans l'autre : il passe en premier
+  return b.length - a.length;
+}
+
+/**
+ * Compare deux valeurs JSON
+ * @private
+ * @param {*} a - Première valeur
+ * @param {*} b - Seconde valeur
+ * @returns {boolean} - true si les valeurs sont identiques
+ */
+function isSameValue(a, b) {
+  return a === b || (a !== undefined && b !== undefined && JSON.stringify(a) === JSON.stringify(b));
+}
\ No newline at end of file
@@ -4,21 +4,51 @@
  */
 
 import { ERROR_CODES, ERROR_TYPES } from './constants.js';
+import { formatMessage } from './messages/index.js';
 
 /**
  * Formatte une erreur de validation
- * @param {string} message - Message d'erreur
+ * Le message est soit un texte libre, soit un descripteur produit par msg() :
+ * il est alors rédigé dans la langue par défaut à partir du catalogue, et le
+ * constat conserve sa clé (messageKey) et ses paramètres (params) pour être traduit.
+ * @param {string|Object} message - Message d'erreur ou descripteur {variant, params}
  * @param {string} path - Chemin vers la valeur problématique
  * @param {string} code - Code d'erreur
  * @param {string} type - Type d'erreur (ERROR, WARNING, INFO)
+ * @param {Object} [fix] - Correction proposée, produite par createFix (utilisée par autoFix)
+ * @param {string} [rule] - Identifiant du contrôle (voir RULES), utilisé par les profils de validation ;
+ *   à défaut, la clé du message
  * @returns {Object} - Erreur formattée
  */
-export function formatError(message, path = '', code = ERROR_CODES.INVALID_VALUE, type = ERROR_TYPES.ERROR) {
+export function formatError(message, path = '', code = ERROR_CODES.INVALID_VALUE, type = ERROR_TYPES.ERROR, fix = null, rule = null) {
+  const isDescriptor = message !== null && typeof message === 'object';
+  const messageKey = isDescriptor
+    ? (message.variant.includes('.') ? message.variant : `${code}.${message.variant}`)
+    : null;
+  const params = isDescriptor ? message.params : {};
+  
   return {
     type,
     code,
+    rule: rule || messageKey,
     path,
-    message,
-    timestamp: Date.now()
+    message: isDescriptor ? formatMessage(messageKey, params) : message,
+    messageKey,
+    params,
+    timestamp: Date.now(),
+    ...(fix ? { fix } : {})
   };
+}
+
+/**
+ * Décrit la correction d'un constat
+ * La correction est une donnée (et non une fonction) : elle peut être mise en cache,
+ * transmise aux workers et présentée à l'utilisateur avant d'être appliquée.
+ * @param {string} rule - Règle de correction (voir FIX_RULES)
+ * @param {Array<Object>} changes - Modifications {path, value} ou suppressions {path, remove: true},
+ *   les chemins étant relatifs à l'entité (ex: "attachNodes[0].orientation")
+ * @returns {Object} - Correction {rule, changes}
+ */
+export function createFix(rule, changes) {
+  return { rule, changes };
 }
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Validateur spécifique pour les pièces aérodynamiques
+ * (ailes, gouvernes, cônes de nez et prises d'air)
+ * @module api/utils/datavalidator/helpers/aeroValidator
+ */
+
+import { getNestedValue } from '../../../../utils/SafeAccess.js';
+import { ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
+import { formatError } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { validateSchema } from './schemaValidator.js';
+import {
+  AERO_SCHEMA,
+  LIFTING_SURFACE_MODULE_SCHEMA,
+  CONTROL_SURFACE_MODULE_SCHEMA,
+  INTAKE_MODULE_SCHEMA
+} from '../schemas/aero.js';
+
+/**
+ * Modules aérodynamiques reconnus
+ * @enum {string}
+ */
+export const AERO_MODULES = {
+  LIFTING_SURFACE: 'ModuleLiftingSurface',
+  CONTROL_SURFACE: 'ModuleControlSurface',
+  INTAKE: 'ModuleResourceIntake'
+};
+
+/**
+ * Plage plausible du rapport portance/masse (deflectionLiftCoeff par tonne de masse sèche)
+ * Les ailes du jeu de base sont autour de 10, les gouvernes plus lourdes vers 4.
+ * @private
+ * @type {Object}
+ */
+const LIFT_TO_MASS_RANGE = { min: 2, max: 25 };
+
+/**
+ * Valide une pièce aérodynamique
+ * Les champs de traînée sont vérifiés sur la pièce, puis chaque module aérodynamique.
+ * @param {Object} part - Pièce à valider
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+export function validateAeroPart(part, errors, warnings, infos) {
+  validateSchema(part, AERO_SCHEMA, errors, warnings);
+  validateDragRange(part, warnings);
+  
+  const modules = getNestedValue(part, 'modules', null);
+  
+  if (!Array.isArray(modules)) {
+    return;
+  }
+  
+  modules.forEach((module, index) => {
+    switch (getNestedValue(module, 'name', '')) {
+      case AERO_MODULES.LIFTING_SURFACE:
+      case AERO_MODULES.CONTROL_SURFACE:
+        validateLiftingSurface(part, index, errors, warnings);
+        break;
+      case AERO_MODULES.INTAKE:
+        validateIntake(part, index, errors, warnings);
+        break;
+      default:
+        break;
+    }
+  });
+}
+
+/**
+ * Vérifie que la traînée minimale ne dépasse pas la traînée maximale
+ * @param {Object} part - Pièce à valider
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateDragRange(part, warnings) {
+  const min = getNestedValue(part, 'minimum_drag', null);
+  const max = getNestedValue(part, 'maximum_drag', null);
+  
+  if (typeof min === 'number' && typeof max === 'number' && min > max) {
+    warnings.push(formatError(
+      msg('dragRange', { min, max, scope: [{ label: 'aero' }] }),
+      'minimum_drag',
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.AERO_DRAG_RANGE
+    ));
+  }
+}
+
+/**
+ * Valide une surface portante (ModuleLiftingSurface) ou une gouverne (ModuleControlSurface)
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateLiftingSurface(part, index, errors, warnings) {
+  const module = part.modules[index];
+  const control = getNestedValue(module, 'name', '') === AERO_MODULES.CONTROL_SURFACE;
+  const label = control ? 'controlSurface' : 'liftingSurface';
+  const paramsPath = `modules[${index}].params`;
+  
+  validateSchema(module, control ? CONTROL_SURFACE_MODULE_SCHEMA : LIFTING_SURFACE_MODULE_SCHEMA, errors, warnings, {
+    path: `modules[${index}]`
+  });
+  
+  const params = getNestedValue(module, 'params', null);
+  
+  if (params === null || typeof params !== 'object') {
+    return;
+  }
+  
+  // Une gouverne sans débattement ou sans partie mobile ne sert à rien
+  if (control) {
+    ['ctrlSurfaceRange', 'ctrlSurfaceArea']
+      .filter(field => params[field] === 0)
+      .forEach(field => {
+        warnings.push(formatError(
+          msg('controlSurfaceLocked', { field, scope: [{ label }] }),
+          `${paramsPath}.${field}`,
+          ERROR_CODES.UNUSUAL_VALUE,
+          ERROR_TYPES.WARNING,
+          null,
+          RULES.AERO_CONTROL_SURFACE_LOCKED
+        ));
+      });
+  }
+  
+  const lift = params.deflectionLiftCoeff;
+  const dryMass = getNestedValue(part, 'mass.dry', null);
+  
+  if (typeof lift !== 'number' || lift <= 0 || typeof dryMass !== 'number' || dryMass <= 0) {
+    return;
+  }
+  
+  const ratio = lift / dryMass;
+  
+  if (ratio < LIFT_TO_MASS_RANGE.min || ratio > LIFT_TO_MASS_RANGE.max) {
+    warnings.push(formatError(
+      msg('liftToMass', { ratio, ...LIFT_TO_MASS_RANGE, scope: [{ label }] }),
+      `${paramsPath}.deflectionLiftCoeff`,
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.AERO_LIFT_TO_MASS
+    ));
+  }
+}
+
+/**
+ * Valide une prise d'air (ModuleResourceIntake)
+ * La ressource aspirée doit être stockée par la pièce ; son existence dans le jeu de
+ * données est vérifiée avec les autres références (validatePartResourceReferences).
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateIntake(part, index, errors, warnings) {
+  const module = part.modules[index];
+  
+  validateSchema(module, INTAKE_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  
+  const resourceName = getNestedValue(module, 'params.resourceName', null);
+  
+  if (typeof resourceName !== 'string' || resourceName === '') {
+    return;
+  }
+  
+  const resources = getNestedValue(part, 'resources', []);
+  const stored = Array.isArray(resources) &&
+    resources.some(resource => getNestedValue(resource, 'type', '') === resourceName);
+  
+  if (!stored) {
+    warnings.push(formatError(
+      msg('intakeStorage', { resource: resourceName, scope: [{ label: 'intake' }] }),
+      `modules[${index}].params.resourceName`,
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.AERO_INTAKE_STORAGE
+    ));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Validateur spécifique pour la cohérence physique et orbitale des corps célestes
+ * @module api/utils/datavalidator/helpers/celestialBodyValidator
+ *
+ * Les grandeurs sont en unités SI : rayon, demi-grand axe et hauteur d'atmosphère en mètres,
+ * masse en kilogrammes, gravité en m/s² et période orbitale en secondes.
+ */
+
+import { getNestedValue } from '../../../../utils/SafeAccess.js';
+import { GRAVITATIONAL_CONSTANT } from '../../../../utils/physicsConstants.js';
+import { ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
+import { formatError } from '../formatters.js';
+import { msg } from '../messages/index.js';
+
+/**
+ * Écarts relatifs tolérés entre les valeurs déclarées et les valeurs recalculées
+ * Les packs de planètes arrondissent souvent la gravité et la période à quelques chiffres.
+ * @type {Object}
+ */
+export const CELESTIAL_BODY_TOLERANCES = {
+  gravity: 0.01,      // Gravité de surface comparée à G·M/r²
+  orbitalPeriod: 0.01 // Période orbitale comparée à la troisième loi de Kepler
+};
+
+/**
+ * Valide les propriétés physiques d'un corps céleste
+ * La gravité de surface doit valoir G·M/r² et l'excentricité d'une orbite liée doit être
+ * comprise dans [0, 1). Les contrôles qui dépendent du parent sont faits avec les autres
+ * relations du jeu de données (validateCelestialBodyOrbits).
+ * @param {Object} body - Corps céleste à valider
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateBodyPhysics(body, errors, warnings) {
+  const gravity = getNestedValue(body, 'physical.gravity', null);
+  const expected = getSurfaceGravity(body);
+  
+  if (typeof gravity === 'number' && expected !== null &&
+    Math.abs(gravity - expected) > CELESTIAL_BODY_TOLERANCES.gravity * expected) {
+    warnings.push(formatError(
+      msg('surfaceGravity', { gravity, expected }),
+      'physical.gravity',
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.CELESTIAL_BODY_GRAVITY
+    ));
+  }
+  
+  const eccentricity = getNestedValue(body, 'orbit.eccentricity', null);
+  
+  if (typeof eccentricity === 'number' && (eccentricity < 0 || eccentricity >= 1)) {
+    errors.push(formatError(
+      msg('eccentricity', { eccentricity }),
+      'orbit.eccentricity',
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.CELESTIAL_BODY_ECCENTRICITY
+    ));
+  }
+}
+
+/**
+ * Valide les courbes de l'atmosphère (pressureCurve, temperatureCurve)
+ * Comme dans le jeu, les clés sont considérées par altitude croissante : les valeurs ne
+ * doivent pas être négatives, la pression ne doit pas croître avec l'altitude et chaque
+ * courbe doit se terminer à la limite de l'atmosphère (atmosphere.height).
+ * @param {Object} body - Corps céleste à valider
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateAtmosphereCurves(body, errors, warnings) {
+  const atmosphere = getNestedValue(body, 'atmosphere', null);
+  
+  if (!atmosphere || atmosphere.present !== true) {
+    return;
+  }
+  
+  const scope = [{ label: 'atmosphere' }];
+  
+  ['pressureCurve', 'temperatureCurve'].forEach(field => {
+    const curve = atmosphere[field];
+    const curvePath = `atmosphere.${field}`;
+    
+    if (!Array.isArray(curve)) {
+      return;
+    }
+    
+    // Clés valides uniquement : les autres sont signalées par le schéma
+    const keys = curve
+      .map((key, keyIndex) => ({ key, keyIndex }))
+      .filter(({ key }) => Array.isArray(key) && typeof key[0] === 'number' && typeof key[1] === 'number')
+      .sort((a, b) => a.key[0] - b.key[0]);
+    
+    keys.forEach(({ key, keyIndex }, position) => {
+      if (key[1] < 0) {
+        errors.push(formatError(
+          msg('negativeCurveValue', { field, index: keyIndex, value: key[1], scope }),
+          `${curvePath}[${keyIndex}]`,
+          ERROR_CODES.INVALID_VALUE,
+          ERROR_TYPES.ERROR,
+          null,
+          RULES.CELESTIAL_BODY_ATMOSPHERE_CURVE
+        ));
+      }
+      
+      if (position === 0) {
+        return;
+      }
+      
+      const previous = keys[position - 1].key;
+      
+      if (key[0] === previous[0]) {
+        warnings.push(formatError(
+          msg('duplicateCurveKey', { field, index: keyIndex, x: key[0], scope }),
+          `${curvePath}[${keyIndex}]`,
+          ERROR_CODES.CONSTRAINT_VIOLATION,
+          ERROR_TYPES.WARNING,
+          null,
+          RULES.CELESTIAL_BODY_ATMOSPHERE_CURVE
+        ));
+      } else if (field === 'pressureCurve' && key[1] > previous[1]) {
+        warnings.push(formatError(
+          msg('pressureCurveIncreasing', { index: keyIndex, scope }),
+          `${curvePath}[${keyIndex}]`,
+          ERROR_CODES.UNUSUAL_VALUE,
+          ERROR_TYPES.WARNING,
+          null,
+          RULES.CELESTIAL_BODY_ATMOSPHERE_CURVE
+        ));
+      }
+    });
+    
+    const height = atmosphere.height;
+    
+    if (keys.length > 0 && typeof height === 'number' && keys[keys.length - 1].key[0] !== height) {
+      warnings.push(formatError(
+        msg('atmosphereCurveEnd', { field, end: keys[keys.length - 1].key[0], height, scope }),
+        curvePath,
+        ERROR_CODES.CONSTRAINT_VIOLATION,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.CELESTIAL_BODY_ATMOSPHERE_CURVE
+      ));
+    }
+  });
+}
+
+/**
+ * Calcule la gravité de surface d'un corps céleste (G·M/r²)
+ * @param {Object} body - Corps céleste
+ * @returns {number|null} - Gravité en m/s², ou null si la masse ou le rayon manque
+ */
+export function getSurfaceGravity(body) {
+  const mass = getNestedValue(body, 'physical.mass', null);
+  const radius = getNestedValue(body, 'physical.radius', null);
+  
+  if (typeof mass !== 'number' || typeof radius !== 'number' || radius <= 0) {
+    return null;
+  }
+  
+  return GRAVITATIONAL_CONSTANT * mass / (radius * radius);
+}
\ No newline at end of file
@@ -4,8 +4,11 @@
  */
 
 import { getNestedValue } from '../../../../utils/SafeAccess.js';
-import { ERROR_CODES, ERROR_TYPES } from '../constants.js';
+import { ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
 import { formatError } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { validateSchema } from './schemaValidator.js';
+import { COMMAND_SCHEMA } from '../schemas/command.js';
 
 /**
  * Valide un module de commande
@@ -15,42 +18,14 @@ import { formatError } from '../formatters.js';
  * @param {Array} infos - Tableau des informations à remplir
  */
 export function validateCommand(command, errors, warnings, infos) {
-  validateCrewCapacity(command, errors);
+  // Champs spécifiques aux modules de commande (équipage, modules)
+  validateSchema(command, COMMAND_SCHEMA, errors, warnings);
   validateCommandModules(command, errors, warnings);
   validateElectricalResources(command, warnings);
 }
 
 /**
- * Valide la capacité d'équipage
- * @param {Object} command - Module de commande à valider
- * @param {Array} errors - Tableau des erreurs à remplir
- */
-export function validateCrewCapacity(command, errors) {
-  const crewCapacity = getNestedValue(command, 'crewCapacity', null);
-  
-  if (crewCapacity === null) {
-    errors.push(formatError(
-      "Module de commande: Champ 'crewCapacity' manquant",
-      'crewCapacity',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (typeof crewCapacity !== 'number' || !Number.isInteger(crewCapacity)) {
-    errors.push(formatError(
-      "Module de commande: Le champ 'crewCapacity' doit être un entier",
-      'crewCapacity',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  } else if (crewCapacity < 0) {
-    errors.push(formatError(
-      "Module de commande: Le champ 'crewCapacity' ne peut pas être négatif",
-      'crewCapacity',
-      ERROR_CODES.INVALID_VALUE
-    ));
-  }
-}
-
-/**
- * Valide les modules du module de commande
+ * Vérifie la présence des modules attendus sur un module de commande
  * @param {Object} command - Module de commande à valider
  * @param {Array} errors - Tableau des erreurs à remplir
  * @param {Array} warnings - Tableau des avertissements à remplir
@@ -58,46 +33,41 @@ export function validateCrewCapacity(command, errors) {
 export function validateCommandModules(command, errors, warnings) {
   const modules = getNestedValue(command, 'modules', null);
   
-  if (modules === null) {
-    errors.push(formatError(
-      "Module de commande: Champ 'modules' manquant",
-      'modules',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (!Array.isArray(modules)) {
-    errors.push(formatError(
-      "Module de commande: Le champ 'modules' doit être un tableau",
-      'modules',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  } else {
+  if (Array.isArray(modules)) {
     // Vérifier la présence de modules requis
     const moduleNames = modules.map(module => getNestedValue(module, 'name', '')).filter(name => name);
     
     if (!moduleNames.includes('ModuleSAS')) {
       warnings.push(formatError(
-        "Module de commande: Le module 'ModuleSAS' est généralement requis",
+        msg('recommendedModule', { module: 'ModuleSAS', scope: [{ label: 'command' }] }),
         'modules',
         ERROR_CODES.UNUSUAL_VALUE,
-        ERROR_TYPES.WARNING
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.COMMAND_SAS_MODULE
       ));
     }
     
     if (!moduleNames.includes('ModuleReactionWheel')) {
       warnings.push(formatError(
-        "Module de commande: Le module 'ModuleReactionWheel' est généralement requis",
+        msg('recommendedModule', { module: 'ModuleReactionWheel', scope: [{ label: 'command' }] }),
         'modules',
         ERROR_CODES.UNUSUAL_VALUE,
-        ERROR_TYPES.WARNING
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.COMMAND_REACTION_WHEEL_MODULE
       ));
     }
     
     const crewCapacity = getNestedValue(command, 'crewCapacity', 0);
     if (crewCapacity > 0 && !moduleNames.includes('ModuleCommand')) {
       errors.push(formatError(
-        "Module de commande avec équipage: Le module 'ModuleCommand' est requis",
+        msg('requiredModule', { module: 'ModuleCommand', scope: [{ label: 'crewedCommand' }] }),
         'modules',
-        ERROR_CODES.REQUIRED_FIELD_MISSING
+        ERROR_CODES.REQUIRED_FIELD_MISSING,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.COMMAND_CREWED_MODULE
       ));
     }
   }
@@ -118,10 +88,12 @@ export function validateElectricalResources(command, warnings) {
   
   if (!hasElectricalResource) {
     warnings.push(formatError(
-      "Module de commande: Aucune ressource électrique trouvée",
+      msg('noElectricCharge', { scope: [{ label: 'command' }] }),
       'resources',
       ERROR_CODES.UNUSUAL_VALUE,
-      ERROR_TYPES.WARNING
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.COMMAND_ELECTRIC_CHARGE
     ));
   }
 }
\ No newline at end of file
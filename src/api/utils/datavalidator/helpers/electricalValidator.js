@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Validateur spécifique pour les pièces électriques
+ * (batteries, panneaux solaires, générateurs thermoélectriques et piles à combustible)
+ * @module api/utils/datavalidator/helpers/electricalValidator
+ */
+
+import { getNestedValue } from '../../../../utils/SafeAccess.js';
+import { ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
+import { formatError } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { validateSchema } from './schemaValidator.js';
+import {
+  GENERATOR_MODULE_SCHEMA,
+  SOLAR_PANEL_MODULE_SCHEMA,
+  CONVERTER_MODULE_SCHEMA
+} from '../schemas/electrical.js';
+
+/**
+ * Modules électriques reconnus
+ * @enum {string}
+ */
+export const ELECTRICAL_MODULES = {
+  GENERATOR: 'ModuleGenerator',
+  SOLAR_PANEL: 'ModuleDeployableSolarPanel',
+  CONVERTER: 'ModuleResourceConverter'
+};
+
+/**
+ * Ressource électrique
+ * @type {string}
+ */
+export const ELECTRIC_CHARGE = 'ElectricCharge';
+
+/**
+ * Production maximale plausible d'un générateur sans consommation (unités/s par tonne)
+ * Le RTG du jeu de base produit 0,75 ElectricCharge/s pour 0,08 t, soit environ 9,4.
+ * @private
+ * @type {number}
+ */
+const MAX_FREE_OUTPUT_PER_TON = 20;
+
+/**
+ * Valide une pièce électrique
+ * Chaque module électrique de la pièce est vérifié ; une pièce de la catégorie
+ * "electrical" doit en outre stocker ou produire de la charge électrique.
+ * @param {Object} part - Pièce à valider
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+export function validatePowerPart(part, errors, warnings, infos) {
+  const modules = getNestedValue(part, 'modules', null);
+  const list = Array.isArray(modules) ? modules : [];
+  
+  list.forEach((module, index) => {
+    switch (getNestedValue(module, 'name', '')) {
+      case ELECTRICAL_MODULES.GENERATOR:
+        validateGenerator(part, index, errors, warnings);
+        break;
+      case ELECTRICAL_MODULES.SOLAR_PANEL:
+        validateSolarPanel(part, index, errors, warnings);
+        break;
+      case ELECTRICAL_MODULES.CONVERTER:
+        validateConverter(part, index, errors, warnings);
+        break;
+      default:
+        break;
+    }
+  });
+  
+  if (getNestedValue(part, 'category', '') !== 'electrical') {
+    return;
+  }
+  
+  const resources = getNestedValue(part, 'resources', []);
+  const stores = Array.isArray(resources) &&
+    resources.some(resource => getNestedValue(resource, 'type', '') === ELECTRIC_CHARGE);
+  const produces = list.some(module => getProducedResources(module).includes(ELECTRIC_CHARGE));
+  
+  if (!stores && !produces) {
+    warnings.push(formatError(
+      msg('noPowerFunction', { resource: ELECTRIC_CHARGE }),
+      'resources',
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.ELECTRICAL_NO_POWER
+    ));
+  }
+}
+
+/**
+ * Valide un générateur (ModuleGenerator)
+ * Un générateur sans entrée (RTG) produit de l'énergie gratuitement : sa production
+ * rapportée à la masse sèche de la pièce doit rester plausible.
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateGenerator(part, index, errors, warnings) {
+  const module = part.modules[index];
+  
+  validateSchema(module, GENERATOR_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  validateResourceLoop(module, index, 'generator', warnings);
+  
+  const inputs = getNestedValue(module, 'params.inputs', []);
+  const outputs = getNestedValue(module, 'params.outputs', null);
+  const dryMass = getNestedValue(part, 'mass.dry', null);
+  
+  if ((Array.isArray(inputs) && inputs.length > 0) || !Array.isArray(outputs) ||
+      typeof dryMass !== 'number' || dryMass <= 0) {
+    return;
+  }
+  
+  outputs.forEach((output, outputIndex) => {
+    const rate = getNestedValue(output, 'rate', null);
+    
+    if (typeof rate === 'number' && rate / dryMass > MAX_FREE_OUTPUT_PER_TON) {
+      warnings.push(formatError(
+        msg('freeOutput', {
+          resource: getNestedValue(output, 'type', ''),
+          rate: rate / dryMass,
+          max: MAX_FREE_OUTPUT_PER_TON,
+          scope: [{ label: 'generator' }]
+        }),
+        `modules[${index}].params.outputs[${outputIndex}].rate`,
+        ERROR_CODES.UNUSUAL_VALUE,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.ELECTRICAL_GENERATOR_OUTPUT
+      ));
+    }
+  });
+}
+
+/**
+ * Valide un panneau solaire (ModuleDeployableSolarPanel)
+ * Comme dans le jeu, les clés de powerCurve sont considérées par distance croissante
+ * (elles peuvent être écrites dans le désordre) : le multiplicateur doit être positif
+ * et ne pas croître lorsque l'on s'éloigne du soleil.
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateSolarPanel(part, index, errors, warnings) {
+  const module = part.modules[index];
+  const curvePath = `modules[${index}].params.powerCurve`;
+  
+  validateSchema(module, SOLAR_PANEL_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  
+  const curve = getNestedValue(module, 'params.powerCurve', null);
+  
+  if (!Array.isArray(curve)) {
+    return;
+  }
+  
+  // Clés valides uniquement : les autres sont signalées par le schéma
+  const keys = curve
+    .map((key, keyIndex) => ({ key, keyIndex }))
+    .filter(({ key }) => Array.isArray(key) && typeof key[0] === 'number' && typeof key[1] === 'number')
+    .sort((a, b) => a.key[0] - b.key[0]);
+  
+  keys.forEach(({ key, keyIndex }, position) => {
+    if (key[1] < 0) {
+      errors.push(formatError(
+        msg('negativeCurveValue', { field: 'powerCurve', index: keyIndex, value: key[1], scope: [{ label: 'solarPanel' }] }),
+        `${curvePath}[${keyIndex}]`,
+        ERROR_CODES.INVALID_VALUE,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.ELECTRICAL_POWER_CURVE
+      ));
+    }
+    
+    if (position === 0) {
+      return;
+    }
+    
+    const previous = keys[position - 1].key;
+    
+    if (key[0] === previous[0]) {
+      warnings.push(formatError(
+        msg('duplicateCurveKey', { field: 'powerCurve', index: keyIndex, x: key[0], scope: [{ label: 'solarPanel' }] }),
+        `${curvePath}[${keyIndex}]`,
+        ERROR_CODES.CONSTRAINT_VIOLATION,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.ELECTRICAL_POWER_CURVE
+      ));
+    } else if (key[1] > previous[1]) {
+      warnings.push(formatError(
+        msg('powerCurveIncreasing', { index: keyIndex, scope: [{ label: 'solarPanel' }] }),
+        `${curvePath}[${keyIndex}]`,
+        ERROR_CODES.UNUSUAL_VALUE,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.ELECTRICAL_POWER_CURVE
+      ));
+    }
+  });
+}
+
+/**
+ * Valide un convertisseur de ressources (ModuleResourceConverter), par exemple une pile à combustible
+ * L'existence des ressources échangées est vérifiée avec les autres références
+ * (validatePartResourceReferences).
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateConverter(part, index, errors, warnings) {
+  const module = part.modules[index];
+  
+  validateSchema(module, CONVERTER_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  validateResourceLoop(module, index, 'converter', warnings);
+}
+
+/**
+ * Liste les ressources consommées ou produites par un module électrique
+ * @param {Object} module - Module de la pièce
+ * @returns {Array<Object>} - Ressources {type, path} où path est relatif au module
+ */
+export function getModuleResourceFlows(module) {
+  const name = getNestedValue(module, 'name', '');
+  
+  if (name === ELECTRICAL_MODULES.SOLAR_PANEL) {
+    return [{ type: getNestedValue(module, 'params.resourceName', ELECTRIC_CHARGE), path: 'params.resourceName' }];
+  }
+  
+  if (name !== ELECTRICAL_MODULES.GENERATOR && name !== ELECTRICAL_MODULES.CONVERTER) {
+    return [];
+  }
+  
+  return ['inputs', 'outputs'].flatMap(direction => {
+    const flows = getNestedValue(module, `params.${direction}`, []);
+    
+    return Array.isArray(flows)
+      ? flows.map((flow, index) => ({ type: getNestedValue(flow, 'type', null), path: `params.${direction}[${index}].type` }))
+      : [];
+  });
+}
+
+/**
+ * Liste les ressources produites par un module électrique
+ * @private
+ * @param {Object} module - Module de la pièce
+ * @returns {Array<string>} - Types de ressources
+ */
+function getProducedResources(module) {
+  return getModuleResourceFlows(module)
+    .filter(flow => !flow.path.startsWith('params.inputs'))
+    .map(flow => flow.type);
+}
+
+/**
+ * Signale les ressources à la fois consommées et produites par un module
+ * @private
+ * @param {Object} module - Module de la pièce
+ * @param {number} index - Index du module dans modules[]
+ * @param {string} label - Terme du catalogue désignant le module
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+function validateResourceLoop(module, index, label, warnings) {
+  const types = direction => {
+    const flows = getNestedValue(module, `params.${direction}`, []);
+    return Array.isArray(flows) ? flows.map(flow => getNestedValue(flow, 'type', null)) : [];
+  };
+  
+  const inputs = types('inputs');
+  
+  types('outputs').forEach((type, outputIndex) => {
+    if (typeof type === 'string' && inputs.includes(type)) {
+      warnings.push(formatError(
+        msg('resourceLoop', { resource: type, scope: [{ label }] }),
+        `modules[${index}].params.outputs[${outputIndex}].type`,
+        ERROR_CODES.UNUSUAL_VALUE,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.ELECTRICAL_RESOURCE_LOOP
+      ));
+    }
+  });
+}
\ No newline at end of file
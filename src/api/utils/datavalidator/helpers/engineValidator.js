@@ -4,8 +4,40 @@
  */
 
 import { getNestedValue } from '../../../../utils/SafeAccess.js';
-import { ERROR_CODES, ERROR_TYPES } from '../constants.js';
-import { formatError } from '../formatters.js';
+import { G0 } from '../../../../utils/physicsConstants.js';
+import { ERROR_CODES, ERROR_TYPES, FIX_RULES, RULES } from '../constants.js';
+import { formatError, createFix } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { validateSchema } from './schemaValidator.js';
+import { ENGINE_SCHEMA } from '../schemas/engine.js';
+
+/**
+ * Précision des ratios de propergols recalculés (6 décimales)
+ * @type {number}
+ */
+const RATIO_PRECISION = 1e6;
+
+/**
+ * Bornes de plausibilité des moteurs
+ * Le rapport poussée/poids (poussée dans le vide sur poids à sec) va d'environ 0,8
+ * (moteur ionique) à une quarantaine (petits propulseurs à poudre) dans le jeu de base.
+ * @private
+ * @type {Object}
+ */
+const ENGINE_LIMITS = {
+  minThrustToWeight: 0.1,
+  maxThrustToWeight: 100,
+  ratioTolerance: 0.05,   // Écart relatif toléré entre rapport des poussées et rapport des ISP
+  massFlowTolerance: 0.02 // Écart relatif toléré sur le débit massique déclaré
+};
+
+/**
+ * Propergols des moteurs aérobies : leur débit dépend de la vitesse et de l'altitude,
+ * la poussée ne suit donc pas l'ISP à débit constant
+ * @private
+ * @type {Array<string>}
+ */
+const AIR_BREATHING_PROPELLANTS = ['IntakeAir'];
 
 /**
  * Valide un moteur
@@ -15,172 +47,117 @@ import { formatError } from '../formatters.js';
  * @param {Array} infos - Tableau des informations à remplir
  */
 export function validateEngine(engine, errors, warnings, infos) {
-  // Champs spécifiques aux moteurs
-  validateEngineType(engine, errors);
-  validateEngineThrust(engine, errors);
-  validateEngineIsp(engine, errors);
+  // Champs spécifiques aux moteurs (type, poussée, ISP, propergols)
+  validateSchema(engine, ENGINE_SCHEMA, errors, warnings);
   validateEnginePropellants(engine, errors, warnings);
+  validateEnginePerformance(engine, warnings);
 }
 
 /**
- * Valide le type de moteur
+ * Vérifie la plausibilité physique des performances du moteur
+ * À débit massique constant, F = ṁ · Isp · g₀ : l'ISP atmosphérique ne peut pas dépasser
+ * l'ISP dans le vide, le rapport des poussées doit suivre celui des ISP, et le débit
+ * déclaré (maxFuelFlow) doit correspondre à poussée / (Isp · g₀) dans le vide.
  * @param {Object} engine - Moteur à valider
- * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
  */
-export function validateEngineType(engine, errors) {
-  const engineType = getNestedValue(engine, 'engineType', null);
+export function validateEnginePerformance(engine, warnings) {
+  const thrustVacuum = getNestedValue(engine, 'thrust.vacuum', null);
+  const thrustAtmosphere = getNestedValue(engine, 'thrust.atmosphere', null);
+  const ispVacuum = getNestedValue(engine, 'isp.vacuum', null);
+  const ispAtmosphere = getNestedValue(engine, 'isp.atmosphere', null);
+  const scope = [{ label: 'engine' }];
   
-  if (engineType === null) {
-    errors.push(formatError(
-      "Moteur: Champ 'engineType' manquant",
-      'engineType',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (typeof engineType !== 'string') {
-    errors.push(formatError(
-      "Moteur: Le champ 'engineType' doit être une chaîne de caractères",
-      'engineType',
-      ERROR_CODES.INVALID_TYPE
+  // Valeurs invalides signalées par le schéma
+  const valid = value => typeof value === 'number' && Number.isFinite(value);
+  
+  if (valid(ispVacuum) && ispVacuum > 0 && valid(ispAtmosphere) && ispAtmosphere > ispVacuum) {
+    warnings.push(formatError(
+      msg('ispAtmosphereAboveVacuum', { atmosphere: ispAtmosphere, vacuum: ispVacuum, scope }),
+      'isp.atmosphere',
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.ENGINE_ISP_ORDER
     ));
   }
-}
-
-/**
- * Valide la poussée du moteur
- * @param {Object} engine - Moteur à valider
- * @param {Array} errors - Tableau des erreurs à remplir
- */
-export function validateEngineThrust(engine, errors) {
-  const thrust = getNestedValue(engine, 'thrust', null);
   
-  if (thrust === null) {
-    errors.push(formatError(
-      "Moteur: Champ 'thrust' manquant",
-      'thrust',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (typeof thrust !== 'object') {
-    errors.push(formatError(
-      "Moteur: Le champ 'thrust' doit être un objet",
-      'thrust',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  } else {
-    const vacuum = getNestedValue(thrust, 'vacuum', null);
+  if (valid(thrustVacuum) && thrustVacuum > 0 && valid(thrustAtmosphere) &&
+      valid(ispVacuum) && ispVacuum > 0 && valid(ispAtmosphere) && !isAirBreathing(engine)) {
+    const thrustRatio = thrustAtmosphere / thrustVacuum;
+    const ispRatio = ispAtmosphere / ispVacuum;
     
-    if (vacuum === null) {
-      errors.push(formatError(
-        "Moteur: Champ 'thrust.vacuum' manquant",
-        'thrust.vacuum',
-        ERROR_CODES.REQUIRED_FIELD_MISSING
-      ));
-    } else if (typeof vacuum !== 'number') {
-      errors.push(formatError(
-        "Moteur: Le champ 'thrust.vacuum' doit être un nombre",
-        'thrust.vacuum',
-        ERROR_CODES.INVALID_TYPE
+    if (Math.abs(thrustRatio - ispRatio) > ENGINE_LIMITS.ratioTolerance * Math.max(ispRatio, thrustRatio)) {
+      warnings.push(formatError(
+        msg('thrustIspRatio', { thrustRatio, ispRatio, scope }),
+        'thrust.atmosphere',
+        ERROR_CODES.UNUSUAL_VALUE,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.ENGINE_THRUST_ISP_RATIO
       ));
-    } else if (vacuum <= 0) {
-      errors.push(formatError(
-        "Moteur: Le champ 'thrust.vacuum' doit être positif",
+    }
+  }
+  
+  const dryMass = getNestedValue(engine, 'mass.dry', null);
+  
+  if (valid(thrustVacuum) && thrustVacuum > 0 && valid(dryMass) && dryMass > 0) {
+    // kN / (t · m/s²) : rapport sans unité
+    const thrustToWeight = thrustVacuum / (dryMass * G0);
+    
+    if (thrustToWeight < ENGINE_LIMITS.minThrustToWeight || thrustToWeight > ENGINE_LIMITS.maxThrustToWeight) {
+      warnings.push(formatError(
+        msg('engineThrustToWeight', {
+          twr: thrustToWeight,
+          min: ENGINE_LIMITS.minThrustToWeight,
+          max: ENGINE_LIMITS.maxThrustToWeight,
+          scope
+        }),
         'thrust.vacuum',
-        ERROR_CODES.INVALID_VALUE
+        ERROR_CODES.UNUSUAL_VALUE,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.ENGINE_THRUST_TO_WEIGHT
       ));
     }
+  }
+  
+  const maxFuelFlow = getNestedValue(engine, 'maxFuelFlow', null);
+  
+  if (valid(maxFuelFlow) && maxFuelFlow > 0 && valid(thrustVacuum) && thrustVacuum > 0 &&
+      valid(ispVacuum) && ispVacuum > 0) {
+    // kN / (s · m/s²) = t/s
+    const expected = thrustVacuum / (ispVacuum * G0);
     
-    const atmosphere = getNestedValue(thrust, 'atmosphere', null);
-    
-    if (atmosphere === null) {
-      errors.push(formatError(
-        "Moteur: Champ 'thrust.atmosphere' manquant",
-        'thrust.atmosphere',
-        ERROR_CODES.REQUIRED_FIELD_MISSING
-      ));
-    } else if (typeof atmosphere !== 'number') {
-      errors.push(formatError(
-        "Moteur: Le champ 'thrust.atmosphere' doit être un nombre",
-        'thrust.atmosphere',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (atmosphere < 0) {
-      errors.push(formatError(
-        "Moteur: Le champ 'thrust.atmosphere' ne peut pas être négatif",
-        'thrust.atmosphere',
-        ERROR_CODES.INVALID_VALUE
+    if (Math.abs(maxFuelFlow - expected) > ENGINE_LIMITS.massFlowTolerance * expected) {
+      warnings.push(formatError(
+        msg('engineMassFlow', { declared: maxFuelFlow, expected, scope }),
+        'maxFuelFlow',
+        ERROR_CODES.UNUSUAL_VALUE,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.ENGINE_MASS_FLOW
       ));
     }
   }
 }
 
 /**
- * Valide l'ISP du moteur
- * @param {Object} engine - Moteur à valider
- * @param {Array} errors - Tableau des erreurs à remplir
+ * Indique si le moteur consomme de l'air (moteur aérobie)
+ * @private
+ * @param {Object} engine - Moteur
+ * @returns {boolean}
  */
-export function validateEngineIsp(engine, errors) {
-  const isp = getNestedValue(engine, 'isp', null);
+function isAirBreathing(engine) {
+  const propellants = getNestedValue(engine, 'propellants', []);
   
-  if (isp === null) {
-    errors.push(formatError(
-      "Moteur: Champ 'isp' manquant",
-      'isp',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (typeof isp !== 'object') {
-    errors.push(formatError(
-      "Moteur: Le champ 'isp' doit être un objet",
-      'isp',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  } else {
-    const vacuum = getNestedValue(isp, 'vacuum', null);
-    
-    if (vacuum === null) {
-      errors.push(formatError(
-        "Moteur: Champ 'isp.vacuum' manquant",
-        'isp.vacuum',
-        ERROR_CODES.REQUIRED_FIELD_MISSING
-      ));
-    } else if (typeof vacuum !== 'number') {
-      errors.push(formatError(
-        "Moteur: Le champ 'isp.vacuum' doit être un nombre",
-        'isp.vacuum',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (vacuum <= 0) {
-      errors.push(formatError(
-        "Moteur: Le champ 'isp.vacuum' doit être positif",
-        'isp.vacuum',
-        ERROR_CODES.INVALID_VALUE
-      ));
-    }
-    
-    const atmosphere = getNestedValue(isp, 'atmosphere', null);
-    
-    if (atmosphere === null) {
-      errors.push(formatError(
-        "Moteur: Champ 'isp.atmosphere' manquant",
-        'isp.atmosphere',
-        ERROR_CODES.REQUIRED_FIELD_MISSING
-      ));
-    } else if (typeof atmosphere !== 'number') {
-      errors.push(formatError(
-        "Moteur: Le champ 'isp.atmosphere' doit être un nombre",
-        'isp.atmosphere',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (atmosphere < 0) {
-      errors.push(formatError(
-        "Moteur: Le champ 'isp.atmosphere' ne peut pas être négatif",
-        'isp.atmosphere',
-        ERROR_CODES.INVALID_VALUE
-      ));
-    }
-  }
+  return Array.isArray(propellants) &&
+    propellants.some(propellant => AIR_BREATHING_PROPELLANTS.includes(getNestedValue(propellant, 'type', '')));
 }
 
 /**
- * Valide les propergols du moteur
+ * Valide la cohérence des propergols du moteur
+ * Le type et le format de chaque propergol sont vérifiés par le schéma.
  * @param {Object} engine - Moteur à valider
  * @param {Array} errors - Tableau des erreurs à remplir
  * @param {Array} warnings - Tableau des avertissements à remplir
@@ -188,75 +165,7 @@ export function validateEngineIsp(engine, errors) {
 export function validateEnginePropellants(engine, errors, warnings) {
   const propellants = getNestedValue(engine, 'propellants', null);
   
-  if (propellants === null) {
-    errors.push(formatError(
-      "Moteur: Champ 'propellants' manquant",
-      'propellants',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (!Array.isArray(propellants)) {
-    errors.push(formatError(
-      "Moteur: Le champ 'propellants' doit être un tableau",
-      'propellants',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  } else if (propellants.length === 0) {
-    errors.push(formatError(
-      "Moteur: Le tableau 'propellants' ne peut pas être vide",
-      'propellants',
-      ERROR_CODES.INVALID_VALUE
-    ));
-  } else {
-    propellants.forEach((propellant, index) => {
-      if (!propellant) {
-        warnings.push(formatError(
-          `Moteur: Propergol à l'index ${index} est null ou undefined`,
-          `propellants[${index}]`,
-          ERROR_CODES.INVALID_VALUE,
-          ERROR_TYPES.WARNING
-        ));
-        return;
-      }
-      
-      const type = getNestedValue(propellant, 'type', null);
-      
-      if (type === null) {
-        errors.push(formatError(
-          `Moteur: Propergol à l'index ${index}: Champ 'type' manquant`,
-          `propellants[${index}].type`,
-          ERROR_CODES.REQUIRED_FIELD_MISSING
-        ));
-      } else if (typeof type !== 'string') {
-        errors.push(formatError(
-          `Moteur: Propergol à l'index ${index}: Le champ 'type' doit être une chaîne de caractères`,
-          `propellants[${index}].type`,
-          ERROR_CODES.INVALID_TYPE
-        ));
-      }
-      
-      const ratio = getNestedValue(propellant, 'ratio', null);
-      
-      if (ratio === null) {
-        errors.push(formatError(
-          `Moteur: Propergol à l'index ${index}: Champ 'ratio' manquant`,
-          `propellants[${index}].ratio`,
-          ERROR_CODES.REQUIRED_FIELD_MISSING
-        ));
-      } else if (typeof ratio !== 'number') {
-        errors.push(formatError(
-          `Moteur: Propergol à l'index ${index}: Le champ 'ratio' doit être un nombre`,
-          `propellants[${index}].ratio`,
-          ERROR_CODES.INVALID_TYPE
-        ));
-      } else if (ratio <= 0) {
-        errors.push(formatError(
-          `Moteur: Propergol à l'index ${index}: Le champ 'ratio' doit être positif`,
-          `propellants[${index}].ratio`,
-          ERROR_CODES.INVALID_VALUE
-        ));
-      }
-    });
-    
+  if (Array.isArray(propellants) && propellants.length > 0) {
     // Vérifier que la somme des ratios est égale à 1
     const totalRatio = propellants.reduce((sum, propellant) => {
       const ratio = getNestedValue(propellant, 'ratio', 0);
@@ -265,11 +174,34 @@ export function validateEnginePropellants(engine, errors, warnings) {
     
     if (Math.abs(totalRatio - 1) > 0.001) {
       warnings.push(formatError(
-        `Moteur: La somme des ratios de propergols (${totalRatio.toFixed(3)}) devrait être égale à 1`,
+        msg('propellantRatioSum', { total: totalRatio, scope: [{ label: 'engine' }] }),
         'propellants',
         ERROR_CODES.CONSTRAINT_VIOLATION,
-        ERROR_TYPES.WARNING
+        ERROR_TYPES.WARNING,
+        createRatioFix(propellants, totalRatio),
+        RULES.ENGINE_PROPELLANT_RATIO_SUM
       ));
     }
   }
+}
+
+/**
+ * Propose de ramener la somme des ratios à 1 en conservant leurs proportions
+ * @private
+ * @param {Array} propellants - Propergols du moteur
+ * @param {number} totalRatio - Somme actuelle des ratios
+ * @returns {Object|null} - Correction, ou null si un ratio est invalide
+ */
+function createRatioFix(propellants, totalRatio) {
+  const ratios = propellants.map(propellant => getNestedValue(propellant, 'ratio', null));
+  
+  // Les ratios invalides sont signalés par le schéma et doivent être corrigés d'abord
+  if (totalRatio <= 0 || !ratios.every(ratio => typeof ratio === 'number' && ratio > 0)) {
+    return null;
+  }
+  
+  return createFix(FIX_RULES.RESCALE_PROPELLANT_RATIOS, ratios.map((ratio, index) => ({
+    path: `propellants[${index}].ratio`,
+    value: Math.round((ratio / totalRatio) * RATIO_PRECISION) / RATIO_PRECISION
+  })));
 }
\ No newline at end of file
@@ -4,8 +4,11 @@
  */
 
 import { getNestedValue } from '../../../../utils/SafeAccess.js';
-import { ERROR_CODES, ERROR_TYPES } from '../constants.js';
+import { ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
 import { formatError } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { validateSchema } from './schemaValidator.js';
+import { FUEL_TANK_SCHEMA } from '../schemas/fuelTank.js';
 
 /**
  * Valide un réservoir de carburant
@@ -15,34 +18,12 @@ import { formatError } from '../formatters.js';
  * @param {Array} infos - Tableau des informations à remplir
  */
 export function validateFuelTank(tank, errors, warnings, infos) {
-  validateTankType(tank, errors);
+  // Champs spécifiques aux réservoirs (type, ressources, volume)
+  validateSchema(tank, FUEL_TANK_SCHEMA, errors, warnings);
   validateTankResources(tank, errors, warnings);
   validateTankVolume(tank, errors, warnings);
 }
 
-/**
- * Valide le type de réservoir
- * @param {Object} tank - Réservoir à valider
- * @param {Array} errors - Tableau des erreurs à remplir
- */
-export function validateTankType(tank, errors) {
-  const tankType = getNestedValue(tank, 'tankType', null);
-  
-  if (tankType === null) {
-    errors.push(formatError(
-      "Réservoir: Champ 'tankType' manquant",
-      'tankType',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (typeof tankType !== 'string') {
-    errors.push(formatError(
-      "Réservoir: Le champ 'tankType' doit être une chaîne de caractères",
-      'tankType',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  }
-}
-
 /**
  * Valide les ressources du réservoir
  * @param {Object} tank - Réservoir à valider
@@ -52,30 +33,20 @@ export function validateTankType(tank, errors) {
 export function validateTankResources(tank, errors, warnings) {
   const resources = getNestedValue(tank, 'resources', null);
   
-  if (resources === null) {
-    errors.push(formatError(
-      "Réservoir: Champ 'resources' manquant",
-      'resources',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (!Array.isArray(resources)) {
-    errors.push(formatError(
-      "Réservoir: Le champ 'resources' doit être un tableau",
-      'resources',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  } else if (resources.length === 0) {
+  if (Array.isArray(resources) && resources.length === 0) {
     warnings.push(formatError(
-      "Réservoir: Le tableau 'resources' est vide",
+      msg('emptyTankResources', { scope: [{ label: 'fuelTank' }] }),
       'resources',
       ERROR_CODES.UNUSUAL_VALUE,
-      ERROR_TYPES.WARNING
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.FUEL_TANK_EMPTY
     ));
   }
 }
 
 /**
- * Valide le volume du réservoir
+ * Valide la cohérence entre le volume du réservoir et sa capacité
  * @param {Object} tank - Réservoir à valider
  * @param {Array} errors - Tableau des erreurs à remplir
  * @param {Array} warnings - Tableau des avertissements à remplir
@@ -83,21 +54,7 @@ export function validateTankResources(tank, errors, warnings) {
 export function validateTankVolume(tank, errors, warnings) {
   const volume = getNestedValue(tank, 'volume', null);
   
-  if (volume !== null) {
-    if (typeof volume !== 'number') {
-      errors.push(formatError(
-        "Réservoir: Le champ 'volume' doit être un nombre",
-        'volume',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (volume <= 0) {
-      errors.push(formatError(
-        "Réservoir: Le champ 'volume' doit être positif",
-        'volume',
-        ERROR_CODES.INVALID_VALUE
-      ));
-    }
-    
+  if (typeof volume === 'number' && volume > 0) {
     // Vérification de l'utilisation du volume
     const resources = getNestedValue(tank, 'resources', []);
     if (Array.isArray(resources) && resources.length > 0) {
@@ -109,10 +66,12 @@ export function validateTankVolume(tank, errors, warnings) {
       // Vérifier si la capacité totale correspond au volume
       if (totalCapacity > 0 && Math.abs(totalCapacity - volume) > 0.001) {
         warnings.push(formatError(
-          `Réservoir: La capacité totale des ressources (${totalCapacity.toFixed(3)}) ne correspond pas au volume déclaré (${volume.toFixed(3)})`,
+          msg('tankCapacity', { capacity: totalCapacity, volume, scope: [{ label: 'fuelTank' }] }),
           'volume',
           ERROR_CODES.CONSTRAINT_VIOLATION,
-          ERROR_TYPES.WARNING
+          ERROR_TYPES.WARNING,
+          null,
+          RULES.FUEL_TANK_CAPACITY
         ));
       }
     }
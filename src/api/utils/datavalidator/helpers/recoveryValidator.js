@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Validateur spécifique pour le matériel de récupération
+ * (parachutes, boucliers thermiques et ressource ablative)
+ * @module api/utils/datavalidator/helpers/recoveryValidator
+ */
+
+import { getNestedValue } from '../../../../utils/SafeAccess.js';
+import { ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
+import { formatError } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { validateSchema } from './schemaValidator.js';
+import { PARACHUTE_MODULE_SCHEMA, ABLATOR_MODULE_SCHEMA } from '../schemas/recovery.js';
+
+/**
+ * Modules de récupération reconnus
+ * @enum {string}
+ */
+export const RECOVERY_MODULES = {
+  PARACHUTE: 'ModuleParachute',
+  ABLATOR: 'ModuleAblator'
+};
+
+/**
+ * Limites habituelles des parachutes
+ * La pression d'ouverture (atm) des parachutes du jeu de base va de 0,01 à 0,75 ;
+ * l'altitude de déploiement complet se règle entre 50 et 5000 m.
+ * @private
+ * @type {Object}
+ */
+const PARACHUTE_LIMITS = {
+  maxOpeningPressure: 1,
+  maxDeployAltitude: 5000
+};
+
+/**
+ * Valide le matériel de récupération d'une pièce
+ * @param {Object} part - Pièce à valider
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+export function validateRecoveryHardware(part, errors, warnings, infos) {
+  const modules = getNestedValue(part, 'modules', null);
+  
+  if (!Array.isArray(modules)) {
+    return;
+  }
+  
+  modules.forEach((module, index) => {
+    switch (getNestedValue(module, 'name', '')) {
+      case RECOVERY_MODULES.PARACHUTE:
+        validateParachute(part, index, errors, warnings);
+        break;
+      case RECOVERY_MODULES.ABLATOR:
+        validateHeatShield(part, index, errors, warnings);
+        break;
+      default:
+        break;
+    }
+  });
+}
+
+/**
+ * Valide un parachute (ModuleParachute)
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateParachute(part, index, errors, warnings) {
+  const module = part.modules[index];
+  const paramsPath = `modules[${index}].params`;
+  
+  validateSchema(module, PARACHUTE_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  
+  const params = getNestedValue(module, 'params', null);
+  
+  if (params === null || typeof params !== 'object') {
+    return;
+  }
+  
+  const { fullyDeployedDrag: full, semiDeployedDrag: semi, minAirPressureToOpen: pressure, deployAltitude: altitude } = params;
+  
+  // Un parachute semi-déployé freine moins qu'un parachute complètement déployé
+  if (typeof full === 'number' && typeof semi === 'number' && semi >= full) {
+    warnings.push(formatError(
+      msg('chuteDrag', { semi, full, scope: [{ label: 'parachute' }] }),
+      `${paramsPath}.semiDeployedDrag`,
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RECOVERY_CHUTE_DRAG
+    ));
+  }
+  
+  if (typeof pressure === 'number' && pressure > PARACHUTE_LIMITS.maxOpeningPressure) {
+    warnings.push(formatError(
+      msg('chutePressure', { pressure, max: PARACHUTE_LIMITS.maxOpeningPressure, scope: [{ label: 'parachute' }] }),
+      `${paramsPath}.minAirPressureToOpen`,
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RECOVERY_CHUTE_PRESSURE
+    ));
+  }
+  
+  if (typeof altitude === 'number' && altitude > PARACHUTE_LIMITS.maxDeployAltitude) {
+    warnings.push(formatError(
+      msg('deployAltitude', { altitude, max: PARACHUTE_LIMITS.maxDeployAltitude, scope: [{ label: 'parachute' }] }),
+      `${paramsPath}.deployAltitude`,
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RECOVERY_DEPLOY_ALTITUDE
+    ));
+  }
+}
+
+/**
+ * Valide un bouclier thermique ablatif (ModuleAblator)
+ * La pièce doit stocker la ressource ablative, et sa peau doit résister à une température
+ * supérieure au seuil d'ablation et à la température maximale de la pièce. L'existence de
+ * la ressource dans le jeu de données est vérifiée avec les autres références
+ * (validatePartResourceReferences).
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateHeatShield(part, index, errors, warnings) {
+  const module = part.modules[index];
+  const paramsPath = `modules[${index}].params`;
+  
+  validateSchema(module, ABLATOR_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  
+  const params = getNestedValue(module, 'params', null);
+  
+  if (params === null || typeof params !== 'object') {
+    return;
+  }
+  
+  // Avec un exposant positif, l'ablation diminuerait quand la température augmente
+  if (typeof params.lossExp === 'number' && params.lossExp > 0) {
+    warnings.push(formatError(
+      msg('ablatorLossExp', { value: params.lossExp, scope: [{ label: 'heatShield' }] }),
+      `${paramsPath}.lossExp`,
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RECOVERY_ABLATOR_LOSS
+    ));
+  }
+  
+  validateAblatorStorage(part, params.ablativeResource, errors, warnings);
+  
+  const skin = getNestedValue(part, 'skinMaxTemp', null);
+  
+  if (typeof skin !== 'number') {
+    return;
+  }
+  
+  const maxTemp = getNestedValue(part, 'maxTemp', null);
+  
+  if (typeof maxTemp === 'number' && skin < maxTemp) {
+    warnings.push(formatError(
+      msg('skinTemperature', { skin, max: maxTemp, scope: [{ label: 'heatShield' }] }),
+      'skinMaxTemp',
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RECOVERY_SKIN_TEMPERATURE
+    ));
+  }
+  
+  if (typeof params.ablationTempThresh === 'number' && params.ablationTempThresh >= skin) {
+    warnings.push(formatError(
+      msg('ablationThreshold', { threshold: params.ablationTempThresh, skin, scope: [{ label: 'heatShield' }] }),
+      `${paramsPath}.ablationTempThresh`,
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RECOVERY_SKIN_TEMPERATURE
+    ));
+  }
+}
+
+/**
+ * Vérifie que la pièce stocke la ressource ablative avec une capacité non nulle
+ * @private
+ * @param {Object} part - Pièce à valider
+ * @param {string} resourceName - Ressource ablative (ex: "Ablator")
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+function validateAblatorStorage(part, resourceName, errors, warnings) {
+  if (typeof resourceName !== 'string' || resourceName === '') {
+    return;
+  }
+  
+  const resources = getNestedValue(part, 'resources', []);
+  const index = Array.isArray(resources)
+    ? resources.findIndex(resource => getNestedValue(resource, 'type', '') === resourceName)
+    : -1;
+  
+  if (index === -1) {
+    errors.push(formatError(
+      msg('ablatorResource', { resource: resourceName, scope: [{ label: 'heatShield' }] }),
+      'resources',
+      ERROR_CODES.REQUIRED_FIELD_MISSING,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.RECOVERY_ABLATOR_RESOURCE
+    ));
+    return;
+  }
+  
+  if (getNestedValue(resources[index], 'maxAmount', null) === 0) {
+    warnings.push(formatError(
+      msg('emptyAblator', { resource: resourceName, scope: [{ label: 'heatShield' }] }),
+      `resources[${index}].maxAmount`,
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RECOVERY_ABLATOR_RESOURCE
+    ));
+  }
+}
\ No newline at end of file
@@ -4,8 +4,14 @@
  */
 
 import { getNestedValue } from '../../../../utils/SafeAccess.js';
-import { ERROR_CODES, ERROR_TYPES } from '../constants.js';
-import { formatError } from '../formatters.js';
+import { ERROR_CODES, ERROR_TYPES, RULES, FIX_RULES } from '../constants.js';
+import { formatError, createFix } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { AERO_MODULES } from './aeroValidator.js';
+import { getModuleResourceFlows } from './electricalValidator.js';
+import { RECOVERY_MODULES } from './recoveryValidator.js';
+import { CELESTIAL_BODY_TOLERANCES } from './celestialBodyValidator.js';
+import { getOrbitalPeriod, getSphereOfInfluence } from '../../../../utils/orbitalMechanics.js';
 
 /**
  * Valide les références entre pièces et ressources
@@ -38,9 +44,12 @@ export function validatePartResourceReferences(parts, resources, errors, warning
         
         if (resourceType && !resourcesIndex[resourceType]) {
           errors.push(formatError(
-            `La pièce "${part.id}" référence une ressource inexistante: "${resourceType}"`,
+            msg('partResource', { part: part.id, resource: resourceType }),
             `parts[${part.id}].resources[${index}].type`,
-            ERROR_CODES.REFERENCE_ERROR
+            ERROR_CODES.REFERENCE_ERROR,
+            ERROR_TYPES.ERROR,
+            null,
+            RULES.REFERENCE_PART_RESOURCE
           ));
         }
       });
@@ -58,14 +67,128 @@ export function validatePartResourceReferences(parts, resources, errors, warning
           
           if (propType && !resourcesIndex[propType]) {
             errors.push(formatError(
-              `Le moteur "${part.id}" référence un propergol inexistant: "${propType}"`,
+              msg('enginePropellant', { part: part.id, resource: propType }),
               `parts[${part.id}].propellants[${index}].type`,
-              ERROR_CODES.REFERENCE_ERROR
+              ERROR_CODES.REFERENCE_ERROR,
+              ERROR_TYPES.ERROR,
+              null,
+              RULES.REFERENCE_ENGINE_PROPELLANT
             ));
           }
         });
       }
     }
+    
+    // Vérifier les ressources des modules : prises d'air, modules électriques et boucliers thermiques
+    const modules = getNestedValue(part, 'modules', []);
+    
+    if (Array.isArray(modules)) {
+      modules.forEach((module, index) => {
+        getModuleResourceFlows(module).forEach(flow => {
+          if (typeof flow.type === 'string' && flow.type !== '' && !resourcesIndex[flow.type]) {
+            errors.push(formatError(
+              msg('converterResource', { part: part.id, resource: flow.type }),
+              `parts[${part.id}].modules[${index}].${flow.path}`,
+              ERROR_CODES.REFERENCE_ERROR,
+              ERROR_TYPES.ERROR,
+              null,
+              RULES.REFERENCE_CONVERTER_RESOURCE
+            ));
+          }
+        });
+        
+        if (getNestedValue(module, 'name', '') === RECOVERY_MODULES.ABLATOR) {
+          const ablativeResource = getNestedValue(module, 'params.ablativeResource', null);
+          
+          if (typeof ablativeResource === 'string' && ablativeResource !== '' && !resourcesIndex[ablativeResource]) {
+            errors.push(formatError(
+              msg('ablatorResource', { part: part.id, resource: ablativeResource }),
+              `parts[${part.id}].modules[${index}].params.ablativeResource`,
+              ERROR_CODES.REFERENCE_ERROR,
+              ERROR_TYPES.ERROR,
+              null,
+              RULES.REFERENCE_ABLATOR_RESOURCE
+            ));
+          }
+        }
+        
+        if (getNestedValue(module, 'name', '') !== AERO_MODULES.INTAKE) return;
+        
+        const resourceName = getNestedValue(module, 'params.resourceName', null);
+        
+        if (typeof resourceName === 'string' && resourceName !== '' && !resourcesIndex[resourceName]) {
+          errors.push(formatError(
+            msg('intakeResource', { part: part.id, resource: resourceName }),
+            `parts[${part.id}].modules[${index}].params.resourceName`,
+            ERROR_CODES.REFERENCE_ERROR,
+            ERROR_TYPES.ERROR,
+            null,
+            RULES.REFERENCE_INTAKE_RESOURCE
+          ));
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Écart toléré entre la masse humide déclarée et la masse recalculée (t)
+ * @private
+ * @type {number}
+ */
+const WET_MASS_TOLERANCE = 0.001;
+
+/**
+ * Vérifie la masse humide des réservoirs avec les densités des ressources
+ * mass.wet doit valoir mass.dry + Σ(maxAmount × densité). Les réservoirs dont une ressource
+ * est inconnue ou sans densité numérique sont ignorés : la référence est déjà signalée par
+ * validatePartResourceReferences. La correction proposée s'applique à la pièce (mass.wet).
+ * @param {Array} parts - Collection de pièces
+ * @param {Array} resources - Collection de ressources
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateTankWetMass(parts, resources, errors, warnings) {
+  const densities = {};
+  resources.forEach(resource => {
+    if (resource && resource.id && typeof resource.density === 'number') {
+      densities[resource.id] = resource.density;
+    }
+  });
+  
+  parts.forEach(part => {
+    if (!part || getNestedValue(part, 'category', '') !== 'fuel_tanks') return;
+    
+    const dry = getNestedValue(part, 'mass.dry', null);
+    const actual = getNestedValue(part, 'mass.wet', null);
+    const partResources = getNestedValue(part, 'resources', null);
+    
+    if (typeof dry !== 'number' || typeof actual !== 'number' || !Array.isArray(partResources)) return;
+    
+    let resourceMass = 0;
+    
+    for (const resource of partResources) {
+      const maxAmount = getNestedValue(resource, 'maxAmount', null);
+      const density = densities[getNestedValue(resource, 'type', null)];
+      
+      if (typeof maxAmount !== 'number' || density === undefined) return;
+      
+      resourceMass += maxAmount * density;
+    }
+    
+    // Arrondi pour ne pas proposer une masse portant les erreurs d'arrondi de la somme
+    const expected = Math.round((dry + resourceMass) * 1e6) / 1e6;
+    
+    if (Math.abs(actual - expected) > WET_MASS_TOLERANCE) {
+      warnings.push(formatError(
+        msg('tankWetMass', { part: part.id, actual, expected }),
+        `parts[${part.id}].mass.wet`,
+        ERROR_CODES.CONSTRAINT_VIOLATION,
+        ERROR_TYPES.WARNING,
+        createFix(FIX_RULES.RECOMPUTE_WET_MASS, [{ path: 'mass.wet', value: expected }]),
+        RULES.FUEL_TANK_WET_MASS
+      ));
+    }
   });
 }
 
@@ -93,9 +216,12 @@ export function validatePartTechReferences(parts, techs, errors, warnings) {
     
     if (techRequired && !techsIndex[techRequired]) {
       errors.push(formatError(
-        `La pièce "${part.id}" référence une technologie inexistante: "${techRequired}"`,
+        msg('partTech', { part: part.id, tech: techRequired }),
         `parts[${part.id}].techRequired`,
-        ERROR_CODES.REFERENCE_ERROR
+        ERROR_CODES.REFERENCE_ERROR,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.REFERENCE_PART_TECH
       ));
     }
   });
@@ -115,10 +241,12 @@ export function validatePartTechReferences(parts, techs, errors, warnings) {
         
         if (!partExists) {
           warnings.push(formatError(
-            `La technologie "${tech.id}" fait référence à une pièce inexistante: "${partId}"`,
+            msg('techPart', { tech: tech.id, part: partId }),
             `techs[${tech.id}].partUnlocks[${index}]`,
             ERROR_CODES.REFERENCE_ERROR,
-            ERROR_TYPES.WARNING
+            ERROR_TYPES.WARNING,
+            null,
+            RULES.REFERENCE_TECH_PART
           ));
         }
       });
@@ -151,9 +279,12 @@ export function validateCelestialBodyHierarchy(bodies, errors, warnings) {
     if (parent && getNestedValue(body, 'type', '') !== 'star') {
       if (!bodiesIndex[parent]) {
         errors.push(formatError(
-          `Le corps céleste "${body.id}" référence un parent inexistant: "${parent}"`,
+          msg('bodyParent', { body: body.id, parent }),
           `celestialBodies[${body.id}].parent`,
-          ERROR_CODES.REFERENCE_ERROR
+          ERROR_CODES.REFERENCE_ERROR,
+          ERROR_TYPES.ERROR,
+          null,
+          RULES.REFERENCE_BODY_PARENT
         ));
       } else {
         // Vérifier qu'il n'y a pas de référence circulaire
@@ -167,9 +298,12 @@ export function validateCelestialBodyHierarchy(bodies, errors, warnings) {
           // Si on arrive à une référence circulaire
           if (current && current.id === body.id) {
             errors.push(formatError(
-              `Référence circulaire détectée pour le corps céleste "${body.id}"`,
+              msg('bodyHierarchy', { body: body.id }),
               `celestialBodies[${body.id}].parent`,
-              ERROR_CODES.CIRCULAR_REFERENCE
+              ERROR_CODES.CIRCULAR_REFERENCE,
+              ERROR_TYPES.ERROR,
+              null,
+              RULES.REFERENCE_BODY_HIERARCHY
             ));
             break;
           }
@@ -179,6 +313,83 @@ export function validateCelestialBodyHierarchy(bodies, errors, warnings) {
   });
 }
 
+/**
+ * Valide l'orbite de chaque corps céleste par rapport à son parent
+ * La période doit suivre la troisième loi de Kepler avec la masse du parent, le périapse
+ * doit rester au-dessus de la surface et de l'atmosphère du parent, et l'apoapse dans la
+ * sphère d'influence du parent. Les corps sans parent connu ou dont l'excentricité n'est pas
+ * celle d'une orbite liée (signalée par validateBodyPhysics) sont ignorés.
+ * @param {Array} bodies - Collection de corps célestes
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateCelestialBodyOrbits(bodies, errors, warnings) {
+  const bodiesIndex = {};
+  bodies.forEach(body => {
+    if (body && body.id) {
+      bodiesIndex[body.id] = body;
+    }
+  });
+  
+  bodies.forEach(body => {
+    if (!body || getNestedValue(body, 'type', '') === 'star') return;
+    
+    const parent = bodiesIndex[getNestedValue(body, 'parent', null)];
+    const semiMajorAxis = getNestedValue(body, 'orbit.semiMajorAxis', null);
+    const eccentricity = getNestedValue(body, 'orbit.eccentricity', null);
+    
+    if (!parent || parent === body || typeof semiMajorAxis !== 'number' || semiMajorAxis <= 0) return;
+    
+    const period = getNestedValue(body, 'orbit.orbitalPeriod', null);
+    const expectedPeriod = getOrbitalPeriod(parent, semiMajorAxis);
+    
+    if (typeof period === 'number' && expectedPeriod !== null &&
+      Math.abs(period - expectedPeriod) > CELESTIAL_BODY_TOLERANCES.orbitalPeriod * expectedPeriod) {
+      warnings.push(formatError(
+        msg('orbitalPeriod', { body: body.id, parent: parent.id, period, expected: expectedPeriod }),
+        `celestialBodies[${body.id}].orbit.orbitalPeriod`,
+        ERROR_CODES.UNUSUAL_VALUE,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.CELESTIAL_BODY_ORBITAL_PERIOD
+      ));
+    }
+    
+    if (typeof eccentricity !== 'number' || eccentricity < 0 || eccentricity >= 1) return;
+    
+    const periapsis = semiMajorAxis * (1 - eccentricity);
+    const parentRadius = getNestedValue(parent, 'physical.radius', null);
+    const atmosphereHeight = getNestedValue(parent, 'atmosphere.present', false) === true
+      ? getNestedValue(parent, 'atmosphere.height', 0)
+      : 0;
+    
+    if (typeof parentRadius === 'number' && typeof atmosphereHeight === 'number' && periapsis <= parentRadius + atmosphereHeight) {
+      errors.push(formatError(
+        msg('periapsis', { body: body.id, parent: parent.id, periapsis, minimum: parentRadius + atmosphereHeight }),
+        `celestialBodies[${body.id}].orbit.semiMajorAxis`,
+        ERROR_CODES.CONSTRAINT_VIOLATION,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.CELESTIAL_BODY_PERIAPSIS
+      ));
+    }
+    
+    const apoapsis = semiMajorAxis * (1 + eccentricity);
+    const parentSoi = getSphereOfInfluence(parent, bodiesIndex[getNestedValue(parent, 'parent', null)]);
+    
+    if (parentSoi !== null && apoapsis >= parentSoi) {
+      errors.push(formatError(
+        msg('sphereOfInfluence', { body: body.id, parent: parent.id, apoapsis, soi: parentSoi }),
+        `celestialBodies[${body.id}].orbit.semiMajorAxis`,
+        ERROR_CODES.CONSTRAINT_VIOLATION,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.CELESTIAL_BODY_SPHERE_OF_INFLUENCE
+      ));
+    }
+  });
+}
+
 /**
  * Valide l'absence de cycles dans l'arbre technologique
  * @param {Array} techs - Collection de technologies
@@ -210,10 +421,12 @@ export function validateTechTreeCycles(techs, errors, warnings) {
         // Vérifier que le parent existe
         if (!techsIndex[parentId]) {
           warnings.push(formatError(
-            `La technologie "${techId}" référence un parent inexistant: "${parentId}"`,
+            msg('techParent', { tech: techId, parent: parentId }),
             `techs[${techId}].parents`,
             ERROR_CODES.REFERENCE_ERROR,
-            ERROR_TYPES.WARNING
+            ERROR_TYPES.WARNING,
+            null,
+            RULES.REFERENCE_TECH_PARENT
           ));
           continue;
         }
@@ -245,9 +458,12 @@ export function validateTechTreeCycles(techs, errors, warnings) {
     if (!visited[tech.id]) {
       if (detectCycle(tech.id, visited, stack)) {
         errors.push(formatError(
-          `Cycle détecté dans l'arbre technologique impliquant "${tech.id}"`,
+          msg('techTree', { tech: tech.id }),
           `techs[${tech.id}]`,
-          ERROR_CODES.CIRCULAR_REFERENCE
+          ERROR_CODES.CIRCULAR_REFERENCE,
+          ERROR_TYPES.ERROR,
+          null,
+          RULES.REFERENCE_TECH_TREE
         ));
       }
     }
@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Moteur de validation générique piloté par des schémas déclaratifs
+ * @module api/utils/datavalidator/helpers/schemaValidator
+ *
+ * Un schéma décrit un nœud de données :
+ * - type : 'object', 'array', 'string', 'number', 'integer' ou 'boolean'
+ * - required : le champ doit être présent (non null) dans l'objet parent
+ * - requiredWhen : le champ n'est requis que si les champs frères ont les valeurs indiquées
+ * - properties : schémas des champs d'un objet
+ * - items : schéma des éléments d'un tableau
+ * - itemLabel : terme du catalogue désignant les éléments dans les messages (ex: 'attachNode')
+ * - nullItems : niveau de gravité d'un élément null (ERROR_TYPES.WARNING par défaut)
+ * - length, minItems, maxItems : contraintes de taille d'un tableau (length pour les vecteurs)
+ * - minimum, exclusiveMinimum, maximum, exclusiveMaximum : bornes numériques
+ * - enum : valeurs autorisées
+ * - minLength : longueur minimale d'une chaîne
+ * - messageContext : terme du catalogue préfixant les messages du schéma (ex: 'engine')
+ * - default : valeur proposée par autoFix lorsque le champ est manquant ou d'un type incorrect
+ *
+ * Les éléments null d'un tableau sont signalés avec une correction qui les supprime.
+ */
+
+import { getNestedValue } from '../../../../utils/SafeAccess.js';
+import { ERROR_CODES, ERROR_TYPES, FIX_RULES, RULES } from '../constants.js';
+import { formatError, createFix } from '../formatters.js';
+import { msg } from '../messages/index.js';
+
+/**
+ * Valide une valeur selon un schéma déclaratif
+ * @param {*} value - Valeur à valider (généralement l'entité complète)
+ * @param {Object} schema - Schéma de validation
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Object} [context] - Contexte de validation
+ * @param {string} [context.path=''] - Chemin de la valeur dans l'entité
+ */
+export function validateSchema(value, schema, errors, warnings, { path = '' } = {}) {
+  validateNode(value, schema, {
+    path,
+    name: path,
+    scope: schema.messageContext ? [{ label: schema.messageContext }] : [],
+    errors,
+    warnings
+  });
+}
+
+/**
+ * Indique si une valeur correspond au type attendu
+ * @param {*} value - Valeur à tester
+ * @param {string} type - Type du schéma
+ * @returns {boolean}
+ */
+export function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer':
+      return typeof value === 'number' && Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Indique si un champ est requis dans l'objet parent
+ * @param {Object} schema - Schéma du champ
+ * @param {Object} parent - Objet contenant le champ
+ * @returns {boolean}
+ */
+export function isRequired(schema, parent) {
+  if (schema.required === true) {
+    return true;
+  }
+  
+  if (schema.requiredWhen) {
+    return Object.entries(schema.requiredWhen).every(([field, expected]) =>
+      getNestedValue(parent, field, null) === expected
+    );
+  }
+  
+  return false;
+}
+
+/**
+ * Valide un nœud du schéma
+ * @private
+ * @param {*} value - Valeur à valider (non null)
+ * @param {Object} schema - Schéma du nœud
+ * @param {Object} ctx - Contexte {path, name, scope, errors, warnings}
+ */
+function validateNode(value, schema, ctx) {
+  if (schema.type && !validateNodeType(value, schema, ctx)) {
+    return;
+  }
+  
+  if (schema.type === 'number' || schema.type === 'integer') {
+    validateBounds(value, schema, ctx);
+  }
+  
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    ctx.errors.push(formatError(
+      scopedMsg(ctx, 'emptyString', { field: ctx.name }),
+      ctx.path,
+      ERROR_CODES.INVALID_VALUE,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.SCHEMA_MIN_LENGTH
+    ));
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    ctx.errors.push(formatError(
+      scopedMsg(ctx, 'enum', { field: ctx.name, value, allowed: schema.enum }),
+      ctx.path,
+      ERROR_CODES.INVALID_VALUE,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.SCHEMA_ENUM
+    ));
+  }
+  
+  if (schema.type === 'array') {
+    validateArray(value, schema, ctx);
+  }
+  
+  if (schema.properties) {
+    validateProperties(value, schema, ctx);
+  }
+}
+
+/**
+ * Vérifie le type d'un nœud
+ * @private
+ * @param {*} value - Valeur à valider
+ * @param {Object} schema - Schéma du nœud
+ * @param {Object} ctx - Contexte de validation
+ * @returns {boolean} - true si le type est correct
+ */
+function validateNodeType(value, schema, ctx) {
+  // Les vecteurs (tableaux de taille fixe) ont un message dédié
+  if (schema.type === 'array' && schema.length !== undefined) {
+    if (Array.isArray(value) && value.length === schema.length) {
+      return true;
+    }
+    
+    const itemType = schema.items && schema.items.type;
+    const variant = itemType === 'number' || itemType === 'integer' ? 'numberVector' : 'vector';
+    
+    ctx.errors.push(formatError(
+      scopedMsg(ctx, variant, { field: ctx.name, length: schema.length }),
+      ctx.path,
+      ERROR_CODES.INVALID_TYPE,
+      ERROR_TYPES.ERROR,
+      defaultFix(schema, ctx.path),
+      RULES.SCHEMA_TYPE
+    ));
+    return false;
+  }
+  
+  if (matchesType(value, schema.type)) {
+    return true;
+  }
+  
+  ctx.errors.push(formatError(
+    scopedMsg(ctx, 'type', { field: ctx.name, expected: schema.type }),
+    ctx.path,
+    ERROR_CODES.INVALID_TYPE,
+    ERROR_TYPES.ERROR,
+    defaultFix(schema, ctx.path),
+    RULES.SCHEMA_TYPE
+  ));
+  return false;
+}
+
+/**
+ * Vérifie les bornes d'une valeur numérique
+ * @private
+ * @param {number} value - Valeur à valider
+ * @param {Object} schema - Schéma du nœud
+ * @param {Object} ctx - Contexte de validation
+ */
+function validateBounds(value, schema, ctx) {
+  let variant = null;
+  let params = {};
+  
+  if (schema.minimum !== undefined && schema.maximum !== undefined &&
+      (value < schema.minimum || value > schema.maximum)) {
+    variant = 'range';
+    params = { min: schema.minimum, max: schema.maximum };
+  } else if (schema.minimum !== undefined && value < schema.minimum) {
+    variant = schema.minimum === 0 ? 'notNegative' : 'minimum';
+    params = { limit: schema.minimum };
+  } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    variant = schema.exclusiveMinimum === 0 ? 'positive' : 'exclusiveMinimum';
+    params = { limit: schema.exclusiveMinimum };
+  } else if (schema.maximum !== undefined && value > schema.maximum) {
+    variant = 'maximum';
+    params = { limit: schema.maximum };
+  } else if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    variant = 'exclusiveMaximum';
+    params = { limit: schema.exclusiveMaximum };
+  }
+  
+  if (variant) {
+    ctx.errors.push(formatError(
+      scopedMsg(ctx, variant, { field: ctx.name, value, ...params }),
+      ctx.path,
+      ERROR_CODES.INVALID_VALUE,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.SCHEMA_BOUNDS
+    ));
+  }
+}
+
+/**
+ * Valide la taille et les éléments d'un tableau
+ * @private
+ * @param {Array} value - Tableau à valider
+ * @param {Object} schema - Schéma du nœud
+ * @param {Object} ctx - Contexte de validation
+ */
+function validateArray(value, schema, ctx) {
+  if (schema.minItems === 1 && value.length === 0) {
+    ctx.errors.push(formatError(
+      scopedMsg(ctx, 'emptyArray', { field: ctx.name }),
+      ctx.path,
+      ERROR_CODES.INVALID_VALUE,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.SCHEMA_ITEM_COUNT
+    ));
+    return;
+  }
+  
+  if ((schema.minItems !== undefined && value.length < schema.minItems) ||
+      (schema.maxItems !== undefined && value.length > schema.maxItems)) {
+    const descriptor = schema.maxItems === undefined
+      ? scopedMsg(ctx, 'minItemCount', { field: ctx.name, min: schema.minItems })
+      : scopedMsg(ctx, 'itemCountRange', { field: ctx.name, min: schema.minItems || 0, max: schema.maxItems });
+    
+    ctx.errors.push(formatError(
+      descriptor,
+      ctx.path,
+      ERROR_CODES.INVALID_VALUE,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.SCHEMA_ITEM_COUNT
+    ));
+    return;
+  }
+  
+  if (!schema.items) {
+    return;
+  }
+  
+  value.forEach((item, index) => {
+    const path = `${ctx.path}[${index}]`;
+    const itemScope = schema.itemLabel ? [...ctx.scope, { label: schema.itemLabel, index }] : ctx.scope;
+    
+    if (item === null || item === undefined) {
+      const severity = schema.nullItems || ERROR_TYPES.WARNING;
+      const target = severity === ERROR_TYPES.ERROR ? ctx.errors : ctx.warnings;
+      const descriptor = schema.itemLabel
+        ? scopedMsg(ctx, 'nullItem', { label: schema.itemLabel, index })
+        : scopedMsg(ctx, 'nullElement', { field: ctx.name, index });
+      
+      target.push(formatError(
+        descriptor,
+        path,
+        ERROR_CODES.INVALID_VALUE,
+        severity,
+        createFix(FIX_RULES.REMOVE_NULL_ITEM, [{ path, remove: true }]),
+        RULES.SCHEMA_NULL_ITEM
+      ));
+      return;
+    }
+    
+    // Les champs d'un élément objet sont nommés relativement à l'élément
+    const name = schema.itemLabel && schema.items.type === 'object' ? '' : `${ctx.name}[${index}]`;
+    
+    validateNode(item, schema.items, { ...ctx, path, name, scope: itemScope });
+  });
+}
+
+/**
+ * Valide les champs d'un objet
+ * @private
+ * @param {Object} value - Objet à valider
+ * @param {Object} schema - Schéma du nœud
+ * @param {Object} ctx - Contexte de validation
+ */
+function validateProperties(value, schema, ctx) {
+  Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+    const path = ctx.path ? `${ctx.path}.${key}` : key;
+    const name = ctx.name ? `${ctx.name}.${key}` : key;
+    const propertyValue = getNestedValue(value, key, null);
+    
+    if (propertyValue === null) {
+      if (isRequired(propertySchema, value)) {
+        ctx.errors.push(formatError(
+          scopedMsg(ctx, 'field', { field: name }),
+          path,
+          ERROR_CODES.REQUIRED_FIELD_MISSING,
+          ERROR_TYPES.ERROR,
+          defaultFix(propertySchema, path),
+          RULES.SCHEMA_REQUIRED
+        ));
+      }
+      return;
+    }
+    
+    validateNode(propertyValue, propertySchema, { ...ctx, path, name });
+  });
+}
+
+/**
+ * Décrit un message du catalogue en y ajoutant le contexte courant
+ * @private
+ * @param {Object} ctx - Contexte de validation
+ * @param {string} variant - Variante du message
+ * @param {Object} params - Paramètres du message
+ * @returns {Object} - Descripteur de message
+ */
+function scopedMsg(ctx, variant, params) {
+  return msg(variant, ctx.scope.length > 0 ? { ...params, scope: ctx.scope } : params);
+}
+
+/**
+ * Propose la valeur par défaut déclarée dans le schéma
+ * @private
+ * @param {Object} schema - Schéma du nœud
+ * @param {string} path - Chemin de la valeur dans l'entité
+ * @returns {Object|null} - Correction, ou null si le schéma ne déclare pas de valeur par défaut
+ */
+function defaultFix(schema, path) {
+  return schema.default === undefined
+    ? null
+    : createFix(FIX_RULES.SCHEMA_DEFAULT, [{ path, value: schema.default }]);
+}
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Validateur spécifique pour les expériences scientifiques et matrice des situations
+ * @module api/utils/datavalidator/helpers/scienceValidator
+ */
+
+import { getNestedValue } from '../../../../utils/SafeAccess.js';
+import { ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
+import { formatError } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { validateSchema } from './schemaValidator.js';
+import { EXPERIMENT_MODULE_SCHEMA } from '../schemas/science.js';
+
+/**
+ * Modules scientifiques reconnus
+ * @enum {string}
+ */
+export const SCIENCE_MODULES = {
+  EXPERIMENT: 'ModuleScienceExperiment'
+};
+
+/**
+ * Situations d'expérience et bit correspondant dans situationMask et biomeMask
+ * @enum {number}
+ */
+export const EXPERIMENT_SITUATIONS = {
+  SrfLanded: 1,
+  SrfSplashed: 2,
+  FlyingLow: 4,
+  FlyingHigh: 8,
+  InSpaceLow: 16,
+  InSpaceHigh: 32
+};
+
+/**
+ * Situations possibles uniquement dans une atmosphère (au sol ou en vol)
+ * @private
+ * @type {number}
+ */
+const ATMOSPHERIC_SITUATIONS_MASK = EXPERIMENT_SITUATIONS.SrfLanded | EXPERIMENT_SITUATIONS.SrfSplashed |
+  EXPERIMENT_SITUATIONS.FlyingLow | EXPERIMENT_SITUATIONS.FlyingHigh;
+
+/**
+ * Valide les expériences scientifiques d'une pièce
+ * @param {Object} part - Pièce à valider
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+export function validateScienceExperiments(part, errors, warnings, infos) {
+  const modules = getNestedValue(part, 'modules', null);
+  
+  if (!Array.isArray(modules)) {
+    return;
+  }
+  
+  modules.forEach((module, index) => {
+    if (getNestedValue(module, 'name', '') === SCIENCE_MODULES.EXPERIMENT) {
+      validateExperiment(part, index, errors, warnings, infos);
+    }
+  });
+}
+
+/**
+ * Valide une expérience scientifique (ModuleScienceExperiment)
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+export function validateExperiment(part, index, errors, warnings, infos) {
+  const module = part.modules[index];
+  const paramsPath = `modules[${index}].params`;
+  const scope = [{ label: 'experiment' }];
+  
+  validateSchema(module, EXPERIMENT_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  
+  const params = getNestedValue(module, 'params', null);
+  
+  if (params === null || typeof params !== 'object') {
+    return;
+  }
+  
+  const { situationMask, biomeMask, baseValue, scienceCap } = params;
+  
+  if (Number.isInteger(situationMask)) {
+    if (situationMask === 0) {
+      warnings.push(formatError(
+        msg('noSituation', { scope }),
+        `${paramsPath}.situationMask`,
+        ERROR_CODES.UNUSUAL_VALUE,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.SCIENCE_SITUATION_MASK
+      ));
+    } else if (params.requireAtmosphere === true && (situationMask & ATMOSPHERIC_SITUATIONS_MASK) === 0) {
+      warnings.push(formatError(
+        msg('atmosphereInSpace', { scope }),
+        `${paramsPath}.requireAtmosphere`,
+        ERROR_CODES.CONSTRAINT_VIOLATION,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.SCIENCE_SITUATION_MASK
+      ));
+    }
+    
+    // Le biome n'a de sens que dans une situation où l'expérience est possible
+    if (Number.isInteger(biomeMask) && (biomeMask & ~situationMask) !== 0) {
+      warnings.push(formatError(
+        msg('biomeMaskSubset', { biomeMask, situationMask, situations: getMaskSituations(biomeMask & ~situationMask), scope }),
+        `${paramsPath}.biomeMask`,
+        ERROR_CODES.CONSTRAINT_VIOLATION,
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.SCIENCE_BIOME_MASK
+      ));
+    }
+  }
+  
+  if (typeof baseValue === 'number' && typeof scienceCap === 'number' && scienceCap < baseValue) {
+    warnings.push(formatError(
+      msg('scienceCap', { scienceCap, baseValue, scope }),
+      `${paramsPath}.scienceCap`,
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.SCIENCE_CAP
+    ));
+  }
+  
+  if (params.rerunnable === false && params.resettable !== true) {
+    infos.push(formatError(
+      msg('singleUseExperiment', { scope }),
+      `${paramsPath}.rerunnable`,
+      ERROR_CODES.OPTIMIZATION_SUGGESTION,
+      ERROR_TYPES.INFO,
+      null,
+      RULES.SCIENCE_SINGLE_USE
+    ));
+  }
+  
+  if (params.xmitDataScalar === 0) {
+    infos.push(formatError(
+      msg('noTransmission', { scope }),
+      `${paramsPath}.xmitDataScalar`,
+      ERROR_CODES.OPTIMIZATION_SUGGESTION,
+      ERROR_TYPES.INFO,
+      null,
+      RULES.SCIENCE_TRANSMISSION
+    ));
+  }
+}
+
+/**
+ * Construit la matrice des situations d'une expérience
+ * Avec un corps céleste, les situations impossibles sur ce corps sont écartées : vol sans
+ * atmosphère, amerrissage sans océan (champ ocean), expérience exigeant une atmosphère.
+ *
+ * @param {Object} params - Paramètres du module ModuleScienceExperiment
+ * @param {Object} [body=null] - Corps céleste visé
+ * @returns {Object<string, Object>} - {available, biomeDependent} par situation (voir EXPERIMENT_SITUATIONS)
+ *
+ * @example
+ * getSituationMatrix({ situationMask: 63, biomeMask: 3 }, mun);
+ * // { SrfLanded: { available: true, biomeDependent: true }, SrfSplashed: { available: false, ... }, ... }
+ */
+export function getSituationMatrix(params, body = null) {
+  const situationMask = Number.isInteger(getNestedValue(params, 'situationMask', null)) ? params.situationMask : 0;
+  const biomeMask = Number.isInteger(getNestedValue(params, 'biomeMask', null)) ? params.biomeMask : 0;
+  const hasAtmosphere = getNestedValue(body, 'atmosphere.present', false) === true;
+  const hasOcean = getNestedValue(body, 'ocean', false) === true;
+  
+  return Object.fromEntries(Object.entries(EXPERIMENT_SITUATIONS).map(([situation, bit]) => {
+    let available = (situationMask & bit) !== 0;
+    
+    if (body) {
+      const flying = bit === EXPERIMENT_SITUATIONS.FlyingLow || bit === EXPERIMENT_SITUATIONS.FlyingHigh;
+      
+      available = available &&
+        (hasAtmosphere || (!flying && getNestedValue(params, 'requireAtmosphere', false) !== true)) &&
+        (hasOcean || bit !== EXPERIMENT_SITUATIONS.SrfSplashed);
+    }
+    
+    return [situation, { available, biomeDependent: available && (biomeMask & bit) !== 0 }];
+  }));
+}
+
+/**
+ * Construit la matrice des situations de toutes les expériences d'une collection de pièces
+ * Une expérience présente sur plusieurs pièces n'apparaît qu'une fois (définition de la
+ * première pièce rencontrée).
+ *
+ * @param {Array} parts - Collection de pièces
+ * @param {Object} [body=null] - Corps céleste visé
+ * @returns {Object<string, Object>} - {parts, situations} par identifiant d'expérience
+ */
+export function getScienceMatrix(parts, body = null) {
+  const matrix = {};
+  
+  (Array.isArray(parts) ? parts : []).forEach(part => {
+    const modules = getNestedValue(part, 'modules', []);
+    
+    if (!Array.isArray(modules)) return;
+    
+    modules
+      .filter(module => getNestedValue(module, 'name', '') === SCIENCE_MODULES.EXPERIMENT)
+      .forEach(module => {
+        const experimentID = getNestedValue(module, 'params.experimentID', null);
+        
+        if (typeof experimentID !== 'string' || experimentID === '') return;
+        
+        if (!matrix[experimentID]) {
+          matrix[experimentID] = { parts: [], situations: getSituationMatrix(module.params, body) };
+        }
+        
+        if (!matrix[experimentID].parts.includes(part.id)) {
+          matrix[experimentID].parts.push(part.id);
+        }
+      });
+  });
+  
+  return matrix;
+}
+
+/**
+ * Liste les situations présentes dans un masque
+ * @private
+ * @param {number} mask - Masque de situations
+ * @returns {Array<string>} - Noms des situations
+ */
+function getMaskSituations(mask) {
+  return Object.keys(EXPERIMENT_SITUATIONS).filter(situation => (mask & EXPERIMENT_SITUATIONS[situation]) !== 0);
+}
\ No newline at end of file
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Validateur spécifique pour le matériel d'étagement
+ * (découpleurs, séparateurs, coiffes et stabilisateurs de lancement)
+ * @module api/utils/datavalidator/helpers/stagingValidator
+ *
+ * Un découpleur mal décrit (nœud explosif inexistant, nœuds manquants) produit un
+ * vaisseau dont les étages ne peuvent jamais se séparer : ces cas sont des erreurs.
+ */
+
+import { getNestedValue } from '../../../../utils/SafeAccess.js';
+import { ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
+import { formatError } from '../formatters.js';
+import { msg } from '../messages/index.js';
+import { validateSchema } from './schemaValidator.js';
+import {
+  DECOUPLER_MODULE_SCHEMA,
+  RADIAL_DECOUPLER_MODULE_SCHEMA,
+  CROSSFEED_MODULE_SCHEMA,
+  FAIRING_MODULE_SCHEMA,
+  LAUNCH_CLAMP_MODULE_SCHEMA
+} from '../schemas/staging.js';
+
+/**
+ * Modules d'étagement reconnus
+ * @enum {string}
+ */
+export const STAGING_MODULES = {
+  DECOUPLER: 'ModuleDecouple',
+  RADIAL_DECOUPLER: 'ModuleAnchoredDecoupler',
+  CROSSFEED: 'ModuleToggleCrossfeed',
+  FAIRING: 'ModuleProceduralFairing',
+  LAUNCH_CLAMP: 'LaunchClamp'
+};
+
+/**
+ * Diamètre (m) correspondant à chaque taille de nœud d'attachement (0 à 4)
+ * @private
+ * @type {Array<number>}
+ */
+const NODE_SIZE_DIAMETERS = [0.625, 1.25, 2.5, 3.75, 5];
+
+/**
+ * Écart relatif toléré entre le diamètre de la base d'une coiffe et celui de son nœud
+ * @private
+ * @type {number}
+ */
+const FAIRING_SIZE_TOLERANCE = 0.05;
+
+/**
+ * Valide le matériel d'étagement d'une pièce
+ * Chaque module d'étagement de la pièce est vérifié, quelle que soit sa catégorie.
+ * @param {Object} part - Pièce à valider
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+export function validateStagingHardware(part, errors, warnings, infos) {
+  const modules = getNestedValue(part, 'modules', null);
+  const list = Array.isArray(modules) ? modules : [];
+  const moduleNames = list.map(module => getNestedValue(module, 'name', ''));
+  
+  list.forEach((module, index) => {
+    switch (moduleNames[index]) {
+      case STAGING_MODULES.DECOUPLER:
+      case STAGING_MODULES.RADIAL_DECOUPLER:
+        validateDecoupler(part, index, errors, warnings, infos);
+        break;
+      case STAGING_MODULES.CROSSFEED:
+        validateCrossfeedToggle(part, index, errors, warnings, infos);
+        break;
+      case STAGING_MODULES.FAIRING:
+        validateFairing(part, index, errors, warnings);
+        break;
+      case STAGING_MODULES.LAUNCH_CLAMP:
+        validateLaunchClamp(part, index, errors, warnings);
+        break;
+      default:
+        break;
+    }
+  });
+  
+  // Une pièce de couplage sans module de séparation ne peut pas être larguée
+  const canDecouple = moduleNames.includes(STAGING_MODULES.DECOUPLER) ||
+    moduleNames.includes(STAGING_MODULES.RADIAL_DECOUPLER);
+  
+  if (getNestedValue(part, 'category', '') === 'coupling' && !canDecouple) {
+    warnings.push(formatError(
+      msg('noDecouplerModule', { modules: [STAGING_MODULES.DECOUPLER, STAGING_MODULES.RADIAL_DECOUPLER] }),
+      'modules',
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.STAGING_NO_DECOUPLER_MODULE
+    ));
+  }
+}
+
+/**
+ * Valide un découpleur en ligne (ModuleDecouple) ou radial (ModuleAnchoredDecoupler)
+ * Un découpleur en ligne a besoin des nœuds "top" et "bottom" et son nœud explosif
+ * (explosiveNodeID, "top" par défaut) doit exister ; un découpleur radial ou dont le nœud
+ * explosif est "srf" doit pouvoir être fixé en surface.
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+export function validateDecoupler(part, index, errors, warnings, infos) {
+  const module = part.modules[index];
+  const radial = getNestedValue(module, 'name', '') === STAGING_MODULES.RADIAL_DECOUPLER;
+  const label = radial ? 'radialDecoupler' : 'decoupler';
+  const paramsPath = `modules[${index}].params`;
+  
+  validateSchema(module, radial ? RADIAL_DECOUPLER_MODULE_SCHEMA : DECOUPLER_MODULE_SCHEMA, errors, warnings, {
+    path: `modules[${index}]`
+  });
+  
+  const params = getNestedValue(module, 'params', null);
+  
+  if (params === null || typeof params !== 'object') {
+    return;
+  }
+  
+  if (params.ejectionForce === 0) {
+    warnings.push(formatError(
+      msg('zeroEjectionForce', { scope: [{ label }] }),
+      `${paramsPath}.ejectionForce`,
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.STAGING_EJECTION_FORCE
+    ));
+  }
+  
+  validateStagingEnabled(params, paramsPath, label, warnings);
+  
+  const explosiveNode = typeof params.explosiveNodeID === 'string' ? params.explosiveNodeID : null;
+  
+  if (radial || explosiveNode === 'srf') {
+    validateSurfaceAttach(part, label, errors);
+    return;
+  }
+  
+  const nodeIds = getAttachNodeIds(part);
+  validateRequiredNodes(nodeIds, ['top', 'bottom'], label, errors);
+  
+  if (params.isOmniDecoupler === true) {
+    // Un séparateur se détache des deux côtés : le nœud explosif est ignoré
+    if (explosiveNode !== null) {
+      infos.push(formatError(
+        msg('omniExplosiveNode', { scope: [{ label }] }),
+        `${paramsPath}.explosiveNodeID`,
+        ERROR_CODES.OPTIMIZATION_SUGGESTION,
+        ERROR_TYPES.INFO,
+        null,
+        RULES.STAGING_OMNI_EXPLOSIVE_NODE
+      ));
+    }
+    return;
+  }
+  
+  // Les nœuds "top" et "bottom" manquants sont déjà signalés
+  if (explosiveNode !== null && explosiveNode !== '' && !nodeIds.includes(explosiveNode)) {
+    errors.push(formatError(
+      msg('explosiveNode', { node: explosiveNode, scope: [{ label }] }),
+      `${paramsPath}.explosiveNodeID`,
+      ERROR_CODES.REFERENCE_ERROR,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.STAGING_EXPLOSIVE_NODE
+    ));
+  }
+}
+
+/**
+ * Valide un module d'alimentation croisée commutable (ModuleToggleCrossfeed)
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+export function validateCrossfeedToggle(part, index, errors, warnings, infos) {
+  const module = part.modules[index];
+  
+  validateSchema(module, CROSSFEED_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  
+  const params = getNestedValue(module, 'params', null);
+  
+  if (params && params.toggleEditor === false && params.toggleFlight === false) {
+    infos.push(formatError(
+      msg('crossfeedLocked', { scope: [{ label: 'crossfeed' }] }),
+      `modules[${index}].params`,
+      ERROR_CODES.OPTIMIZATION_SUGGESTION,
+      ERROR_TYPES.INFO,
+      null,
+      RULES.STAGING_CROSSFEED_LOCKED
+    ));
+  }
+}
+
+/**
+ * Valide une coiffe procédurale (ModuleProceduralFairing)
+ * La base est posée sur le nœud "bottom" : son diamètre (2 × baseRadius) doit
+ * correspondre à la taille de ce nœud lorsqu'elle est indiquée.
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateFairing(part, index, errors, warnings) {
+  const module = part.modules[index];
+  const paramsPath = `modules[${index}].params`;
+  
+  validateSchema(module, FAIRING_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  validateRequiredNodes(getAttachNodeIds(part), ['bottom'], 'fairing', errors);
+  
+  const params = getNestedValue(module, 'params', null);
+  
+  if (params === null || typeof params !== 'object') {
+    return;
+  }
+  
+  validateStagingEnabled(params, paramsPath, 'fairing', warnings);
+  
+  const { baseRadius, maxRadius } = params;
+  
+  if (typeof baseRadius !== 'number' || baseRadius <= 0) {
+    return;
+  }
+  
+  if (typeof maxRadius === 'number' && maxRadius > 0 && maxRadius < baseRadius) {
+    warnings.push(formatError(
+      msg('fairingMaxRadius', { maxRadius, baseRadius, scope: [{ label: 'fairing' }] }),
+      `${paramsPath}.maxRadius`,
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.STAGING_FAIRING_MAX_RADIUS
+    ));
+  }
+  
+  const attachNodes = getNestedValue(part, 'attachNodes', null);
+  const nodeIndex = Array.isArray(attachNodes)
+    ? attachNodes.findIndex(node => getNestedValue(node, 'id', null) === 'bottom')
+    : -1;
+  const nodeDiameter = nodeIndex >= 0 ? NODE_SIZE_DIAMETERS[getNestedValue(attachNodes[nodeIndex], 'size', null)] : undefined;
+  const diameter = baseRadius * 2;
+  
+  if (nodeDiameter !== undefined && Math.abs(diameter - nodeDiameter) > nodeDiameter * FAIRING_SIZE_TOLERANCE) {
+    warnings.push(formatError(
+      msg('fairingBaseSize', { diameter, nodeDiameter, scope: [{ label: 'fairing' }] }),
+      `${paramsPath}.baseRadius`,
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.STAGING_FAIRING_BASE_SIZE
+    ));
+  }
+}
+
+/**
+ * Valide un stabilisateur de lancement (LaunchClamp)
+ * Il est fixé en surface et libère le vaisseau au premier étage.
+ * @param {Object} part - Pièce à valider
+ * @param {number} index - Index du module dans modules[]
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+export function validateLaunchClamp(part, index, errors, warnings) {
+  const module = part.modules[index];
+  
+  validateSchema(module, LAUNCH_CLAMP_MODULE_SCHEMA, errors, warnings, { path: `modules[${index}]` });
+  validateSurfaceAttach(part, 'launchClamp', errors);
+  
+  const params = getNestedValue(module, 'params', null);
+  
+  if (params !== null && typeof params === 'object') {
+    validateStagingEnabled(params, `modules[${index}].params`, 'launchClamp', warnings);
+  }
+}
+
+/**
+ * Liste les identifiants des nœuds d'attachement d'une pièce
+ * @private
+ * @param {Object} part - Pièce
+ * @returns {Array<string>} - Identifiants
+ */
+function getAttachNodeIds(part) {
+  const attachNodes = getNestedValue(part, 'attachNodes', null);
+  
+  return Array.isArray(attachNodes)
+    ? attachNodes.map(node => getNestedValue(node, 'id', null)).filter(id => typeof id === 'string')
+    : [];
+}
+
+/**
+ * Signale les nœuds d'attachement manquants
+ * @private
+ * @param {Array<string>} nodeIds - Identifiants des nœuds de la pièce
+ * @param {Array<string>} required - Identifiants requis
+ * @param {string} label - Terme du catalogue désignant le module
+ * @param {Array} errors - Tableau des erreurs à remplir
+ */
+function validateRequiredNodes(nodeIds, required, label, errors) {
+  required
+    .filter(node => !nodeIds.includes(node))
+    .forEach(node => {
+      errors.push(formatError(
+        msg('attachNodeMissing', { node, scope: [{ label }] }),
+        'attachNodes',
+        ERROR_CODES.REQUIRED_FIELD_MISSING,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.STAGING_ATTACH_NODES
+      ));
+    });
+}
+
+/**
+ * Vérifie qu'une pièce peut être fixée en surface
+ * @private
+ * @param {Object} part - Pièce
+ * @param {string} label - Terme du catalogue désignant le module
+ * @param {Array} errors - Tableau des erreurs à remplir
+ */
+function validateSurfaceAttach(part, label, errors) {
+  if (getNestedValue(part, 'attachRules.srfAttach', false) !== true) {
+    errors.push(formatError(
+      msg('surfaceAttachRequired', { scope: [{ label }] }),
+      'attachRules.srfAttach',
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.STAGING_SURFACE_ATTACH
+    ));
+  }
+}
+
+/**
+ * Signale un module qui n'est pas déclenché par les étages
+ * @private
+ * @param {Object} params - Paramètres du module
+ * @param {string} paramsPath - Chemin des paramètres dans la pièce
+ * @param {string} label - Terme du catalogue désignant le module
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+function validateStagingEnabled(params, paramsPath, label, warnings) {
+  if (params.stagingEnabled === false) {
+    warnings.push(formatError(
+      msg('stagingDisabled', { scope: [{ label }] }),
+      `${paramsPath}.stagingEnabled`,
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.STAGING_DISABLED
+    ));
+  }
+}
\ No newline at end of file
@@ -4,13 +4,52 @@
  */
 
 import DataValidator from './DataValidator.js';
-import { VALIDATION_TYPES, ERROR_TYPES, ERROR_CODES } from './constants.js';
+import { VALIDATION_TYPES, ERROR_TYPES, ERROR_CODES, FIX_RULES, RULES } from './constants.js';
+import { formatError, createFix } from './formatters.js';
+import { ENTITY_SCHEMAS, CATEGORY_SCHEMAS, MODULE_SCHEMAS, toJsonSchema, getJsonSchemas } from './schemas/index.js';
+import {
+  DEFAULT_LOCALE,
+  formatMessage,
+  localizeFinding,
+  localizeResult,
+  registerCatalog,
+  getAvailableLocales
+} from './messages/index.js';
+import { REPORT_FORMATS, formatReport, formatText, formatJson, formatJUnit, formatSarif, formatHtml } from './reporters/index.js';
+import { annotateLocations } from './locations.js';
+import { DEFAULT_PROFILE, getProfile, getAvailableProfiles } from './profiles.js';
+import { VALIDATOR_TARGETS } from './registry.js';
+import { EXPERIMENT_SITUATIONS, getSituationMatrix, getScienceMatrix } from './helpers/scienceValidator.js';
 
 // Créer et exporter l'instance singleton
 const validator = new DataValidator();
 
 // Exporter les constantes pour faciliter l'accès
-export { VALIDATION_TYPES, ERROR_TYPES, ERROR_CODES };
+export { VALIDATION_TYPES, ERROR_TYPES, ERROR_CODES, FIX_RULES, RULES };
+
+// Exporter la production des constats et des corrections (règles et validateurs personnalisés)
+export { formatError, createFix };
+
+// Exporter les schémas déclaratifs et leur conversion en JSON Schema
+export { ENTITY_SCHEMAS, CATEGORY_SCHEMAS, MODULE_SCHEMAS, toJsonSchema, getJsonSchemas };
+
+// Exporter les catalogues de messages et la traduction des résultats
+export { DEFAULT_LOCALE, formatMessage, localizeFinding, localizeResult, registerCatalog, getAvailableLocales };
+
+// Exporter les formats de rapport (texte, JSON, JUnit XML, SARIF, HTML)
+export { REPORT_FORMATS, formatReport, formatText, formatJson, formatJUnit, formatSarif, formatHtml };
+
+// Exporter la localisation des constats dans les fichiers sources
+export { annotateLocations };
+
+// Exporter les profils de validation (enregistrement : validator.registerProfile)
+export { DEFAULT_PROFILE, getProfile, getAvailableProfiles };
+
+// Exporter les cibles des validateurs spécifiques aux pièces (validator.getPartValidators)
+export { VALIDATOR_TARGETS };
+
+// Exporter la matrice des situations des expériences scientifiques
+export { EXPERIMENT_SITUATIONS, getSituationMatrix, getScienceMatrix };
 
 // Exporter l'instance singleton par défaut
 export default validator;
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Localisation des constats de validation dans les fichiers JSON sources
+ * @module api/utils/datavalidator/locations
+ */
+
+import { parsePath, toJsonPointer } from '../../../utils/SafeAccess.js';
+import { findSourcePosition } from '../../../utils/JsonSource.js';
+
+/**
+ * Listes de constats d'un résultat
+ * @private
+ * @type {Array<string>}
+ */
+const FINDING_LISTS = ['errors', 'warnings', 'infos'];
+
+/**
+ * Ajoute à chaque constat l'emplacement de la valeur concernée dans son fichier source
+ * Chaque constat reçoit location = {file, line, column} : la position de la valeur, ou
+ * celle de l'objet parent lorsque la valeur est absente. Les constats propres à une
+ * collection (ex: "parts[liquidEngine2].propellants[0].type") sont rattachés à l'entité
+ * désignée par leur chemin. Le rapport n'est pas modifié (les résultats peuvent provenir du cache).
+ * @param {Object} report - Rapport de jeu de données, de collection ou résultat d'entité
+ * @param {Function} resolveSource - ({collection, key}) => {file, positions, pointer} ou null,
+ *   où positions est produit par parseJsonSource et pointer désigne l'entité dans le fichier
+ * @param {Object} [options] - Options
+ * @param {string} [options.collection=''] - Nom de la collection (rapport de collection ou résultat d'entité)
+ * @param {string} [options.entityKey=''] - Clé de l'entité (résultat d'entité)
+ * @returns {Object} - Copie du rapport dont les constats sont localisés
+ */
+export function annotateLocations(report, resolveSource, options = {}) {
+  const { collection = '', entityKey = '' } = options;
+  
+  if (report && report.collections) {
+    return {
+      ...report,
+      collections: Object.fromEntries(Object.entries(report.collections).map(([name, collectionReport]) =>
+        [name, annotateCollection(collectionReport, name, resolveSource)]
+      ))
+    };
+  }
+  
+  if (report && report.entities) {
+    return annotateCollection(report, collection, resolveSource);
+  }
+  
+  return annotateResult(report, finding => locateFinding(resolveSource({ collection, key: entityKey }), finding.path));
+}
+
+/**
+ * Localise les constats d'une collection et de ses entités
+ * @private
+ * @param {Object} report - Rapport de collection
+ * @param {string} collection - Nom de la collection
+ * @param {Function} resolveSource - Résolution du fichier source d'une entité
+ * @returns {Object} - Copie localisée du rapport
+ */
+function annotateCollection(report, collection, resolveSource) {
+  const keys = Object.keys(report.entities || {});
+  
+  const entities = Object.fromEntries(keys.map(key => {
+    const source = resolveSource({ collection, key });
+    return [key, annotateResult(report.entities[key], finding => locateFinding(source, finding.path))];
+  }));
+  
+  // Les chemins des constats de collection commencent par "collection[clé]"
+  const locateCollectionFinding = finding => {
+    const key = keys
+      .filter(candidate => isPathOfEntity(finding.path, collection, candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    if (key === undefined) {
+      return null;
+    }
+    
+    const relativePath = finding.path.slice(`${collection}[${key}]`.length).replace(/^\./, '');
+    return locateFinding(resolveSource({ collection, key }), relativePath);
+  };
+  
+  return { ...annotateResult(report, locateCollectionFinding), entities };
+}
+
+/**
+ * Localise les constats d'un résultat
+ * @private
+ * @param {Object} result - Résultat {errors, warnings, infos}
+ * @param {Function} locate - (finding) => location ou null
+ * @returns {Object} - Copie localisée du résultat
+ */
+function annotateResult(result, locate) {
+  const annotated = { ...result };
+  
+  FINDING_LISTS.forEach(list => {
+    if (!Array.isArray(result[list])) {
+      return;
+    }
+    
+    annotated[list] = result[list].map(finding => {
+      const location = locate(finding);
+      return location ? { ...finding, location } : finding;
+    });
+  });
+  
+  return annotated;
+}
+
+/**
+ * Calcule l'emplacement d'une valeur de l'entité
+ * @private
+ * @param {Object|null} source - Source de l'entité {file, positions, pointer}
+ * @param {string} path - Chemin de la valeur dans l'entité (ex: "attachNodes[2].orientation")
+ * @returns {Object|null} - Emplacement {file, line, column}
+ */
+function locateFinding(source, path) {
+  if (!source || !source.positions) {
+    return null;
+  }
+  
+  const position = findSourcePosition(source.positions, `${source.pointer || ''}${toJsonPointer(parsePath(path || ''))}`);
+  return position ? { file: source.file, line: position.line, column: position.column } : null;
+}
+
+/**
+ * Indique si le chemin d'un constat de collection désigne une entité
+ * @private
+ * @param {string} path - Chemin du constat
+ * @param {string} collection - Nom de la collection
+ * @param {string} key - Clé de l'entité
+ * @returns {boolean}
+ */
+function isPathOfEntity(path, collection, key) {
+  const prefix = `${collection}[${key}]`;
+  return typeof path === 'string' && (path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`));
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Catalogue des messages de validation en anglais
+ * @module api/utils/datavalidator/messages/en
+ */
+
+/**
+ * Catalogue anglais
+ * Mêmes clés que le catalogue français ; une clé absente retombe sur le français.
+ * @type {Object}
+ */
+export const EN_CATALOG = {
+  terms: {
+    engine: 'Engine',
+    fuelTank: 'Fuel tank',
+    command: 'Command module',
+    crewedCommand: 'Crewed command module',
+    propellant: 'Propellant',
+    attachNode: 'Attach node',
+    resource: 'Resource',
+    module: 'Module',
+    decoupler: 'Decoupler',
+    radialDecoupler: 'Radial decoupler',
+    crossfeed: 'Crossfeed',
+    fairing: 'Fairing',
+    launchClamp: 'Launch clamp',
+    aero: 'Aerodynamic part',
+    liftingSurface: 'Lifting surface',
+    controlSurface: 'Control surface',
+    intake: 'Intake',
+    generator: 'Generator',
+    solarPanel: 'Solar panel',
+    converter: 'Converter',
+    input: 'Input',
+    output: 'Output',
+    parachute: 'Parachute',
+    heatShield: 'Heat shield',
+    experiment: 'Science experiment',
+    atmosphere: 'Atmosphere'
+  },
+  
+  types: {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array'
+  },
+  
+  scope: {
+    context: '{label:term}: ',
+    item: '{label:term} at index {index}: '
+  },
+  
+  messages: {
+    REQUIRED_FIELD_MISSING: {
+      field: "Missing field '{field}'",
+      undefinedPart: 'Part is not defined',
+      undefinedResource: 'Resource is not defined',
+      undefinedCelestialBody: 'Celestial body is not defined',
+      undefinedTech: 'Tech node is not defined',
+      orbit: "Missing field 'orbit' for an orbiting body",
+      requiredModule: "Module '{module}' is required",
+      attachNodeMissing: "Attach node '{node}' is missing: stages will not be able to separate",
+      ablatorResource: "Part does not store the ablative resource '{resource}'"
+    },
+    RECOMMENDED_FIELD_MISSING: {
+      specificEnergy: "Resource '{resource}' should have a 'specificEnergy' property"
+    },
+    INVALID_TYPE: {
+      type: "Field '{field}' must be {expected:type}",
+      vector: "Field '{field}' must be an array of {length} items",
+      numberVector: "Field '{field}' must be an array of {length} numbers",
+      collection: "Collection '{collection}' must be an array"
+    },
+    INVALID_VALUE: {
+      range: "Field '{field}' must be between {min} and {max}",
+      notNegative: "Field '{field}' cannot be negative",
+      minimum: "Field '{field}' must be greater than or equal to {limit}",
+      positive: "Field '{field}' must be positive",
+      exclusiveMinimum: "Field '{field}' must be greater than {limit}",
+      maximum: "Field '{field}' must be less than or equal to {limit}",
+      exclusiveMaximum: "Field '{field}' must be less than {limit}",
+      emptyString: "Field '{field}' cannot be empty",
+      enum: "Value '{value}' of field '{field}' is not valid. Accepted values: {allowed:list}",
+      emptyArray: "Array '{field}' cannot be empty",
+      minItemCount: "Field '{field}' must contain at least {min} items",
+      itemCountRange: "Field '{field}' must contain between {min} and {max} items",
+      nullItem: '{label:term} at index {index} is null or undefined',
+      nullElement: "Item of '{field}' at index {index} is null or undefined",
+      wetBelowDry: "Field 'mass.wet' is lower than 'mass.dry'",
+      duplicateParent: 'Parent "{parent}" is listed more than once',
+      duplicatePartUnlock: 'Part "{part}" is unlocked more than once by the same node',
+      negativeCurveValue: "Curve '{field}' has a negative value ({value}) at key {index}"
+    },
+    REFERENCE_ERROR: {
+      partResource: 'Part "{part}" references a missing resource: "{resource}"',
+      enginePropellant: 'Engine "{part}" references a missing propellant: "{resource}"',
+      partTech: 'Part "{part}" references a missing technology: "{tech}"',
+      techPart: 'Technology "{tech}" references a missing part: "{part}"',
+      bodyParent: 'Celestial body "{body}" references a missing parent: "{parent}"',
+      techParent: 'Technology "{tech}" references a missing parent: "{parent}"',
+      explosiveNode: "Explosive node '{node}' (explosiveNodeID) does not exist: the part can never separate",
+      intakeResource: 'Intake "{part}" draws a missing resource: "{resource}"',
+      converterResource: 'Part "{part}" exchanges a missing resource: "{resource}"',
+      ablatorResource: 'Heat shield "{part}" consumes a missing resource: "{resource}"'
+    },
+    CIRCULAR_REFERENCE: {
+      techSelfParent: 'Tech node "{tech}" is its own parent',
+      bodyHierarchy: 'Circular reference detected for celestial body "{body}"',
+      techTree: 'Cycle detected in the tech tree involving "{tech}"'
+    },
+    CONSTRAINT_VIOLATION: {
+      propellantRatioSum: 'Propellant ratios add up to {total:fixed3} instead of 1',
+      tankCapacity: 'Total resource capacity ({capacity:fixed3}) does not match the declared volume ({volume:fixed3})',
+      amountExceedsMax: "Field 'amount' ({amount}) is greater than 'maxAmount' ({maxAmount})",
+      exclusiveParentModes: "Fields 'anyParent' and 'allParents' cannot both be true",
+      nonTransferableFlow: "Inconsistency: non-transferable resource with flowMode '{flowMode}'",
+      duplicateId: `Duplicate id "{id}" in collection '{collection}'`,
+      surfaceAttachRequired: 'Surface attachment must be allowed (attachRules.srfAttach)',
+      fairingMaxRadius: "'maxRadius' ({maxRadius}) is less than 'baseRadius' ({baseRadius})",
+      fairingBaseSize: "Base diameter ({diameter:fixed3} m) does not match the size of node 'bottom' ({nodeDiameter:fixed3} m)",
+      dragRange: "'minimum_drag' ({min}) is greater than 'maximum_drag' ({max})",
+      duplicateCurveKey: "Curve '{field}' has several keys at abscissa {x} (key {index})",
+      chuteDrag: "'semiDeployedDrag' ({semi}) should be less than 'fullyDeployedDrag' ({full})",
+      skinTemperature: "'skinMaxTemp' ({skin} K) is less than 'maxTemp' ({max} K)",
+      ablationThreshold: "Ablation threshold ({threshold} K) is not below 'skinMaxTemp' ({skin} K): the skin will burn before ablation protects it",
+      atmosphereInSpace: 'Experiment requires an atmosphere but is only possible in space (situationMask)',
+      biomeMaskSubset: 'biomeMask ({biomeMask}) contains situations missing from situationMask ({situationMask}): {situations:list}',
+      scienceCap: "'scienceCap' ({scienceCap}) is less than 'baseValue' ({baseValue})",
+      tankWetMass: 'Wet mass of tank "{part}" ({actual:fixed3} t) does not match dry mass plus its resources ({expected:fixed3} t)',
+      eccentricity: 'Eccentricity ({eccentricity}) must be at least 0 and below 1 for a bound orbit',
+      periapsis: 'Periapsis of "{body}" ({periapsis:fixed0} m from center) is below the surface or atmosphere of "{parent}" ({minimum:fixed0} m)',
+      sphereOfInfluence: 'Apoapsis of "{body}" ({apoapsis:fixed0} m) leaves the sphere of influence of "{parent}" ({soi:fixed0} m)',
+      atmosphereCurveEnd: "Curve '{field}' ends at {end} m instead of the atmosphere limit ({height} m)"
+    },
+    UNUSUAL_VALUE: {
+      orientationNotNormalized: "Vector 'orientation' is not normalized (length = {length:fixed3})",
+      emptyTankResources: "Array 'resources' is empty",
+      recommendedModule: "Module '{module}' is usually required",
+      noElectricCharge: 'No electric resource found',
+      zeroDensity: 'Density is zero, which is unusual for a resource',
+      electricChargeFlowMode: "Resource '{resource}' should have 'flowMode' set to '{flowMode}'",
+      lowPropellantDensity: 'Density ({density}) seems very low for a propellant',
+      highPropellantDensity: 'Density ({density}) seems very high for a propellant',
+      solidFuelTransferable: "Resource '{resource}' should have 'transferable' set to false",
+      highTechCost: 'Cost ({cost}) seems very high for a tech node',
+      rootTechCost: 'Root node with a non-zero cost ({cost})',
+      zeroEjectionForce: 'Ejection force is zero: stages will not be pushed apart after separation',
+      stagingDisabled: 'Staging is disabled (stagingEnabled): separation must be triggered manually',
+      noDecouplerModule: 'Coupling part without a separation module ({modules:list})',
+      liftToMass: 'Implausible lift-to-mass ratio ({ratio:fixed3} per tonne, expected between {min} and {max})',
+      controlSurfaceLocked: "Control surface cannot deflect ('{field}' is 0)",
+      intakeStorage: "Part does not store the intake resource '{resource}'",
+      noPowerFunction: "Electrical part neither stores nor produces '{resource}'",
+      freeOutput: 'Very high output without consumption ({rate:fixed3} {resource}/s per tonne, usual maximum {max})',
+      powerCurveIncreasing: 'Output increases with distance from the sun (key {index})',
+      resourceLoop: "Resource '{resource}' is both consumed and produced",
+      chutePressure: 'Very high minimum opening pressure ({pressure} atm, usual maximum {max})',
+      deployAltitude: 'Deploy altitude ({altitude} m) beyond the in-game adjustable range ({max} m)',
+      emptyAblator: "Zero capacity for the ablative resource '{resource}'",
+      ablatorLossExp: "'lossExp' ({value}) should be negative: ablation must increase with temperature",
+      noSituation: "'situationMask' is 0: the experiment is possible in no situation",
+      ispAtmosphereAboveVacuum: 'Atmospheric ISP ({atmosphere} s) exceeds vacuum ISP ({vacuum} s)',
+      thrustIspRatio: 'Atmosphere/vacuum thrust ratio ({thrustRatio:fixed3}) differs from the ISP ratio ({ispRatio:fixed3}) although mass flow is constant',
+      engineThrustToWeight: 'Implausible dry thrust-to-weight ratio ({twr:fixed3}, expected between {min} and {max})',
+      engineMassFlow: 'Declared mass flow ({declared:fixed3} t/s) does not match thrust / (Isp · g₀) in vacuum ({expected:fixed3} t/s)',
+      surfaceGravity: 'Surface gravity ({gravity:fixed3} m/s²) does not match G·M/r² ({expected:fixed3} m/s²)',
+      orbitalPeriod: 'Orbital period of "{body}" ({period:fixed0} s) does not follow Kepler\'s third law around "{parent}" ({expected:fixed0} s)',
+      pressureCurveIncreasing: 'Pressure increases with altitude (key {index})'
+    },
+    OPTIMIZATION_SUGGESTION: {
+      parentModeWithoutParents: "Field '{field}' has no effect with fewer than two parents",
+      omniExplosiveNode: "'explosiveNodeID' has no effect on a separator (isOmniDecoupler)",
+      crossfeedLocked: 'Crossfeed can be toggled neither in the editor nor in flight',
+      singleUseExperiment: 'Experiment is neither rerunnable nor resettable: it can only be used once',
+      noTransmission: "'xmitDataScalar' is 0: results must be recovered to be used"
+    },
+    MAX_ERRORS_EXCEEDED: {
+      count: '{count} more errors not shown'
+    },
+    CUSTOM_RULE: {
+      failed: 'Rule {rule} failed'
+    },
+    REPORT: {
+      title: 'Validation report',
+      severity: 'Severity',
+      entity: 'Entity',
+      path: 'Path',
+      location: 'Location',
+      code: 'Code',
+      message: 'Message',
+      ERROR: 'Error',
+      WARNING: 'Warning',
+      INFO: 'Info',
+      valid: 'Valid',
+      invalid: 'Invalid',
+      noFindings: 'No issues found',
+      summary: '{entities} entities, {invalidEntities} invalid: {errors} error(s), {warnings} warning(s), {infos} info(s)'
+    }
+  }
+};
\ No newline at end of file
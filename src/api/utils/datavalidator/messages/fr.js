@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Catalogue des messages de validation en français
+ * @module api/utils/datavalidator/messages/fr
+ */
+
+/**
+ * Catalogue français (langue par défaut)
+ * Les messages sont indexés par code d'erreur puis par variante. Les paramètres
+ * s'écrivent {nom}, ou {nom:format} avec un format parmi term, type, list ou fixedN.
+ * @type {Object}
+ */
+export const FR_CATALOG = {
+  // Libellés des contextes et des éléments de tableau ({nom:term})
+  terms: {
+    engine: 'Moteur',
+    fuelTank: 'Réservoir',
+    command: 'Module de commande',
+    crewedCommand: 'Module de commande avec équipage',
+    propellant: 'Propergol',
+    attachNode: "Nœud d'attachement",
+    resource: 'Ressource',
+    module: 'Module',
+    decoupler: 'Découpleur',
+    radialDecoupler: 'Découpleur radial',
+    crossfeed: 'Alimentation croisée',
+    fairing: 'Coiffe',
+    launchClamp: 'Stabilisateur de lancement',
+    aero: 'Pièce aérodynamique',
+    liftingSurface: 'Surface portante',
+    controlSurface: 'Gouverne',
+    intake: "Prise d'air",
+    generator: 'Générateur',
+    solarPanel: 'Panneau solaire',
+    converter: 'Convertisseur',
+    input: 'Entrée',
+    output: 'Sortie',
+    parachute: 'Parachute',
+    heatShield: 'Bouclier thermique',
+    experiment: 'Expérience scientifique',
+    atmosphere: 'Atmosphère'
+  },
+  
+  // Libellés des types attendus ({nom:type})
+  types: {
+    string: 'une chaîne de caractères',
+    number: 'un nombre',
+    integer: 'un entier',
+    boolean: 'un booléen',
+    object: 'un objet',
+    array: 'un tableau'
+  },
+  
+  // Préfixes des messages émis dans un contexte ou pour un élément de tableau
+  scope: {
+    context: '{label:term}: ',
+    item: "{label:term} à l'index {index}: "
+  },
+  
+  messages: {
+    REQUIRED_FIELD_MISSING: {
+      field: "Champ '{field}' manquant",
+      undefinedPart: 'Pièce non définie',
+      undefinedResource: 'Ressource non définie',
+      undefinedCelestialBody: 'Corps céleste non défini',
+      undefinedTech: 'Nœud technologique non défini',
+      orbit: "Champ 'orbit' manquant pour un corps orbital",
+      requiredModule: "Le module '{module}' est requis",
+      attachNodeMissing: "Nœud d'attachement '{node}' manquant : les étages ne pourront pas se séparer",
+      ablatorResource: "La pièce ne stocke pas la ressource ablative '{resource}'"
+    },
+    RECOMMENDED_FIELD_MISSING: {
+      specificEnergy: "La ressource '{resource}' devrait avoir une propriété 'specificEnergy'"
+    },
+    INVALID_TYPE: {
+      type: "Le champ '{field}' doit être {expected:type}",
+      vector: "Le champ '{field}' doit être un tableau de {length} éléments",
+      numberVector: "Le champ '{field}' doit être un tableau de {length} nombres",
+      collection: "La collection '{collection}' doit être un tableau"
+    },
+    INVALID_VALUE: {
+      range: "Le champ '{field}' doit être entre {min} et {max}",
+      notNegative: "Le champ '{field}' ne peut pas être négatif",
+      minimum: "Le champ '{field}' doit être supérieur ou égal à {limit}",
+      positive: "Le champ '{field}' doit être positif",
+      exclusiveMinimum: "Le champ '{field}' doit être strictement supérieur à {limit}",
+      maximum: "Le champ '{field}' doit être inférieur ou égal à {limit}",
+      exclusiveMaximum: "Le champ '{field}' doit être strictement inférieur à {limit}",
+      emptyString: "Le champ '{field}' ne peut pas être vide",
+      enum: "La valeur '{value}' du champ '{field}' n'est pas valide. Valeurs acceptées: {allowed:list}",
+      emptyArray: "Le tableau '{field}' ne peut pas être vide",
+      minItemCount: "Le champ '{field}' doit contenir au moins {min} éléments",
+      itemCountRange: "Le champ '{field}' doit contenir entre {min} et {max} éléments",
+      nullItem: "{label:term} à l'index {index} est null ou undefined",
+      nullElement: "Élément de '{field}' à l'index {index} est null ou undefined",
+      wetBelowDry: "Le champ 'mass.wet' est inférieur à 'mass.dry'",
+      duplicateParent: 'Parent "{parent}" présent plusieurs fois',
+      duplicatePartUnlock: 'Pièce "{part}" débloquée plusieurs fois par le même nœud',
+      negativeCurveValue: "La courbe '{field}' a une valeur négative ({value}) à la clé {index}"
+    },
+    REFERENCE_ERROR: {
+      partResource: 'La pièce "{part}" référence une ressource inexistante: "{resource}"',
+      enginePropellant: 'Le moteur "{part}" référence un propergol inexistant: "{resource}"',
+      partTech: 'La pièce "{part}" référence une technologie inexistante: "{tech}"',
+      techPart: 'La technologie "{tech}" fait référence à une pièce inexistante: "{part}"',
+      bodyParent: 'Le corps céleste "{body}" référence un parent inexistant: "{parent}"',
+      techParent: 'La technologie "{tech}" référence un parent inexistant: "{parent}"',
+      explosiveNode: "Le nœud explosif '{node}' (explosiveNodeID) n'existe pas : la pièce ne pourra jamais se séparer",
+      intakeResource: `La prise d'air "{part}" aspire une ressource inexistante: "{resource}"`,
+      converterResource: 'La pièce "{part}" échange une ressource inexistante: "{resource}"',
+      ablatorResource: 'Le bouclier thermique "{part}" consomme une ressource inexistante: "{resource}"'
+    },
+    CIRCULAR_REFERENCE: {
+      techSelfParent: 'Le nœud technologique "{tech}" est son propre parent',
+      bodyHierarchy: 'Référence circulaire détectée pour le corps céleste "{body}"',
+      techTree: `Cycle détecté dans l'arbre technologique impliquant "{tech}"`
+    },
+    CONSTRAINT_VIOLATION: {
+      propellantRatioSum: 'La somme des ratios de propergols ({total:fixed3}) devrait être égale à 1',
+      tankCapacity: 'La capacité totale des ressources ({capacity:fixed3}) ne correspond pas au volume déclaré ({volume:fixed3})',
+      amountExceedsMax: "Le champ 'amount' ({amount}) est supérieur à 'maxAmount' ({maxAmount})",
+      exclusiveParentModes: "Les champs 'anyParent' et 'allParents' ne peuvent pas être vrais simultanément",
+      nonTransferableFlow: "Incohérence: ressource non transférable avec flowMode '{flowMode}'",
+      duplicateId: `Identifiant "{id}" dupliqué dans la collection '{collection}'`,
+      surfaceAttachRequired: "La fixation en surface doit être autorisée (attachRules.srfAttach)",
+      fairingMaxRadius: "'maxRadius' ({maxRadius}) est inférieur à 'baseRadius' ({baseRadius})",
+      fairingBaseSize: "Le diamètre de la base ({diameter:fixed3} m) ne correspond pas à la taille du nœud 'bottom' ({nodeDiameter:fixed3} m)",
+      dragRange: "'minimum_drag' ({min}) est supérieur à 'maximum_drag' ({max})",
+      duplicateCurveKey: "La courbe '{field}' a plusieurs clés d'abscisse {x} (clé {index})",
+      chuteDrag: "'semiDeployedDrag' ({semi}) devrait être inférieur à 'fullyDeployedDrag' ({full})",
+      skinTemperature: "'skinMaxTemp' ({skin} K) est inférieur à 'maxTemp' ({max} K)",
+      ablationThreshold: "Le seuil d'ablation ({threshold} K) n'est pas inférieur à 'skinMaxTemp' ({skin} K) : la peau brûlera avant que l'ablation ne la protège",
+      atmosphereInSpace: "L'expérience exige une atmosphère mais n'est possible qu'en orbite (situationMask)",
+      biomeMaskSubset: 'biomeMask ({biomeMask}) contient des situations absentes de situationMask ({situationMask}): {situations:list}',
+      scienceCap: "'scienceCap' ({scienceCap}) est inférieur à 'baseValue' ({baseValue})",
+      tankWetMass: 'La masse humide du réservoir "{part}" ({actual:fixed3} t) ne correspond pas à la masse à sec plus ses ressources ({expected:fixed3} t)',
+      eccentricity: "L'excentricité ({eccentricity}) doit être comprise entre 0 (inclus) et 1 (exclu) pour une orbite liée",
+      periapsis: "Le périapse de \"{body}\" ({periapsis:fixed0} m du centre) est sous la surface ou l'atmosphère de \"{parent}\" ({minimum:fixed0} m)",
+      sphereOfInfluence: "L'apoapse de \"{body}\" ({apoapsis:fixed0} m) sort de la sphère d'influence de \"{parent}\" ({soi:fixed0} m)",
+      atmosphereCurveEnd: "La courbe '{field}' se termine à {end} m au lieu de la limite de l'atmosphère ({height} m)"
+    },
+    UNUSUAL_VALUE: {
+      orientationNotNormalized: "Le vecteur 'orientation' n'est pas normalisé (longueur = {length:fixed3})",
+      emptyTankResources: "Le tableau 'resources' est vide",
+      recommendedModule: "Le module '{module}' est généralement requis",
+      noElectricCharge: 'Aucune ressource électrique trouvée',
+      zeroDensity: 'La densité est à zéro, ce qui est inhabituel pour une ressource',
+      electricChargeFlowMode: "La ressource '{resource}' devrait avoir un 'flowMode' défini sur '{flowMode}'",
+      lowPropellantDensity: 'La densité ({density}) semble très faible pour un propergol',
+      highPropellantDensity: 'La densité ({density}) semble très élevée pour un propergol',
+      solidFuelTransferable: "La ressource '{resource}' devrait avoir 'transferable' défini sur false",
+      highTechCost: 'Le coût ({cost}) semble très élevé pour un nœud technologique',
+      rootTechCost: 'Nœud racine avec un coût non nul ({cost})',
+      zeroEjectionForce: "Force d'éjection nulle : les étages ne seront pas écartés après la séparation",
+      stagingDisabled: "Déclenchement par les étages désactivé (stagingEnabled) : la séparation devra être déclenchée manuellement",
+      noDecouplerModule: 'Pièce de couplage sans module de séparation ({modules:list})',
+      liftToMass: 'Rapport portance/masse invraisemblable ({ratio:fixed3} par tonne, attendu entre {min} et {max})',
+      controlSurfaceLocked: "La gouverne ne peut pas braquer ('{field}' vaut 0)",
+      intakeStorage: "La pièce ne stocke pas la ressource aspirée '{resource}'",
+      noPowerFunction: "Pièce électrique qui ne stocke ni ne produit de '{resource}'",
+      freeOutput: "Production sans consommation très élevée ({rate:fixed3} {resource}/s par tonne, maximum habituel {max})",
+      powerCurveIncreasing: 'La production augmente avec la distance au soleil (clé {index})',
+      resourceLoop: "La ressource '{resource}' est à la fois consommée et produite",
+      chutePressure: "Pression minimale d'ouverture très élevée ({pressure} atm, maximum habituel {max})",
+      deployAltitude: 'Altitude de déploiement ({altitude} m) au-delà de la plage réglable dans le jeu ({max} m)',
+      emptyAblator: "Capacité nulle pour la ressource ablative '{resource}'",
+      ablatorLossExp: "'lossExp' ({value}) devrait être négatif : l'ablation doit croître avec la température",
+      noSituation: "'situationMask' vaut 0 : l'expérience n'est possible dans aucune situation",
+      ispAtmosphereAboveVacuum: "L'ISP atmosphérique ({atmosphere} s) dépasse l'ISP dans le vide ({vacuum} s)",
+      thrustIspRatio: 'Le rapport des poussées atmosphère/vide ({thrustRatio:fixed3}) diffère du rapport des ISP ({ispRatio:fixed3}) alors que le débit massique est constant',
+      engineThrustToWeight: 'Rapport poussée/poids à sec invraisemblable ({twr:fixed3}, attendu entre {min} et {max})',
+      engineMassFlow: "Le débit massique déclaré ({declared:fixed3} t/s) ne correspond pas à poussée / (Isp · g₀) dans le vide ({expected:fixed3} t/s)",
+      surfaceGravity: "La gravité de surface ({gravity:fixed3} m/s²) ne correspond pas à G·M/r² ({expected:fixed3} m/s²)",
+      orbitalPeriod: 'La période orbitale de "{body}" ({period:fixed0} s) ne suit pas la troisième loi de Kepler autour de "{parent}" ({expected:fixed0} s)',
+      pressureCurveIncreasing: "La pression augmente avec l'altitude (clé {index})"
+    },
+    OPTIMIZATION_SUGGESTION: {
+      parentModeWithoutParents: "Le champ '{field}' est sans effet avec moins de deux parents",
+      omniExplosiveNode: "'explosiveNodeID' est sans effet sur un séparateur (isOmniDecoupler)",
+      crossfeedLocked: "L'alimentation croisée ne peut être basculée ni dans l'éditeur ni en vol",
+      singleUseExperiment: "L'expérience n'est ni réutilisable ni réinitialisable : elle ne servira qu'une fois",
+      noTransmission: "'xmitDataScalar' vaut 0 : les résultats doivent être ramenés pour être exploités"
+    },
+    MAX_ERRORS_EXCEEDED: {
+      count: '{count} erreurs supplémentaires non affichées'
+    },
+    CUSTOM_RULE: {
+      failed: 'Échec de la règle {rule}'
+    },
+    REPORT: {
+      title: 'Rapport de validation',
+      severity: 'Sévérité',
+      entity: 'Entité',
+      path: 'Chemin',
+      location: 'Emplacement',
+      code: 'Code',
+      message: 'Message',
+      ERROR: 'Erreur',
+      WARNING: 'Avertissement',
+      INFO: 'Information',
+      valid: 'Valide',
+      invalid: 'Invalide',
+      noFindings: 'Aucun problème détecté',
+      summary: '{entities} entité(s) dont {invalidEntities} invalide(s) : {errors} erreur(s), {warnings} avertissement(s), {infos} information(s)'
+    }
+  }
+};
\ No newline at end of file
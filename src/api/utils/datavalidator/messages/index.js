@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Catalogues de messages et traduction des résultats de validation
+ * @module api/utils/datavalidator/messages
+ *
+ * Les constats conservent une clé de message (messageKey, "CODE.variante") et
+ * leurs paramètres (params), ce qui permet de les restituer dans une autre langue.
+ * Le paramètre réservé "scope" décrit le contexte du message (ex: moteur,
+ * propergol à l'index 2) et produit le préfixe du message.
+ */
+
+import { FR_CATALOG } from './fr.js';
+import { EN_CATALOG } from './en.js';
+
+/**
+ * Langue par défaut des messages
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'fr';
+
+/**
+ * Catalogues enregistrés, par langue
+ * @private
+ * @type {Object<string, Object>}
+ */
+const CATALOGS = {
+  fr: FR_CATALOG,
+  en: EN_CATALOG
+};
+
+/**
+ * Décrit un message à produire à partir du catalogue
+ * @param {string} variant - Variante du message pour le code d'erreur, ou clé complète "CODE.variante"
+ * @param {Object} [params] - Paramètres du message
+ * @returns {Object} - Descripteur {variant, params} accepté par formatError
+ */
+export function msg(variant, params = {}) {
+  return { variant, params };
+}
+
+/**
+ * Enregistre un catalogue ou complète un catalogue existant
+ * @param {string} locale - Code de langue (ex: "de")
+ * @param {Object} catalog - Catalogue {terms, types, scope, messages}
+ */
+export function registerCatalog(locale, catalog) {
+  const existing = CATALOGS[locale] || {};
+  const messages = { ...existing.messages };
+  
+  Object.entries((catalog && catalog.messages) || {}).forEach(([code, variants]) => {
+    messages[code] = { ...messages[code], ...variants };
+  });
+  
+  CATALOGS[locale] = {
+    terms: { ...existing.terms, ...(catalog && catalog.terms) },
+    types: { ...existing.types, ...(catalog && catalog.types) },
+    scope: { ...existing.scope, ...(catalog && catalog.scope) },
+    messages
+  };
+}
+
+/**
+ * Liste les langues disponibles
+ * @returns {Array<string>} - Codes de langue
+ */
+export function getAvailableLocales() {
+  return Object.keys(CATALOGS);
+}
+
+/**
+ * Retrouve la langue enregistrée la plus proche de celle demandée
+ * "en-US" utilise le catalogue "en" ; une langue inconnue utilise la langue par défaut.
+ * @param {string} [locale] - Code de langue demandé
+ * @returns {string} - Code de langue disponible
+ */
+export function resolveLocale(locale) {
+  if (typeof locale !== 'string' || locale === '') {
+    return DEFAULT_LOCALE;
+  }
+  
+  if (CATALOGS[locale]) {
+    return locale;
+  }
+  
+  const language = locale.split(/[-_]/)[0].toLowerCase();
+  return CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Produit le texte d'un message dans la langue demandée
+ * Une clé absente du catalogue retombe sur la langue par défaut, puis sur la clé elle-même.
+ * @param {string} key - Clé du message ("CODE.variante")
+ * @param {Object} [params] - Paramètres du message
+ * @param {string} [locale=DEFAULT_LOCALE] - Langue
+ * @returns {string} - Message
+ */
+export function formatMessage(key, params = {}, locale = DEFAULT_LOCALE) {
+  const catalog = CATALOGS[resolveLocale(locale)];
+  const template = lookupTemplate(catalog, key) ?? lookupTemplate(CATALOGS[DEFAULT_LOCALE], key);
+  
+  if (template === undefined) {
+    return key;
+  }
+  
+  return `${renderScope(params.scope, catalog)}${interpolate(template, params, catalog)}`;
+}
+
+/**
+ * Restitue un constat dans une autre langue
+ * Les constats sans clé de message (messages libres des règles personnalisées) sont inchangés.
+ * @param {Object} finding - Constat produit par formatError
+ * @param {string} [locale=DEFAULT_LOCALE] - Langue
+ * @returns {Object} - Constat traduit
+ */
+export function localizeFinding(finding, locale = DEFAULT_LOCALE) {
+  if (!finding || !finding.messageKey) {
+    return finding;
+  }
+  
+  return { ...finding, message: formatMessage(finding.messageKey, finding.params, locale) };
+}
+
+/**
+ * Restitue tous les constats d'un résultat de validation dans une autre langue
+ * @param {Object} result - Résultat {valid, errors, warnings, infos}
+ * @param {string} [locale=DEFAULT_LOCALE] - Langue
+ * @returns {Object} - Copie traduite du résultat
+ */
+export function localizeResult(result, locale = DEFAULT_LOCALE) {
+  const translate = findings => findings.map(finding => localizeFinding(finding, locale));
+  
+  return {
+    ...result,
+    errors: translate(result.errors),
+    warnings: translate(result.warnings),
+    infos: translate(result.infos)
+  };
+}
+
+/**
+ * Retrouve le modèle d'un message dans un catalogue
+ * @private
+ * @param {Object} catalog - Catalogue
+ * @param {string} key - Clé du message ("CODE.variante")
+ * @returns {string|undefined} - Modèle du message
+ */
+function lookupTemplate(catalog, key) {
+  const separator = key.indexOf('.');
+  const code = key.slice(0, separator);
+  const variants = catalog && catalog.messages[code];
+  
+  return variants ? variants[key.slice(separator + 1)] : undefined;
+}
+
+/**
+ * Produit le préfixe décrivant le contexte d'un message
+ * @private
+ * @param {Array<Object>} [scope] - Contextes successifs {label, index}
+ * @param {Object} catalog - Catalogue
+ * @returns {string} - Préfixe (éventuellement vide)
+ */
+function renderScope(scope, catalog) {
+  if (!Array.isArray(scope)) {
+    return '';
+  }
+  
+  const scopeTemplates = { ...CATALOGS[DEFAULT_LOCALE].scope, ...catalog.scope };
+  
+  return scope.map(entry => {
+    const template = entry.index === undefined ? scopeTemplates.context : scopeTemplates.item;
+    return interpolate(template, entry, catalog);
+  }).join('');
+}
+
+/**
+ * Remplace les paramètres {nom} et {nom:format} d'un modèle
+ * @private
+ * @param {string} template - Modèle du message
+ * @param {Object} params - Paramètres
+ * @param {Object} catalog - Catalogue (libellés term et type)
+ * @returns {string} - Message
+ */
+function interpolate(template, params, catalog) {
+  return template.replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, format) => {
+    const value = params[name];
+    
+    if (value === undefined) {
+      return match;
+    }
+    
+    switch (format) {
+      case 'term':
+        return catalog.terms[value] || String(value);
+      case 'type':
+        return catalog.types[value] || String(value);
+      case 'list':
+        return Array.isArray(value) ? value.join(', ') : String(value);
+      default: {
+        const digits = /^fixed(\d+)$/.exec(format || '');
+        return digits && typeof value === 'number' ? value.toFixed(Number(digits[1])) : String(value);
+      }
+    }
+  });
+}
\ No newline at end of file
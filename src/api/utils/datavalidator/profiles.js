@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Profils de validation : contrôles désactivés, gravités modifiées et mode strict
+ * @module api/utils/datavalidator/profiles
+ *
+ * Un profil est un objet JSON :
+ * {
+ *   "extends": "stock",                                // Profil de base (facultatif)
+ *   "strict": false,                                   // Promouvoir tous les avertissements en erreurs
+ *   "disabled": ["command.sasModule", "tech.*"],       // Contrôles ignorés
+ *   "severities": { "resource.zeroDensity": "INFO" }   // Gravité imposée (ERROR, WARNING, INFO)
+ * }
+ * Les contrôles sont désignés par leur identifiant (voir RULES) ou par un préfixe suivi de
+ * ".*" ; l'identifiant exact l'emporte sur le préfixe le plus long. En mode strict, les
+ * avertissements deviennent des erreurs après application des gravités du profil.
+ */
+
+import { ERROR_TYPES, RULES } from './constants.js';
+
+/**
+ * Profil utilisé lorsqu'aucun profil n'est demandé
+ * @type {string}
+ */
+export const DEFAULT_PROFILE = 'stock';
+
+/**
+ * Profils enregistrés, par nom
+ * @private
+ * @type {Object<string, Object>}
+ */
+const PROFILES = {
+  // Jeu de base : gravités définies par les contrôles
+  stock: {},
+  
+  // Jeu modifié : les mods ajoutent des pièces et des ressources aux valeurs inhabituelles,
+  // et débloquent des pièces d'autres mods absents du jeu de données
+  modded: {
+    disabled: [RULES.REFERENCE_TECH_PART],
+    severities: {
+      [RULES.COMMAND_SAS_MODULE]: ERROR_TYPES.INFO,
+      [RULES.COMMAND_REACTION_WHEEL_MODULE]: ERROR_TYPES.INFO,
+      [RULES.FUEL_TANK_CAPACITY]: ERROR_TYPES.INFO,
+      [RULES.RESOURCE_PROPELLANT_DENSITY]: ERROR_TYPES.INFO,
+      [RULES.TECH_HIGH_COST]: ERROR_TYPES.INFO
+    }
+  },
+  
+  // Publication : aucun avertissement toléré
+  release: {
+    extends: 'stock',
+    strict: true
+  }
+};
+
+/**
+ * Version des profils enregistrés, incrémentée à chaque enregistrement
+ * Les profils sont partagés par toutes les instances de DataValidator : cette version
+ * entre dans les clés de leurs caches de validation (voir ValidationCache.buildKey).
+ * @private
+ * @type {number}
+ */
+let profilesVersion = 0;
+
+/**
+ * Liste des constats de chaque gravité
+ * @private
+ * @type {Object<string, string>}
+ */
+const FINDING_LISTS = {
+  [ERROR_TYPES.ERROR]: 'errors',
+  [ERROR_TYPES.WARNING]: 'warnings',
+  [ERROR_TYPES.INFO]: 'infos'
+};
+
+/**
+ * Enregistre un profil de validation ou remplace un profil existant
+ * Le profil est visible de toutes les instances de DataValidator.
+ * @param {string} name - Nom du profil
+ * @param {Object} profile - Profil {extends, strict, disabled, severities}
+ * @throws {Error} - Si le profil est invalide
+ */
+export function registerProfile(name, profile) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Le nom du profil doit être une chaîne non vide');
+  }
+  
+  // Vérifier le profil (et son profil de base) avant de l'enregistrer
+  resolveProfile(profile, [name]);
+  PROFILES[name] = profile;
+  profilesVersion++;
+}
+
+/**
+ * Retourne la version des profils enregistrés
+ * @returns {number} - Version, modifiée par chaque appel à registerProfile
+ */
+export function getProfilesVersion() {
+  return profilesVersion;
+}
+
+/**
+ * Liste les profils enregistrés
+ * @returns {Array<string>} - Noms des profils
+ */
+export function getAvailableProfiles() {
+  return Object.keys(PROFILES);
+}
+
+/**
+ * Retourne un profil complet, profil de base compris
+ * @param {string|Object} [profile=DEFAULT_PROFILE] - Nom d'un profil enregistré ou profil
+ * @returns {Object} - Profil {strict, disabled, severities}
+ * @throws {Error} - Si le profil est inconnu ou invalide
+ */
+export function getProfile(profile = DEFAULT_PROFILE) {
+  return resolveProfile(profile, []);
+}
+
+/**
+ * Applique le profil de validation aux constats d'un résultat
+ * Les constats des contrôles désactivés sont retirés, les autres sont rangés selon
+ * leur gravité effective. Les listes du résultat sont modifiées en place.
+ * @param {Object} result - Résultat {errors, warnings, infos}
+ * @param {Object} opts - Options de validation effectives (profile, strictMode)
+ * @returns {Object} - Le résultat
+ */
+export function applyRuleProfile(result, opts) {
+  const profile = getProfile(opts.profile);
+  const strict = opts.strictMode === true || profile.strict;
+  
+  if (!strict && profile.disabled.length === 0 && Object.keys(profile.severities).length === 0) {
+    return result;
+  }
+  
+  const findings = [...result.errors, ...result.warnings, ...result.infos];
+  Object.values(FINDING_LISTS).forEach(list => { result[list].length = 0; });
+  
+  findings.forEach(finding => {
+    if (findRuleSetting(profile.disabled, finding.rule)) {
+      return;
+    }
+    
+    let type = findRuleSetting(profile.severities, finding.rule) || finding.type;
+    
+    if (strict && type === ERROR_TYPES.WARNING) {
+      type = ERROR_TYPES.ERROR;
+    }
+    
+    result[FINDING_LISTS[type]].push(type === finding.type ? finding : { ...finding, type });
+  });
+  
+  return result;
+}
+
+/**
+ * Résout un profil et son profil de base
+ * @private
+ * @param {string|Object} profile - Nom d'un profil enregistré ou profil
+ * @param {Array<string>} chain - Noms des profils en cours de résolution (détection des cycles)
+ * @returns {Object} - Profil {strict, disabled, severities}
+ * @throws {Error} - Si le profil est inconnu, invalide ou s'étend lui-même
+ */
+function resolveProfile(profile, chain) {
+  if (typeof profile === 'string') {
+    if (!PROFILES[profile]) {
+      throw new Error(`Profil de validation inconnu: ${profile}. Profils disponibles: ${getAvailableProfiles().join(', ')}`);
+    }
+    
+    if (chain.includes(profile)) {
+      throw new Error(`Héritage circulaire des profils: ${[...chain, profile].join(' -> ')}`);
+    }
+    
+    return resolveProfile(PROFILES[profile], [...chain, profile]);
+  }
+  
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('Un profil de validation doit être un objet ou le nom d\'un profil enregistré');
+  }
+  
+  const { disabled = [], severities = {} } = profile;
+  
+  if (!Array.isArray(disabled) || disabled.some(rule => typeof rule !== 'string')) {
+    throw new Error('disabled doit être une liste d\'identifiants de contrôles');
+  }
+  
+  if (!severities || typeof severities !== 'object' || Array.isArray(severities)) {
+    throw new Error('severities doit associer des identifiants de contrôles à une gravité');
+  }
+  
+  Object.entries(severities).forEach(([rule, type]) => {
+    if (!FINDING_LISTS[type]) {
+      throw new Error(`Gravité inconnue pour ${rule}: ${type} (attendu : ${Object.keys(FINDING_LISTS).join(', ')})`);
+    }
+  });
+  
+  const base = profile.extends === undefined
+    ? { strict: false, disabled: [], severities: {} }
+    : resolveProfile(profile.extends, chain);
+  
+  return {
+    strict: profile.strict === undefined ? base.strict : profile.strict === true,
+    disabled: [...base.disabled, ...disabled],
+    severities: { ...base.severities, ...severities }
+  };
+}
+
+/**
+ * Retrouve le réglage d'un contrôle : identifiant exact, sinon préfixe "xxx.*" le plus long
+ * @private
+ * @param {Array<string>|Object<string, *>} settings - Liste ou table indexée par identifiant
+ * @param {string} rule - Identifiant du contrôle
+ * @returns {*} - Réglage (true pour une liste), ou undefined
+ */
+function findRuleSetting(settings, rule) {
+  if (typeof rule !== 'string') {
+    return undefined;
+  }
+  
+  const table = Array.isArray(settings)
+    ? Object.fromEntries(settings.map(pattern => [pattern, true]))
+    : settings;
+  
+  if (table[rule] !== undefined) {
+    return table[rule];
+  }
+  
+  const prefixes = Object.keys(table)
+    .filter(pattern => pattern.endsWith('.*') && rule.startsWith(pattern.slice(0, -1)))
+    .sort((a, b) => b.length - a.length);
+  
+  return prefixes.length > 0 ? table[prefixes[0]] : undefined;
+}
\ No newline at end of file
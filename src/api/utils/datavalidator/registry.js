@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Registre des validateurs spécifiques aux pièces, par catégorie ou par module
+ * @module api/utils/datavalidator/registry
+ *
+ * Un validateur spécifique a la même signature que les validateurs de helpers/ :
+ * (part, errors, warnings, infos) => void. Il s'applique aux pièces d'une catégorie
+ * (et des catégories qui en héritent) ou aux pièces portant un module donné
+ * (ex: "ModuleEngines"), ce qui permet aux packs de mods d'ajouter leurs contrôles.
+ */
+
+import { getNestedValue } from '../../../utils/SafeAccess.js';
+import { validateEngine } from './helpers/engineValidator.js';
+import { validateFuelTank } from './helpers/fuelTankValidator.js';
+import { validateCommand } from './helpers/commandValidator.js';
+import { validateStagingHardware, STAGING_MODULES } from './helpers/stagingValidator.js';
+import { validateAeroPart, AERO_MODULES } from './helpers/aeroValidator.js';
+import { validatePowerPart, ELECTRICAL_MODULES } from './helpers/electricalValidator.js';
+import { validateRecoveryHardware, RECOVERY_MODULES } from './helpers/recoveryValidator.js';
+import { validateScienceExperiments, SCIENCE_MODULES } from './helpers/scienceValidator.js';
+
+/**
+ * Cibles d'un validateur spécifique
+ * @enum {string}
+ */
+export const VALIDATOR_TARGETS = {
+  CATEGORY: 'category', // Catégorie de la pièce (champ category)
+  MODULE: 'module'      // Nom d'un module de la pièce (modules[].name)
+};
+
+/**
+ * Validateurs intégrés, par catégorie
+ * @private
+ * @type {Object<string, Object<string, Function>>}
+ */
+const BUILT_IN_CATEGORY_VALIDATORS = {
+  engines: { engine: validateEngine },
+  fuel_tanks: { fuelTank: validateFuelTank },
+  command: { command: validateCommand },
+  coupling: { staging: validateStagingHardware },
+  structural: { staging: validateStagingHardware },
+  aero: { aero: validateAeroPart },
+  electrical: { power: validatePowerPart },
+  science: { science: validateScienceExperiments }
+};
+
+/**
+ * Validateurs intégrés, par nom de module
+ * Le matériel d'étagement et de récupération, les modules aérodynamiques, électriques et
+ * scientifiques sont vérifiés quelle que soit la catégorie de la pièce.
+ * @private
+ * @type {Object<string, Object<string, Function>>}
+ */
+const BUILT_IN_MODULE_VALIDATORS = Object.fromEntries([
+  ...Object.values(STAGING_MODULES).map(moduleName => [moduleName, { staging: validateStagingHardware }]),
+  ...Object.values(AERO_MODULES).map(moduleName => [moduleName, { aero: validateAeroPart }]),
+  ...Object.values(ELECTRICAL_MODULES).map(moduleName => [moduleName, { power: validatePowerPart }]),
+  ...Object.values(RECOVERY_MODULES).map(moduleName => [moduleName, { recovery: validateRecoveryHardware }]),
+  ...Object.values(SCIENCE_MODULES).map(moduleName => [moduleName, { science: validateScienceExperiments }])
+]);
+
+/**
+ * Registre des validateurs spécifiques aux pièces
+ * @class
+ */
+export class PartValidatorRegistry {
+  constructor() {
+    // Validateurs par cible puis par catégorie ou nom de module : {nom: validateur}
+    this.validators = {
+      [VALIDATOR_TARGETS.CATEGORY]: {},
+      [VALIDATOR_TARGETS.MODULE]: {}
+    };
+    
+    // Catégorie parente de chaque catégorie
+    this.parents = {};
+    
+    [
+      [VALIDATOR_TARGETS.CATEGORY, BUILT_IN_CATEGORY_VALIDATORS],
+      [VALIDATOR_TARGETS.MODULE, BUILT_IN_MODULE_VALIDATORS]
+    ].forEach(([target, builtIns]) => {
+      Object.entries(builtIns).forEach(([key, validators]) => {
+        Object.entries(validators).forEach(([name, validator]) => {
+          this.register(target, key, name, validator);
+        });
+      });
+    });
+    
+    // Vrai dès que le registre diffère des validateurs intégrés
+    this.modified = false;
+  }
+  
+  /**
+   * Enregistre un validateur (remplace celui de même nom pour la même cible)
+   * @param {string} target - Cible (voir VALIDATOR_TARGETS)
+   * @param {string} key - Catégorie ou nom de module
+   * @param {string} name - Nom du validateur
+   * @param {Function} validator - (part, errors, warnings, infos) => void
+   */
+  register(target, key, name, validator) {
+    const validators = this.validators[target];
+    
+    if (!validators[key]) {
+      validators[key] = {};
+    }
+    
+    validators[key][name] = validator;
+    this.modified = true;
+  }
+  
+  /**
+   * Supprime un validateur
+   * @param {string} target - Cible (voir VALIDATOR_TARGETS)
+   * @param {string} key - Catégorie ou nom de module
+   * @param {string} name - Nom du validateur
+   * @returns {boolean} - true si le validateur existait
+   */
+  unregister(target, key, name) {
+    const validators = this.validators[target][key];
+    
+    if (!validators || !validators[name]) {
+      return false;
+    }
+    
+    delete validators[name];
+    this.modified = true;
+    return true;
+  }
+  
+  /**
+   * Définit la catégorie parente d'une catégorie
+   * Les pièces de la catégorie reçoivent aussi les validateurs de ses ancêtres.
+   * @param {string} category - Catégorie
+   * @param {string|null} parent - Catégorie parente (null pour supprimer l'héritage)
+   * @returns {boolean} - false si l'héritage créerait un cycle
+   */
+  setParent(category, parent) {
+    if (parent === null || parent === undefined) {
+      delete this.parents[category];
+      this.modified = true;
+      return true;
+    }
+    
+    if (this.getCategoryChain(parent).includes(category)) {
+      return false;
+    }
+    
+    this.parents[category] = parent;
+    this.modified = true;
+    return true;
+  }
+  
+  /**
+   * Retourne une catégorie suivie de ses ancêtres
+   * @param {string} category - Catégorie
+   * @returns {Array<string>} - Ex: ["solid_boosters", "engines"]
+   */
+  getCategoryChain(category) {
+    const chain = [];
+    let current = category;
+    
+    while (typeof current === 'string' && current !== '' && !chain.includes(current)) {
+      chain.push(current);
+      current = this.parents[current];
+    }
+    
+    return chain;
+  }
+  
+  /**
+   * Liste les validateurs qui s'appliquent à une pièce
+   * Les validateurs des catégories ancêtres passent avant ceux de la catégorie de la pièce,
+   * puis viennent ceux des modules dans l'ordre de la pièce. Un validateur atteint par
+   * plusieurs cibles n'est retenu qu'une fois.
+   * @param {Object} part - Pièce
+   * @returns {Array<Object>} - Validateurs {name, target, key, validate}
+   */
+  resolve(part) {
+    const category = getNestedValue(part, 'category', '');
+    const modules = getNestedValue(part, 'modules', []);
+    const moduleNames = Array.isArray(modules)
+      ? [...new Set(modules.map(module => getNestedValue(module, 'name', '')).filter(name => typeof name === 'string' && name !== ''))]
+      : [];
+    
+    const entries = [
+      ...this.getCategoryChain(category).reverse().map(key => [VALIDATOR_TARGETS.CATEGORY, key]),
+      ...moduleNames.map(key => [VALIDATOR_TARGETS.MODULE, key])
+    ];
+    
+    const seen = new Set();
+    const resolved = [];
+    
+    entries.forEach(([target, key]) => {
+      Object.entries(this.validators[target][key] || {}).forEach(([name, validate]) => {
+        if (seen.has(validate)) {
+          return;
+        }
+        
+        seen.add(validate);
+        resolved.push({ name, target, key, validate });
+      });
+    });
+    
+    return resolved;
+  }
+}
\ No newline at end of file
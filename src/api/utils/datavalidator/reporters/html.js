@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Rapport de validation au format HTML autonome
+ * @module api/utils/datavalidator/reporters/html
+ */
+
+import { DEFAULT_LOCALE, resolveLocale } from '../messages/index.js';
+import { normalizeReport, reportLabel, escapeMarkup, formatLocation, SEVERITY_ORDER } from './reportModel.js';
+
+/**
+ * Feuille de style intégrée au rapport
+ * @type {string}
+ */
+const REPORT_STYLE = `
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1d2330; background: #f7f8fa; }
+    h1 { margin-bottom: 0.25rem; }
+    .summary { margin-bottom: 1.5rem; color: #4a5263; }
+    details { background: #fff; border: 1px solid #d8dce4; border-radius: 6px; margin-bottom: 0.75rem; }
+    summary { cursor: pointer; padding: 0.6rem 0.9rem; font-weight: 600; }
+    .entity-body { padding: 0 0.9rem 0.6rem; }
+    .badge { display: inline-block; padding: 0 0.5rem; margin-left: 0.4rem; border-radius: 10px; font-size: 0.8rem; color: #fff; }
+    .ERROR { background: #c62828; }
+    .WARNING { background: #e08a00; }
+    .INFO { background: #1565c0; }
+    .valid { background: #2e7d32; }
+    h3 { font-size: 0.95rem; margin: 0.8rem 0 0.3rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #eceff3; vertical-align: top; }
+    code { font-family: ui-monospace, monospace; }`;
+
+/**
+ * Produit un rapport HTML autonome, groupé par entité puis par niveau de gravité
+ * @param {Object} report - Résultat d'entité, de collection ou de jeu de données
+ * @param {Object} [options] - Options du rapport (voir normalizeReport)
+ * @param {string} [options.title] - Titre du document
+ * @returns {string} - Document HTML
+ */
+export function formatHtml(report, options = {}) {
+  const { locale = DEFAULT_LOCALE } = options;
+  const model = normalizeReport(report, options);
+  const title = options.title || reportLabel('title', {}, locale);
+  
+  const entities = model.entities.length > 0
+    ? model.entities.map(entity => formatEntity(entity, locale)).join('\n')
+    : `  <p>${escapeMarkup(reportLabel('noFindings', {}, locale))}</p>`;
+  
+  return `<!DOCTYPE html>
+<html lang="${escapeMarkup(resolveLocale(locale))}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeMarkup(title)}</title>
+  <style>${REPORT_STYLE}
+  </style>
+</head>
+<body>
+  <h1>${escapeMarkup(title)}</h1>
+  <p class="summary">${escapeMarkup(reportLabel('summary', model.summary, locale))}</p>
+${entities}
+</body>
+</html>
+`;
+}
+
+/**
+ * Produit le bloc d'une entité
+ * Les entités en erreur sont dépliées par défaut.
+ * @private
+ * @param {Object} entity - Entité du modèle
+ * @param {string} locale - Langue des libellés
+ * @returns {string} - Fragment HTML
+ */
+function formatEntity(entity, locale) {
+  const badges = SEVERITY_ORDER
+    .map(type => ({ type, count: entity.findings.filter(finding => finding.type === type).length }))
+    .filter(({ count }) => count > 0)
+    .map(({ type, count }) => `<span class="badge ${type}">${escapeMarkup(reportLabel(type, {}, locale))}: ${count}</span>`);
+  
+  if (badges.length === 0) {
+    badges.push(`<span class="badge valid">${escapeMarkup(reportLabel('valid', {}, locale))}</span>`);
+  }
+  
+  const sections = SEVERITY_ORDER
+    .map(type => formatSeverity(entity, type, locale))
+    .filter(section => section !== '');
+  
+  return `  <details${entity.valid ? '' : ' open'}>
+    <summary><code>${escapeMarkup(entity.label || '-')}</code>${badges.join('')}</summary>
+    <div class="entity-body">
+${sections.join('\n')}
+    </div>
+  </details>`;
+}
+
+/**
+ * Produit le tableau des constats d'un niveau de gravité pour une entité
+ * @private
+ * @param {Object} entity - Entité du modèle
+ * @param {string} type - Niveau de gravité
+ * @param {string} locale - Langue des libellés
+ * @returns {string} - Fragment HTML (vide si aucun constat)
+ */
+function formatSeverity(entity, type, locale) {
+  const findings = entity.findings.filter(finding => finding.type === type);
+  
+  if (findings.length === 0) {
+    return '';
+  }
+  
+  const rows = findings.map(finding => `        <tr><td><code>${escapeMarkup(finding.path || '-')}</code>${formatLocationCell(finding)}</td>` +
+    `<td><code>${escapeMarkup(finding.code)}</code></td><td>${escapeMarkup(finding.message)}</td></tr>`);
+  
+  return `      <h3>${escapeMarkup(reportLabel(type, {}, locale))}</h3>
+      <table>
+        <tr><th>${escapeMarkup(reportLabel('path', {}, locale))}</th><th>${escapeMarkup(reportLabel('code', {}, locale))}</th><th>${escapeMarkup(reportLabel('message', {}, locale))}</th></tr>
+${rows.join('\n')}
+      </table>`;
+}
+
+/**
+ * Ajoute l'emplacement d'un constat sous son chemin
+ * @private
+ * @param {Object} finding - Constat
+ * @returns {string} - Fragment HTML (vide si le constat n'est pas localisé)
+ */
+function formatLocationCell(finding) {
+  const location = formatLocation(finding.location);
+  return location ? `<br><small>${escapeMarkup(location)}</small>` : '';
+}
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Point d'entrée des formats de rapport de validation
+ * @module api/utils/datavalidator/reporters
+ */
+
+import { formatText } from './text.js';
+import { formatJson } from './json.js';
+import { formatJUnit } from './junit.js';
+import { formatSarif } from './sarif.js';
+import { formatHtml } from './html.js';
+import { normalizeReport } from './reportModel.js';
+
+/**
+ * Formats de rapport disponibles
+ * @type {Object<string, Function>}
+ */
+export const REPORT_FORMATS = {
+  text: formatText,
+  json: formatJson,
+  junit: formatJUnit,
+  sarif: formatSarif,
+  html: formatHtml
+};
+
+export { formatText, formatJson, formatJUnit, formatSarif, formatHtml, normalizeReport };
+
+/**
+ * Produit un rapport dans le format demandé
+ * @param {Object} report - Résultat d'entité, de collection (validateMany) ou de jeu de données (validateDataset)
+ * @param {string} [format='text'] - Format (voir REPORT_FORMATS)
+ * @param {Object} [options] - Options propres au format
+ * @returns {string} - Rapport
+ */
+export function formatReport(report, format = 'text', options = {}) {
+  const formatter = REPORT_FORMATS[format];
+  
+  if (!formatter) {
+    throw new Error(`Format de rapport inconnu: ${format}. Formats disponibles: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+  
+  return formatter(report, options);
+}
\ No newline at end of file
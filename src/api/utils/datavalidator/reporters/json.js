@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Rapport de validation au format JSON stable
+ * @module api/utils/datavalidator/reporters/json
+ */
+
+import { normalizeReport } from './reportModel.js';
+
+/**
+ * Version du format JSON produit
+ * @type {number}
+ */
+export const JSON_REPORT_VERSION = 1;
+
+/**
+ * Produit un rapport JSON stable
+ * Les clés sont triées et les horodatages omis par défaut : deux validations
+ * des mêmes données produisent le même texte, ce qui permet de comparer les rapports.
+ * @param {Object} report - Résultat d'entité, de collection ou de jeu de données
+ * @param {Object} [options] - Options du rapport (voir normalizeReport)
+ * @param {boolean} [options.includeTimestamps=false] - Conserver l'horodatage des constats
+ * @param {number} [options.indent=2] - Indentation du JSON
+ * @returns {string} - Rapport JSON
+ */
+export function formatJson(report, options = {}) {
+  const { includeTimestamps = false, indent = 2 } = options;
+  const model = normalizeReport(report, options);
+  
+  const document = {
+    version: JSON_REPORT_VERSION,
+    valid: model.valid,
+    summary: model.summary,
+    entities: model.entities.map(entity => ({
+      collection: entity.collection,
+      key: entity.key,
+      valid: entity.valid,
+      findings: entity.findings.map(finding => {
+        const { timestamp, ...stable } = finding;
+        return includeTimestamps ? finding : stable;
+      })
+    }))
+  };
+  
+  return `${JSON.stringify(sortKeys(document), null, indent)}\n`;
+}
+
+/**
+ * Trie récursivement les clés des objets
+ * @private
+ * @param {*} value - Valeur à trier
+ * @returns {*} - Copie dont les objets ont des clés triées
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  
+  return Object.keys(value).sort().reduce((sorted, key) => {
+    sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }, {});
+}
\ No newline at end of file
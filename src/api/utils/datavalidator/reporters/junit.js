@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Rapport de validation au format JUnit XML pour l'intégration continue
+ * @module api/utils/datavalidator/reporters/junit
+ */
+
+import { ERROR_TYPES } from '../constants.js';
+import { normalizeReport, reportLabel, escapeMarkup, formatLocation } from './reportModel.js';
+
+/**
+ * Produit un rapport JUnit XML
+ * Chaque collection devient une suite de tests et chaque entité un cas de test :
+ * les erreurs sont des échecs, les avertissements et informations sont reportés
+ * dans la sortie du cas.
+ * @param {Object} report - Résultat d'entité, de collection ou de jeu de données
+ * @param {Object} [options] - Options du rapport (voir normalizeReport)
+ * @param {string} [options.suiteName='validation'] - Nom de la suite pour un résultat sans collection
+ * @returns {string} - Document XML
+ */
+export function formatJUnit(report, options = {}) {
+  const { locale, suiteName = 'validation' } = options;
+  const model = normalizeReport(report, options);
+  const suites = new Map();
+  
+  model.entities.forEach(entity => {
+    const name = entity.collection || suiteName;
+    
+    if (!suites.has(name)) {
+      suites.set(name, []);
+    }
+    
+    suites.get(name).push(entity);
+  });
+  
+  const suiteElements = [...suites.entries()].map(([name, entities]) => {
+    const failures = entities.filter(entity => hasErrors(entity)).length;
+    const cases = entities.map(entity => formatTestCase(name, entity, locale));
+    
+    return [
+      `  <testsuite name="${escapeMarkup(name)}" tests="${entities.length}" failures="${failures}" errors="0" skipped="0">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+  
+  const totalFailures = model.entities.filter(entity => hasErrors(entity)).length;
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeMarkup(reportLabel('title', {}, locale))}" tests="${model.entities.length}" failures="${totalFailures}" errors="0">`,
+    ...suiteElements,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Produit l'élément testcase d'une entité
+ * @private
+ * @param {string} suite - Nom de la suite
+ * @param {Object} entity - Entité du modèle
+ * @param {string} [locale] - Langue des libellés
+ * @returns {string} - Élément XML
+ */
+function formatTestCase(suite, entity, locale) {
+  const name = entity.key === null ? suite : (entity.key || entity.label || suite);
+  const errors = entity.findings.filter(finding => finding.type === ERROR_TYPES.ERROR);
+  const others = entity.findings.filter(finding => finding.type !== ERROR_TYPES.ERROR);
+  const describe = finding => {
+    const location = formatLocation(finding.location);
+    return `[${reportLabel(finding.type, {}, locale)}] ${finding.fullPath || '-'} (${finding.code}): ${finding.message}` +
+      (location ? ` [${location}]` : '');
+  };
+  
+  const open = `    <testcase classname="${escapeMarkup(suite)}" name="${escapeMarkup(name)}"`;
+  
+  if (entity.findings.length === 0) {
+    return `${open}/>`;
+  }
+  
+  const lines = [`${open}>`];
+  
+  if (errors.length > 0) {
+    lines.push(
+      `      <failure message="${escapeMarkup(errors[0].message)}" type="${escapeMarkup(errors[0].code)}">` +
+      `${escapeMarkup(errors.map(describe).join('\n'))}</failure>`
+    );
+  }
+  
+  if (others.length > 0) {
+    lines.push(`      <system-out>${escapeMarkup(others.map(describe).join('\n'))}</system-out>`);
+  }
+  
+  lines.push('    </testcase>');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Indique si une entité comporte des erreurs
+ * @private
+ * @param {Object} entity - Entité du modèle
+ * @returns {boolean}
+ */
+function hasErrors(entity) {
+  return entity.findings.some(finding => finding.type === ERROR_TYPES.ERROR);
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Modèle commun aux rapports de validation (entité, collection ou jeu de données)
+ * @module api/utils/datavalidator/reporters/reportModel
+ */
+
+import { ERROR_TYPES } from '../constants.js';
+import { DEFAULT_LOCALE, formatMessage, localizeFinding } from '../messages/index.js';
+
+/**
+ * Ordre d'affichage des niveaux de gravité
+ * @type {Array<string>}
+ */
+export const SEVERITY_ORDER = [ERROR_TYPES.ERROR, ERROR_TYPES.WARNING, ERROR_TYPES.INFO];
+
+/**
+ * Liste de constats correspondant à chaque niveau dans les résultats
+ * @type {Object<string, string>}
+ */
+const SEVERITY_KEYS = {
+  [ERROR_TYPES.ERROR]: 'errors',
+  [ERROR_TYPES.WARNING]: 'warnings',
+  [ERROR_TYPES.INFO]: 'infos'
+};
+
+/**
+ * Convertit un résultat de validation en modèle de rapport
+ * Accepte le résultat d'une entité ({valid, errors, warnings, infos}), le rapport
+ * d'une collection (validateMany) ou celui d'un jeu de données (validateDataset).
+ * Les constats propres à une collection sont rattachés à l'entité désignée par leur chemin.
+ * Chaque constat reçoit son chemin complet (fullPath), préfixé par la collection et l'entité.
+ * @param {Object} report - Résultat de validation
+ * @param {Object} [options] - Options du rapport
+ * @param {string} [options.locale] - Langue des messages et des libellés
+ * @param {string} [options.collection] - Nom de la collection (résultat d'entité ou de collection)
+ * @param {string} [options.entityId] - Identifiant de l'entité (résultat d'entité)
+ * @returns {Object} - Modèle {valid, summary, entities: [{collection, key, label, valid, findings}]}
+ */
+export function normalizeReport(report, options = {}) {
+  const { locale, collection = '', entityId = '' } = options;
+  const entities = [];
+  
+  if (report && report.collections) {
+    Object.entries(report.collections).forEach(([name, collectionReport]) => {
+      addCollection(entities, name, collectionReport);
+    });
+  } else if (report && report.entities) {
+    addCollection(entities, collection, report);
+  } else if (report) {
+    entities.push(createEntity(collection, entityId, report));
+  }
+  
+  // Traduire les constats si une langue est demandée
+  if (locale) {
+    entities.forEach(entity => {
+      entity.findings = entity.findings.map(finding => localizeFinding(finding, locale));
+    });
+  }
+  
+  const count = type => entities.reduce((sum, entity) => sum + entity.findings.filter(f => f.type === type).length, 0);
+  const scored = entities.filter(entity => entity.key !== null);
+  
+  const summary = {
+    entities: scored.length,
+    invalidEntities: scored.filter(entity => !entity.valid).length,
+    errors: count(ERROR_TYPES.ERROR),
+    warnings: count(ERROR_TYPES.WARNING),
+    infos: count(ERROR_TYPES.INFO)
+  };
+  
+  return {
+    valid: summary.errors === 0,
+    summary,
+    entities
+  };
+}
+
+/**
+ * Retourne tous les constats du modèle, triés par niveau de gravité
+ * @param {Object} model - Modèle produit par normalizeReport
+ * @returns {Array<Object>} - Constats enrichis de l'entité {entity, finding}
+ */
+export function listFindings(model) {
+  const findings = [];
+  
+  model.entities.forEach(entity => {
+    entity.findings.forEach(finding => findings.push({ entity, finding }));
+  });
+  
+  return findings.sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.finding.type) - SEVERITY_ORDER.indexOf(b.finding.type)
+  );
+}
+
+/**
+ * Produit un libellé de rapport dans la langue demandée
+ * @param {string} name - Nom du libellé (voir REPORT dans les catalogues)
+ * @param {Object} [params] - Paramètres du libellé
+ * @param {string} [locale=DEFAULT_LOCALE] - Langue
+ * @returns {string} - Libellé
+ */
+export function reportLabel(name, params = {}, locale = DEFAULT_LOCALE) {
+  return formatMessage(`REPORT.${name}`, params, locale);
+}
+
+/**
+ * Décrit l'emplacement d'un constat dans son fichier source
+ * @param {Object} [location] - Emplacement {file, line, column} ajouté par annotateLocations
+ * @returns {string} - "fichier:ligne:colonne" (vide si le constat n'est pas localisé)
+ */
+export function formatLocation(location) {
+  return location ? `${location.file}:${location.line}:${location.column}` : '';
+}
+
+/**
+ * Échappe une chaîne pour l'insérer dans un document XML ou HTML
+ * @param {*} value - Valeur à échapper
+ * @returns {string} - Texte échappé
+ */
+export function escapeMarkup(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Ajoute au modèle les entités d'une collection et ses constats propres
+ * @private
+ * @param {Array} entities - Entités du modèle
+ * @param {string} name - Nom de la collection
+ * @param {Object} collectionReport - Rapport de collection
+ */
+function addCollection(entities, name, collectionReport) {
+  const collectionEntities = Object.entries(collectionReport.entities || {}).map(([key, result]) =>
+    createEntity(name, key, result)
+  );
+  let orphans = null;
+  
+  SEVERITY_ORDER.forEach(type => {
+    (collectionReport[SEVERITY_KEYS[type]] || []).forEach(finding => {
+      const target = collectionEntities.find(entity => isPathOfEntity(finding.path, entity));
+      
+      if (target) {
+        // Chemin relatif à l'entité, comme pour ses propres constats
+        const path = finding.path.slice(target.label.length).replace(/^\./, '');
+        target.findings.push({ ...finding, path, fullPath: finding.path });
+        target.valid = target.valid && finding.type !== ERROR_TYPES.ERROR;
+        return;
+      }
+      
+      // Constats sans entité identifiable (ex: collection qui n'est pas un tableau)
+      if (!orphans) {
+        orphans = { collection: name, key: null, label: name, valid: true, findings: [] };
+      }
+      
+      orphans.findings.push({ ...finding, path: finding.path === name ? '' : finding.path, fullPath: finding.path });
+      orphans.valid = orphans.valid && finding.type !== ERROR_TYPES.ERROR;
+    });
+  });
+  
+  if (orphans) {
+    entities.push(orphans);
+  }
+  
+  entities.push(...collectionEntities);
+}
+
+/**
+ * Crée l'entrée du modèle correspondant au résultat d'une entité
+ * @private
+ * @param {string} collection - Nom de la collection
+ * @param {string} key - Clé de l'entité dans le rapport
+ * @param {Object} result - Résultat {valid, errors, warnings, infos}
+ * @returns {Object} - Entrée {collection, key, label, valid, findings}
+ */
+function createEntity(collection, key, result) {
+  const label = collection ? (key ? `${collection}[${key}]` : collection) : key;
+  const findings = [];
+  
+  SEVERITY_ORDER.forEach(type => {
+    (result[SEVERITY_KEYS[type]] || []).forEach(finding => {
+      const fullPath = label && finding.path ? `${label}.${finding.path}` : (finding.path || label);
+      findings.push({ ...finding, fullPath });
+    });
+  });
+  
+  return { collection, key, label, valid: result.valid !== false, findings };
+}
+
+/**
+ * Indique si le chemin d'un constat de collection désigne une entité
+ * @private
+ * @param {string} path - Chemin du constat (ex: "parts[liquidEngine2].techRequired")
+ * @param {Object} entity - Entrée du modèle
+ * @returns {boolean}
+ */
+function isPathOfEntity(path, entity) {
+  const prefix = `${entity.collection}[${entity.key}]`;
+  return typeof path === 'string' && (path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`));
+}
\ No newline at end of file
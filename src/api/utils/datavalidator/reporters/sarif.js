@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Rapport de validation au format SARIF 2.1.0 pour l'annotation des revues de code
+ * @module api/utils/datavalidator/reporters/sarif
+ */
+
+import { ERROR_TYPES } from '../constants.js';
+import { normalizeReport, listFindings } from './reportModel.js';
+
+/**
+ * Version de SARIF produite
+ * @type {string}
+ */
+export const SARIF_VERSION = '2.1.0';
+
+/**
+ * Schéma JSON de SARIF 2.1.0
+ * @type {string}
+ */
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Niveau SARIF de chaque niveau de gravité
+ * @type {Object<string, string>}
+ */
+const SARIF_LEVELS = {
+  [ERROR_TYPES.ERROR]: 'error',
+  [ERROR_TYPES.WARNING]: 'warning',
+  [ERROR_TYPES.INFO]: 'note'
+};
+
+/**
+ * Produit un rapport SARIF
+ * Chaque constat est rattaché au fichier source de son entité, ce qui permet aux
+ * outils de revue de code d'annoter directement les fichiers JSON. Les constats
+ * localisés (voir annotateLocations) indiquent en plus la ligne et la colonne.
+ * @param {Object} report - Résultat d'entité, de collection ou de jeu de données
+ * @param {Object} [options] - Options du rapport (voir normalizeReport)
+ * @param {Object|Function} [options.files] - Fichier source par collection ({parts: "data/parts.json"})
+ *   ou fonction (entity) => chemin du fichier, où entity vaut {collection, key}
+ * @param {string} [options.toolName='ksp-data-validator'] - Nom de l'outil
+ * @returns {string} - Document SARIF (JSON)
+ */
+export function formatSarif(report, options = {}) {
+  const { files, toolName = 'ksp-data-validator' } = options;
+  const model = normalizeReport(report, options);
+  const findings = listFindings(model);
+  
+  // Une règle par contrôle rencontré (identifiant stable, voir RULES), à défaut par code d'erreur
+  const ruleOf = finding => finding.rule || finding.code;
+  const ruleIds = [...new Set(findings.map(({ finding }) => ruleOf(finding)))].sort();
+  
+  const results = findings.map(({ entity, finding }) => {
+    const uri = finding.location ? finding.location.file : getFileUri(files, entity);
+    const location = {
+      logicalLocations: [{ fullyQualifiedName: finding.fullPath || entity.label, kind: 'member' }]
+    };
+    
+    if (uri) {
+      location.physicalLocation = { artifactLocation: { uri } };
+    }
+    
+    if (uri && finding.location) {
+      location.physicalLocation.region = {
+        startLine: finding.location.line,
+        startColumn: finding.location.column
+      };
+    }
+    
+    return {
+      ruleId: ruleOf(finding),
+      ruleIndex: ruleIds.indexOf(ruleOf(finding)),
+      level: SARIF_LEVELS[finding.type] || 'none',
+      message: { text: finding.message },
+      locations: [location],
+      properties: {
+        code: finding.code,
+        ...(finding.messageKey ? { messageKey: finding.messageKey, params: finding.params } : {})
+      }
+    };
+  });
+  
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: toolName,
+          rules: ruleIds.map(id => ({ id, name: id }))
+        }
+      },
+      results
+    }]
+  };
+  
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+/**
+ * Retrouve le fichier source d'une entité
+ * @private
+ * @param {Object|Function} [files] - Correspondance collection => fichier, ou fonction
+ * @param {Object} entity - Entité du modèle
+ * @returns {string|null} - Chemin du fichier
+ */
+function getFileUri(files, entity) {
+  if (typeof files === 'function') {
+    return files({ collection: entity.collection, key: entity.key }) || null;
+  }
+  
+  return (files && files[entity.collection]) || null;
+}
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Rapport de validation sous forme de tableau texte pour la console
+ * @module api/utils/datavalidator/reporters/text
+ */
+
+import { normalizeReport, listFindings, reportLabel, formatLocation } from './reportModel.js';
+
+/**
+ * Largeur maximale d'une colonne (hors message)
+ * @type {number}
+ */
+const MAX_COLUMN_WIDTH = 48;
+
+/**
+ * Produit un tableau texte des constats suivi d'un résumé
+ * Une colonne d'emplacement (fichier:ligne:colonne) est ajoutée si des constats sont localisés.
+ * @param {Object} report - Résultat d'entité, de collection ou de jeu de données
+ * @param {Object} [options] - Options du rapport (voir normalizeReport)
+ * @returns {string} - Rapport texte
+ */
+export function formatText(report, options = {}) {
+  const { locale } = options;
+  const model = normalizeReport(report, options);
+  const summary = reportLabel('summary', model.summary, locale);
+  const findings = listFindings(model);
+  
+  if (findings.length === 0) {
+    return `${reportLabel('noFindings', {}, locale)}\n${summary}\n`;
+  }
+  
+  const located = findings.some(({ finding }) => finding.location);
+  const columns = located
+    ? ['location', 'severity', 'entity', 'path', 'code', 'message']
+    : ['severity', 'entity', 'path', 'code', 'message'];
+  const header = columns.map(name => reportLabel(name, {}, locale));
+  const rows = findings.map(({ entity, finding }) => [
+    ...(located ? [formatLocation(finding.location) || '-'] : []),
+    reportLabel(finding.type, {}, locale),
+    entity.label || '-',
+    finding.path || '-',
+    finding.code || '-',
+    finding.message
+  ]);
+  
+  // Largeur de chaque colonne, la dernière (message) n'est pas complétée
+  const widths = header.map((title, column) => Math.min(
+    MAX_COLUMN_WIDTH,
+    Math.max(title.length, ...rows.map(row => String(row[column]).length))
+  ));
+  
+  const formatRow = row => row
+    .map((cell, column) => (column === row.length - 1 ? cell : truncate(String(cell), widths[column]).padEnd(widths[column])))
+    .join('  ')
+    .trimEnd();
+  
+  const separator = widths.map((width, column) =>
+    '-'.repeat(column === widths.length - 1 ? header[column].length : width)
+  );
+  
+  return [formatRow(header), formatRow(separator), ...rows.map(formatRow), '', summary, ''].join('\n');
+}
+
+/**
+ * Tronque une cellule trop longue
+ * @private
+ * @param {string} value - Contenu de la cellule
+ * @param {number} width - Largeur de la colonne
+ * @returns {string} - Contenu tronqué
+ */
+function truncate(value, width) {
+  return value.length > width ? `${value.slice(0, width - 1)}…` : value;
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Schémas déclaratifs des pièces aérodynamiques (catégorie "aero") et de leurs modules
+ * @module api/utils/datavalidator/schemas/aero
+ *
+ * Les schémas de modules s'appliquent à un élément de modules[] ({name, params}) de la pièce.
+ */
+
+/**
+ * Modèles de traînée reconnus (dragModelType)
+ * @type {Array<string>}
+ */
+export const DRAG_MODEL_TYPES = ['default', 'override', 'none'];
+
+/**
+ * Schéma des champs de traînée d'une pièce aérodynamique
+ * Les traînées minimale et maximale ne sont exigées que pour le modèle "override".
+ * @type {Object}
+ */
+export const AERO_SCHEMA = {
+  $id: 'part.aero',
+  title: 'Pièce aérodynamique',
+  messageContext: 'aero',
+  type: 'object',
+  properties: {
+    dragModelType: { type: 'string', enum: DRAG_MODEL_TYPES },
+    maximum_drag: { type: 'number', minimum: 0, requiredWhen: { dragModelType: 'override' } },
+    minimum_drag: { type: 'number', minimum: 0, requiredWhen: { dragModelType: 'override' } },
+    angularDrag: { type: 'number', minimum: 0 }
+  }
+};
+
+/**
+ * Schéma d'une surface portante (ModuleLiftingSurface)
+ * @type {Object}
+ */
+export const LIFTING_SURFACE_MODULE_SCHEMA = {
+  $id: 'module.ModuleLiftingSurface',
+  title: 'Surface portante',
+  messageContext: 'liftingSurface',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        deflectionLiftCoeff: { type: 'number', required: true, minimum: 0 },
+        dragAtMaxAoA: { type: 'number', minimum: 0 },
+        dragAtMinAoA: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
+
+/**
+ * Schéma d'une gouverne (ModuleControlSurface)
+ * ctrlSurfaceRange est le débattement maximal en degrés, ctrlSurfaceArea la fraction
+ * de la surface portante qui pivote.
+ * @type {Object}
+ */
+export const CONTROL_SURFACE_MODULE_SCHEMA = {
+  $id: 'module.ModuleControlSurface',
+  title: 'Gouverne',
+  messageContext: 'controlSurface',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        ...LIFTING_SURFACE_MODULE_SCHEMA.properties.params.properties,
+        ctrlSurfaceRange: { type: 'number', required: true, minimum: 0, maximum: 90 },
+        ctrlSurfaceArea: { type: 'number', required: true, minimum: 0, maximum: 1 },
+        actuatorSpeed: { type: 'number', exclusiveMinimum: 0 }
+      }
+    }
+  }
+};
+
+/**
+ * Schéma d'une prise d'air (ModuleResourceIntake)
+ * @type {Object}
+ */
+export const INTAKE_MODULE_SCHEMA = {
+  $id: 'module.ModuleResourceIntake',
+  title: "Prise d'air",
+  messageContext: 'intake',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        resourceName: { type: 'string', required: true, minLength: 1 },
+        area: { type: 'number', required: true, exclusiveMinimum: 0 },
+        intakeSpeed: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
\ No newline at end of file
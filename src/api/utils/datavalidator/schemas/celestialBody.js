@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Schéma déclaratif des corps célestes
+ * @module api/utils/datavalidator/schemas/celestialBody
+ */
+
+import { FLOAT_CURVE_SCHEMA } from './electrical.js';
+
+/**
+ * Schéma de l'orbite d'un corps céleste
+ * Requise pour tout corps ayant un parent, sauf l'étoile centrale (vérifié par le validateur).
+ * @type {Object}
+ */
+export const ORBIT_SCHEMA = {
+  type: 'object',
+  properties: {
+    semiMajorAxis: { type: 'number', required: true }, // m
+    eccentricity: { type: 'number', required: true },
+    inclination: { type: 'number', required: true },
+    orbitalPeriod: { type: 'number', required: true }  // s
+  }
+};
+
+/**
+ * Schéma d'un corps céleste
+ * @type {Object}
+ */
+export const CELESTIAL_BODY_SCHEMA = {
+  $id: 'celestial_body',
+  title: 'Corps céleste',
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    type: { type: 'string', required: true },
+    parent: { type: 'string' },
+    physical: {
+      type: 'object',
+      required: true,
+      properties: {
+        radius: { type: 'number', required: true, minimum: 0 },  // m
+        mass: { type: 'number', required: true, minimum: 0 },    // kg
+        gravity: { type: 'number', required: true, minimum: 0 }, // m/s²
+        rotationPeriod: { type: 'number', exclusiveMinimum: 0 }  // s, rotation sidérale
+      }
+    },
+    orbit: ORBIT_SCHEMA,
+    ocean: { type: 'boolean' }, // Amerrissage possible
+    atmosphere: {
+      type: 'object',
+      properties: {
+        present: { type: 'boolean' },
+        height: { type: 'number', requiredWhen: { present: true } },         // m
+        pressure: { type: 'number', requiredWhen: { present: true } },       // kPa au niveau de la mer
+        temperatureASL: { type: 'number', requiredWhen: { present: true } }, // K au niveau de la mer
+        scaleHeight: { type: 'number', exclusiveMinimum: 0 },                // m
+        molarMass: { type: 'number', exclusiveMinimum: 0 },                  // kg/mol
+        adiabaticIndex: { type: 'number', exclusiveMinimum: 1 },             // Cp/Cv
+        pressureCurve: FLOAT_CURVE_SCHEMA,                                   // [altitude (m), pression (kPa)]
+        temperatureCurve: FLOAT_CURVE_SCHEMA                                 // [altitude (m), température (K)]
+      }
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Schéma déclaratif des modules de commande (catégorie "command")
+ * @module api/utils/datavalidator/schemas/command
+ */
+
+/**
+ * Schéma des champs spécifiques aux modules de commande
+ * @type {Object}
+ */
+export const COMMAND_SCHEMA = {
+  $id: 'part.command',
+  title: 'Module de commande',
+  messageContext: 'command',
+  type: 'object',
+  properties: {
+    crewCapacity: { type: 'integer', required: true, minimum: 0 },
+    modules: { type: 'array', required: true }
+  }
+};
\ No newline at end of file
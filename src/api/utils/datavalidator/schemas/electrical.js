@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Schémas déclaratifs des modules électriques (générateurs, panneaux solaires, convertisseurs)
+ * @module api/utils/datavalidator/schemas/electrical
+ *
+ * Ces schémas s'appliquent à un élément de modules[] ({name, params}) de la pièce.
+ */
+
+/**
+ * Schéma d'un débit de ressource (entrée ou sortie d'un générateur ou d'un convertisseur)
+ * @private
+ * @type {Object}
+ */
+const RESOURCE_FLOW_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', required: true, minLength: 1 },
+    rate: { type: 'number', required: true, exclusiveMinimum: 0 } // Unités par seconde
+  }
+};
+
+/**
+ * Schéma d'une courbe KSP : liste de clés [x, y] ou [x, y, tangente entrante, tangente sortante]
+ * @type {Object}
+ */
+export const FLOAT_CURVE_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'array',
+    minItems: 2,
+    maxItems: 4,
+    items: { type: 'number' }
+  }
+};
+
+/**
+ * Schéma d'un générateur (ModuleGenerator), par exemple un générateur thermoélectrique (RTG)
+ * @type {Object}
+ */
+export const GENERATOR_MODULE_SCHEMA = {
+  $id: 'module.ModuleGenerator',
+  title: 'Générateur',
+  messageContext: 'generator',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        isAlwaysActive: { type: 'boolean' },
+        inputs: { type: 'array', itemLabel: 'input', items: RESOURCE_FLOW_SCHEMA },
+        outputs: { type: 'array', required: true, minItems: 1, itemLabel: 'output', items: RESOURCE_FLOW_SCHEMA }
+      }
+    }
+  }
+};
+
+/**
+ * Schéma d'un panneau solaire (ModuleDeployableSolarPanel)
+ * chargeRate est la production à 1 UA (distance de Kerbin) ; powerCurve module cette
+ * production selon la distance au soleil (m). Un panneau orientable pivote autour de pivotName.
+ * @type {Object}
+ */
+export const SOLAR_PANEL_MODULE_SCHEMA = {
+  $id: 'module.ModuleDeployableSolarPanel',
+  title: 'Panneau solaire',
+  messageContext: 'solarPanel',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        chargeRate: { type: 'number', required: true, exclusiveMinimum: 0 },
+        resourceName: { type: 'string', minLength: 1 }, // "ElectricCharge" par défaut
+        isTracking: { type: 'boolean' },
+        pivotName: { type: 'string', minLength: 1, requiredWhen: { isTracking: true } },
+        powerCurve: FLOAT_CURVE_SCHEMA
+      }
+    }
+  }
+};
+
+/**
+ * Schéma d'un convertisseur de ressources (ModuleResourceConverter), par exemple une pile à combustible
+ * @type {Object}
+ */
+export const CONVERTER_MODULE_SCHEMA = {
+  $id: 'module.ModuleResourceConverter',
+  title: 'Convertisseur',
+  messageContext: 'converter',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        converterName: { type: 'string', minLength: 1 },
+        inputs: { type: 'array', required: true, minItems: 1, itemLabel: 'input', items: RESOURCE_FLOW_SCHEMA },
+        outputs: { type: 'array', required: true, minItems: 1, itemLabel: 'output', items: RESOURCE_FLOW_SCHEMA }
+      }
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Schéma déclaratif des moteurs (catégorie "engines")
+ * @module api/utils/datavalidator/schemas/engine
+ */
+
+/**
+ * Schéma des champs spécifiques aux moteurs
+ * @type {Object}
+ */
+export const ENGINE_SCHEMA = {
+  $id: 'part.engines',
+  title: 'Moteur',
+  messageContext: 'engine',
+  type: 'object',
+  properties: {
+    engineType: { type: 'string', required: true },
+    thrust: { // kN
+      type: 'object',
+      required: true,
+      properties: {
+        vacuum: { type: 'number', required: true, exclusiveMinimum: 0 },
+        atmosphere: { type: 'number', required: true, minimum: 0 }
+      }
+    },
+    isp: { // s
+      type: 'object',
+      required: true,
+      properties: {
+        vacuum: { type: 'number', required: true, exclusiveMinimum: 0 },
+        atmosphere: { type: 'number', required: true, minimum: 0 }
+      }
+    },
+    maxFuelFlow: { type: 'number', exclusiveMinimum: 0 }, // Débit massique maximal (t/s)
+    propellants: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      itemLabel: 'propellant',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', required: true },
+          ratio: { type: 'number', required: true, exclusiveMinimum: 0 }
+        }
+      }
+    }
+  }
+};
\ No newline at end of file
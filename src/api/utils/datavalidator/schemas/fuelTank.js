@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Schéma déclaratif des réservoirs (catégorie "fuel_tanks")
+ * @module api/utils/datavalidator/schemas/fuelTank
+ */
+
+/**
+ * Schéma des champs spécifiques aux réservoirs
+ * @type {Object}
+ */
+export const FUEL_TANK_SCHEMA = {
+  $id: 'part.fuel_tanks',
+  title: 'Réservoir',
+  messageContext: 'fuelTank',
+  type: 'object',
+  properties: {
+    tankType: { type: 'string', required: true },
+    resources: { type: 'array', required: true },
+    volume: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Point d'entrée des schémas déclaratifs et export au format JSON Schema
+ * @module api/utils/datavalidator/schemas
+ */
+
+import { VALIDATION_TYPES, ERROR_TYPES } from '../constants.js';
+import { PART_SCHEMA } from './part.js';
+import { ENGINE_SCHEMA } from './engine.js';
+import { FUEL_TANK_SCHEMA } from './fuelTank.js';
+import { COMMAND_SCHEMA } from './command.js';
+import { RESOURCE_SCHEMA } from './resource.js';
+import { CELESTIAL_BODY_SCHEMA } from './celestialBody.js';
+import { TECH_SCHEMA } from './tech.js';
+import {
+  DECOUPLER_MODULE_SCHEMA,
+  RADIAL_DECOUPLER_MODULE_SCHEMA,
+  CROSSFEED_MODULE_SCHEMA,
+  FAIRING_MODULE_SCHEMA,
+  LAUNCH_CLAMP_MODULE_SCHEMA
+} from './staging.js';
+import {
+  AERO_SCHEMA,
+  LIFTING_SURFACE_MODULE_SCHEMA,
+  CONTROL_SURFACE_MODULE_SCHEMA,
+  INTAKE_MODULE_SCHEMA
+} from './aero.js';
+import {
+  GENERATOR_MODULE_SCHEMA,
+  SOLAR_PANEL_MODULE_SCHEMA,
+  CONVERTER_MODULE_SCHEMA
+} from './electrical.js';
+import { PARACHUTE_MODULE_SCHEMA, ABLATOR_MODULE_SCHEMA } from './recovery.js';
+import { EXPERIMENT_MODULE_SCHEMA } from './science.js';
+
+/**
+ * Version de JSON Schema produite par l'export
+ * @type {string}
+ */
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Schémas par type d'entité
+ * @type {Object<string, Object>}
+ */
+export const ENTITY_SCHEMAS = {
+  [VALIDATION_TYPES.PART]: PART_SCHEMA,
+  [VALIDATION_TYPES.CELESTIAL_BODY]: CELESTIAL_BODY_SCHEMA,
+  [VALIDATION_TYPES.RESOURCE]: RESOURCE_SCHEMA,
+  [VALIDATION_TYPES.TECH]: TECH_SCHEMA
+};
+
+/**
+ * Schémas spécifiques par catégorie de pièce
+ * @type {Object<string, Object>}
+ */
+export const CATEGORY_SCHEMAS = {
+  engines: ENGINE_SCHEMA,
+  fuel_tanks: FUEL_TANK_SCHEMA,
+  command: COMMAND_SCHEMA,
+  aero: AERO_SCHEMA
+};
+
+/**
+ * Schémas des modules de pièce, par nom de module (élément de modules[] : {name, params})
+ * @type {Object<string, Object>}
+ */
+export const MODULE_SCHEMAS = Object.fromEntries([
+  DECOUPLER_MODULE_SCHEMA,
+  RADIAL_DECOUPLER_MODULE_SCHEMA,
+  CROSSFEED_MODULE_SCHEMA,
+  FAIRING_MODULE_SCHEMA,
+  LAUNCH_CLAMP_MODULE_SCHEMA,
+  LIFTING_SURFACE_MODULE_SCHEMA,
+  CONTROL_SURFACE_MODULE_SCHEMA,
+  INTAKE_MODULE_SCHEMA,
+  GENERATOR_MODULE_SCHEMA,
+  SOLAR_PANEL_MODULE_SCHEMA,
+  CONVERTER_MODULE_SCHEMA,
+  PARACHUTE_MODULE_SCHEMA,
+  ABLATOR_MODULE_SCHEMA,
+  EXPERIMENT_MODULE_SCHEMA
+].map(schema => [schema.$id.replace(/^module\./, ''), schema]));
+
+export {
+  PART_SCHEMA,
+  ENGINE_SCHEMA,
+  FUEL_TANK_SCHEMA,
+  COMMAND_SCHEMA,
+  RESOURCE_SCHEMA,
+  CELESTIAL_BODY_SCHEMA,
+  TECH_SCHEMA,
+  DECOUPLER_MODULE_SCHEMA,
+  RADIAL_DECOUPLER_MODULE_SCHEMA,
+  CROSSFEED_MODULE_SCHEMA,
+  FAIRING_MODULE_SCHEMA,
+  LAUNCH_CLAMP_MODULE_SCHEMA,
+  AERO_SCHEMA,
+  LIFTING_SURFACE_MODULE_SCHEMA,
+  CONTROL_SURFACE_MODULE_SCHEMA,
+  INTAKE_MODULE_SCHEMA,
+  GENERATOR_MODULE_SCHEMA,
+  SOLAR_PANEL_MODULE_SCHEMA,
+  CONVERTER_MODULE_SCHEMA,
+  PARACHUTE_MODULE_SCHEMA,
+  ABLATOR_MODULE_SCHEMA,
+  EXPERIMENT_MODULE_SCHEMA
+};
+
+/**
+ * Convertit un schéma déclaratif en document JSON Schema
+ * Le document suit le moteur de validation : un élément null d'un tableau ou un champ facultatif
+ * null n'y est accepté que si le moteur ne le signale pas comme une erreur. Pour les pièces,
+ * les schémas de catégorie et de module s'appliquent selon category et modules[].name.
+ * @param {Object} schema - Schéma déclaratif
+ * @returns {Object} - Document JSON Schema (draft 2020-12)
+ */
+export function toJsonSchema(schema) {
+  const jsonSchema = {
+    $schema: JSON_SCHEMA_DIALECT,
+    ...(schema.$id ? { $id: `${schema.$id}.schema.json` } : {}),
+    ...convertNode(schema)
+  };
+  
+  // Les schémas de catégorie s'appliquent conditionnellement aux pièces
+  if (schema === PART_SCHEMA) {
+    jsonSchema.allOf = [
+      ...(jsonSchema.allOf || []),
+      ...Object.entries(CATEGORY_SCHEMAS).map(([category, categorySchema]) => ({
+        if: { properties: { category: { const: category } }, required: ['category'] },
+        then: convertNode(categorySchema)
+      })),
+      {
+        properties: {
+          modules: {
+            items: {
+              allOf: Object.entries(MODULE_SCHEMAS).map(([name, moduleSchema]) => ({
+                if: { type: 'object', properties: { name: { const: name } }, required: ['name'] },
+                then: convertNode(moduleSchema)
+              }))
+            }
+          }
+        }
+      }
+    ];
+  }
+  
+  return jsonSchema;
+}
+
+/**
+ * Exporte tous les schémas d'entité et de module au format JSON Schema
+ * @returns {Object<string, Object>} - Documents JSON Schema par type d'entité, puis par module
+ *   sous la clé de leur $id (ex: "module.ModuleDecouple")
+ */
+export function getJsonSchemas() {
+  return Object.fromEntries([
+    ...Object.entries(ENTITY_SCHEMAS).map(([type, schema]) => [type, toJsonSchema(schema)]),
+    ...Object.values(MODULE_SCHEMAS).map(schema => [schema.$id, toJsonSchema(schema)])
+  ]);
+}
+
+/**
+ * Convertit un nœud de schéma déclaratif
+ * @private
+ * @param {Object} schema - Nœud du schéma
+ * @returns {Object} - Nœud JSON Schema
+ */
+function convertNode(schema) {
+  const node = {};
+  
+  if (schema.title) node.title = schema.title;
+  if (schema.description) node.description = schema.description;
+  if (schema.type) node.type = schema.type;
+  
+  ['enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'minItems', 'maxItems']
+    .forEach(keyword => {
+      if (schema[keyword] !== undefined) {
+        node[keyword] = schema[keyword];
+      }
+    });
+  
+  if (schema.length !== undefined) {
+    node.minItems = schema.length;
+    node.maxItems = schema.length;
+  }
+  
+  if (schema.items) {
+    // Un élément null n'est qu'un avertissement, sauf si le schéma en fait une erreur
+    node.items = schema.nullItems === ERROR_TYPES.ERROR ? convertNode(schema.items) : allowNull(convertNode(schema.items));
+  }
+  
+  if (schema.properties) {
+    const entries = Object.entries(schema.properties);
+    
+    // Un champ null est traité comme absent : accepté s'il n'est pas requis
+    node.properties = Object.fromEntries(entries.map(([key, property]) => [
+      key,
+      property.required === true || property.requiredWhen ? convertNode(property) : allowNull(convertNode(property))
+    ]));
+    
+    const required = entries.filter(([, property]) => property.required === true).map(([key]) => key);
+    if (required.length > 0) {
+      node.required = required;
+    }
+    
+    const conditional = entries.filter(([, property]) => property.requiredWhen);
+    if (conditional.length > 0) {
+      node.allOf = conditional.map(([key, property]) => ({
+        if: {
+          properties: Object.fromEntries(
+            Object.entries(property.requiredWhen).map(([field, value]) => [field, { const: value }])
+          ),
+          required: Object.keys(property.requiredWhen)
+        },
+        then: { required: [key] }
+      }));
+    }
+  }
+  
+  return node;
+}
+
+/**
+ * Accepte la valeur null en plus du nœud
+ * @private
+ * @param {Object} node - Nœud JSON Schema
+ * @returns {Object} - Nœud acceptant null
+ */
+function allowNull(node) {
+  return { anyOf: [{ type: 'null' }, node] };
+}
\ No newline at end of file
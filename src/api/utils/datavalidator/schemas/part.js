@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Schéma déclaratif des pièces
+ * @module api/utils/datavalidator/schemas/part
+ */
+
+/**
+ * Schéma d'un vecteur 3D (position, orientation)
+ * @type {Object}
+ */
+export const VECTOR3_SCHEMA = {
+  type: 'array',
+  length: 3,
+  items: { type: 'number' }
+};
+
+/**
+ * Schéma commun à toutes les pièces
+ * Les champs spécifiques aux catégories sont décrits dans les schémas de catégorie.
+ * @type {Object}
+ */
+export const PART_SCHEMA = {
+  $id: 'part',
+  title: 'Pièce',
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    title: { type: 'string' },
+    category: { type: 'string', required: true },
+    cost: { type: 'number' },
+    mass: {
+      type: 'object',
+      required: true,
+      properties: {
+        dry: { type: 'number', required: true, minimum: 0 },
+        wet: { type: 'number' }
+      }
+    },
+    maxTemp: { type: 'number', exclusiveMinimum: 0 },     // Température maximale de la pièce (K)
+    skinMaxTemp: { type: 'number', exclusiveMinimum: 0 }, // Température maximale de la peau (K)
+    attachNodes: {
+      type: 'array',
+      itemLabel: 'attachNode',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true },
+          position: { ...VECTOR3_SCHEMA, required: true, default: [0, 0, 0] },
+          orientation: { ...VECTOR3_SCHEMA, required: true, default: [0, 1, 0] }, // Vers le haut par défaut
+          size: { type: 'integer', minimum: 0 } // Taille du nœud (0 : 0,625 m, 1 : 1,25 m, 2 : 2,5 m...)
+        }
+      }
+    },
+    attachRules: {
+      type: 'object',
+      properties: {
+        stack: { type: 'boolean' },
+        srfAttach: { type: 'boolean' },
+        allowStack: { type: 'boolean' },
+        allowSrfAttach: { type: 'boolean' },
+        allowCollision: { type: 'boolean' }
+      }
+    },
+    resources: {
+      type: 'array',
+      itemLabel: 'resource',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', required: true },
+          amount: { type: 'number', required: true, minimum: 0 },
+          maxAmount: { type: 'number', required: true, minimum: 0 }
+        }
+      }
+    },
+    modules: {
+      type: 'array',
+      itemLabel: 'module',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', required: true },
+          params: { type: 'object' }
+        }
+      }
+    },
+    techRequired: { type: 'string' }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Schémas déclaratifs des modules de récupération (parachutes, boucliers thermiques)
+ * @module api/utils/datavalidator/schemas/recovery
+ *
+ * Ces schémas s'appliquent à un élément de modules[] ({name, params}) de la pièce.
+ */
+
+/**
+ * Schéma d'un parachute (ModuleParachute)
+ * Les traînées sont des coefficients sans unité, la pression d'ouverture est en atmosphères
+ * et l'altitude de déploiement complet en mètres au-dessus du sol.
+ * @type {Object}
+ */
+export const PARACHUTE_MODULE_SCHEMA = {
+  $id: 'module.ModuleParachute',
+  title: 'Parachute',
+  messageContext: 'parachute',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        fullyDeployedDrag: { type: 'number', required: true, exclusiveMinimum: 0 },
+        semiDeployedDrag: { type: 'number', required: true, exclusiveMinimum: 0 },
+        minAirPressureToOpen: { type: 'number', required: true, minimum: 0 },
+        deployAltitude: { type: 'number', required: true, minimum: 0 },
+        chuteMaxTemp: { type: 'number', exclusiveMinimum: 0 }
+      }
+    }
+  }
+};
+
+/**
+ * Schéma d'un bouclier thermique ablatif (ModuleAblator)
+ * La ressource ablative est consommée au rythme lossConst · exp(lossExp / T) au-delà de
+ * ablationTempThresh (K) ; pyrolysisLossFactor règle la chaleur évacuée par unité consommée.
+ * @type {Object}
+ */
+export const ABLATOR_MODULE_SCHEMA = {
+  $id: 'module.ModuleAblator',
+  title: 'Bouclier thermique',
+  messageContext: 'heatShield',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        ablativeResource: { type: 'string', required: true, minLength: 1 },
+        lossExp: { type: 'number', required: true },
+        lossConst: { type: 'number', exclusiveMinimum: 0 },
+        pyrolysisLossFactor: { type: 'number', required: true, exclusiveMinimum: 0 },
+        ablationTempThresh: { type: 'number', exclusiveMinimum: 0 },
+        reentryConductivity: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
\ No newline at end of file
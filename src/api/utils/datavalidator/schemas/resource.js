@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Schéma déclaratif des ressources
+ * @module api/utils/datavalidator/schemas/resource
+ */
+
+/**
+ * Modes de flux acceptés pour une ressource
+ * @type {Array<string>}
+ */
+export const FLOW_MODES = [
+  'NO_FLOW',
+  'ALL_VESSEL',
+  'STAGE_PRIORITY_FLOW',
+  'STAGE_STACK_FLOW',
+  'STAGE_LOCKED'
+];
+
+/**
+ * Schéma d'une ressource
+ * @type {Object}
+ */
+export const RESOURCE_SCHEMA = {
+  $id: 'resource',
+  title: 'Ressource',
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    density: { type: 'number', required: true, minimum: 0 },
+    unitCost: { type: 'number', required: true, minimum: 0 },
+    specificEnergy: { type: 'number', minimum: 0 },
+    transferable: { type: 'boolean' },
+    flowMode: { type: 'string', enum: FLOW_MODES },
+    color: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 4,
+      items: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  }
+};
\ No newline at end of file
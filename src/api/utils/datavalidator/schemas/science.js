@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Schéma déclaratif des expériences scientifiques
+ * @module api/utils/datavalidator/schemas/science
+ *
+ * Ce schéma s'applique à un élément de modules[] ({name, params}) de la pièce. Les champs
+ * de la définition de l'expérience (EXPERIMENT_DEFINITION du jeu) sont portés par le module.
+ */
+
+/**
+ * Masque couvrant toutes les situations (6 bits, voir EXPERIMENT_SITUATIONS)
+ * @type {number}
+ */
+export const ALL_SITUATIONS_MASK = 63;
+
+/**
+ * Schéma d'une expérience scientifique (ModuleScienceExperiment)
+ * situationMask indique les situations où l'expérience est possible, biomeMask celles où
+ * son résultat dépend du biome ; xmitDataScalar est la part de science récupérée par
+ * transmission (0 à 1).
+ * @type {Object}
+ */
+export const EXPERIMENT_MODULE_SCHEMA = {
+  $id: 'module.ModuleScienceExperiment',
+  title: 'Expérience scientifique',
+  messageContext: 'experiment',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        experimentID: { type: 'string', required: true, minLength: 1 },
+        situationMask: { type: 'integer', required: true, minimum: 0, maximum: ALL_SITUATIONS_MASK },
+        biomeMask: { type: 'integer', minimum: 0, maximum: ALL_SITUATIONS_MASK },
+        baseValue: { type: 'number', required: true, exclusiveMinimum: 0 },
+        scienceCap: { type: 'number', required: true, exclusiveMinimum: 0 },
+        dataScale: { type: 'number', required: true, exclusiveMinimum: 0 },
+        requireAtmosphere: { type: 'boolean' },
+        rerunnable: { type: 'boolean' },
+        resettable: { type: 'boolean' },
+        xmitDataScalar: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    }
+  }
+};
\ No newline at end of file
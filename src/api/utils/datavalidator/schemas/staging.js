@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Schémas déclaratifs des modules d'étagement (découpleurs, coiffes, stabilisateurs de lancement)
+ * @module api/utils/datavalidator/schemas/staging
+ *
+ * Ces schémas s'appliquent à un élément de modules[] ({name, params}) de la pièce.
+ */
+
+/**
+ * Champs communs des modules déclenchés par les étages
+ * @private
+ * @type {Object}
+ */
+const STAGING_PARAMS = {
+  stagingEnabled: { type: 'boolean' }
+};
+
+/**
+ * Schéma d'un découpleur ou séparateur en ligne (ModuleDecouple)
+ * @type {Object}
+ */
+export const DECOUPLER_MODULE_SCHEMA = {
+  $id: 'module.ModuleDecouple',
+  title: 'Découpleur',
+  messageContext: 'decoupler',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        ejectionForce: { type: 'number', required: true, minimum: 0 },
+        isOmniDecoupler: { type: 'boolean' },
+        explosiveNodeID: { type: 'string', minLength: 1 }, // "top" par défaut
+        ...STAGING_PARAMS
+      }
+    }
+  }
+};
+
+/**
+ * Schéma d'un découpleur radial (ModuleAnchoredDecoupler)
+ * @type {Object}
+ */
+export const RADIAL_DECOUPLER_MODULE_SCHEMA = {
+  ...DECOUPLER_MODULE_SCHEMA,
+  $id: 'module.ModuleAnchoredDecoupler',
+  title: 'Découpleur radial',
+  messageContext: 'radialDecoupler'
+};
+
+/**
+ * Schéma d'un module d'alimentation croisée commutable (ModuleToggleCrossfeed)
+ * @type {Object}
+ */
+export const CROSSFEED_MODULE_SCHEMA = {
+  $id: 'module.ModuleToggleCrossfeed',
+  title: 'Alimentation croisée',
+  messageContext: 'crossfeed',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      properties: {
+        crossfeedStatus: { type: 'boolean' },
+        toggleEditor: { type: 'boolean' },
+        toggleFlight: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+/**
+ * Schéma d'une coiffe procédurale (ModuleProceduralFairing)
+ * @type {Object}
+ */
+export const FAIRING_MODULE_SCHEMA = {
+  $id: 'module.ModuleProceduralFairing',
+  title: 'Coiffe',
+  messageContext: 'fairing',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        baseRadius: { type: 'number', required: true, exclusiveMinimum: 0 },
+        maxRadius: { type: 'number', exclusiveMinimum: 0 },
+        nSides: { type: 'integer', minimum: 1 },
+        ...STAGING_PARAMS
+      }
+    }
+  }
+};
+
+/**
+ * Schéma d'un stabilisateur de lancement (LaunchClamp)
+ * @type {Object}
+ */
+export const LAUNCH_CLAMP_MODULE_SCHEMA = {
+  $id: 'module.LaunchClamp',
+  title: 'Stabilisateur de lancement',
+  messageContext: 'launchClamp',
+  type: 'object',
+  properties: {
+    params: {
+      type: 'object',
+      required: true,
+      properties: {
+        trf_towerPivot_name: { type: 'string', required: true, minLength: 1 },
+        trf_towerStretch_name: { type: 'string', required: true, minLength: 1 },
+        trf_anchor_name: { type: 'string', required: true, minLength: 1 },
+        ...STAGING_PARAMS
+      }
+    }
+  }
+};
\ No newline at end of file
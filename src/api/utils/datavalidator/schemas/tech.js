@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Schéma déclaratif des nœuds de l'arbre technologique
+ * @module api/utils/datavalidator/schemas/tech
+ */
+
+import { ERROR_TYPES } from '../constants.js';
+
+/**
+ * Schéma d'un nœud technologique
+ * @type {Object}
+ */
+export const TECH_SCHEMA = {
+  $id: 'tech',
+  title: 'Nœud technologique',
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+    cost: { type: 'number', required: true, minimum: 0 },
+    parents: {
+      type: 'array',
+      required: true,
+      nullItems: ERROR_TYPES.ERROR,
+      items: { type: 'string', minLength: 1 }
+    },
+    partUnlocks: {
+      type: 'array',
+      required: true,
+      nullItems: ERROR_TYPES.ERROR,
+      items: { type: 'string', minLength: 1 }
+    },
+    anyParent: { type: 'boolean' },
+    allParents: { type: 'boolean' }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Validation asynchrone par lots avec suivi de progression et annulation
+ * @module api/utils/datavalidator/validators/bulk
+ */
+
+import {
+  COLLECTION_TYPES,
+  createCollectionReport,
+  getEntityKey,
+  validateUniqueIds,
+  finalizeCollectionReport
+} from './dataset.js';
+import { createWorkerPool } from '../workers/workerPool.js';
+
+/**
+ * Taille de lot par défaut (nombre d'entités validées avant de rendre la main)
+ * @type {number}
+ */
+export const DEFAULT_CHUNK_SIZE = 100;
+
+/**
+ * Options propres à la validation par lots, non transmises aux validateurs
+ * @type {Array<string>}
+ */
+const BULK_OPTIONS = ['onProgress', 'signal', 'chunkSize', 'workers'];
+
+/**
+ * Valide une collection d'entités par lots sans bloquer la boucle d'événements
+ * @param {Array} entities - Entités à valider
+ * @param {string} type - Type d'entité (voir VALIDATION_TYPES)
+ * @param {Function} validate - Fonction de validation (entity, options) => résultat
+ * @param {Object} defaultOptions - Options par défaut
+ * @param {Object} [options] - Options de validation et de traitement par lots
+ * @param {Function} [options.onProgress] - Appelée après chaque lot avec {processed, total, progress}
+ * @param {AbortSignal} [options.signal] - Signal d'annulation
+ * @param {number} [options.chunkSize=DEFAULT_CHUNK_SIZE] - Nombre d'entités par lot
+ * @param {number} [options.workers=0] - Nombre de workers (0 pour valider dans le thread courant)
+ * @returns {Promise<Object>} - Rapport de collection, identique à celui de validateDataset
+ */
+export async function validateMany(entities, type, validate, defaultOptions, options = {}) {
+  const { onProgress, signal, chunkSize = DEFAULT_CHUNK_SIZE, workers = 0 } = options;
+  const validationOptions = { ...options };
+  BULK_OPTIONS.forEach(option => delete validationOptions[option]);
+  
+  const opts = { ...defaultOptions, ...validationOptions };
+  const list = Array.isArray(entities) ? entities : [];
+  const size = Math.max(1, Math.floor(chunkSize) || DEFAULT_CHUNK_SIZE);
+  const chunks = [];
+  
+  for (let start = 0; start < list.length; start += size) {
+    chunks.push(list.slice(start, start + size));
+  }
+  
+  const progress = createProgressReporter(list.length, onProgress);
+  
+  throwIfAborted(signal);
+  
+  const results = workers > 0
+    ? await validateInWorkers(chunks, type, opts, workers, signal, progress)
+    : await validateInCurrentThread(chunks, validate, validationOptions, signal, progress);
+  
+  // Assembler le rapport comme pour une collection de validateDataset
+  const report = createCollectionReport();
+  
+  results.forEach((result, index) => {
+    report.entities[getEntityKey(list[index], index, report.entities)] = result;
+  });
+  
+  const collectionName = Object.keys(COLLECTION_TYPES).find(name => COLLECTION_TYPES[name] === type) || type;
+  validateUniqueIds(collectionName, list, report);
+  
+  return finalizeCollectionReport(report, opts);
+}
+
+/**
+ * Valide les lots dans le thread courant en rendant la main entre chaque lot
+ * @private
+ * @param {Array<Array>} chunks - Lots d'entités
+ * @param {Function} validate - Fonction de validation
+ * @param {Object} validationOptions - Options transmises au validateur
+ * @param {AbortSignal} [signal] - Signal d'annulation
+ * @param {Function} progress - Rapporteur de progression
+ * @returns {Promise<Array>} - Résultats dans l'ordre des entités
+ */
+async function validateInCurrentThread(chunks, validate, validationOptions, signal, progress) {
+  const results = [];
+  
+  for (const chunk of chunks) {
+    throwIfAborted(signal);
+    
+    chunk.forEach(entity => results.push(validate(entity, validationOptions)));
+    progress(chunk.length);
+    
+    await yieldToEventLoop();
+  }
+  
+  throwIfAborted(signal);
+  
+  return results;
+}
+
+/**
+ * Valide les lots dans un pool de workers
+ * Les règles personnalisées ne pouvant pas être transmises aux workers, seules
+ * les règles intégrées y sont appliquées.
+ * @private
+ * @param {Array<Array>} chunks - Lots d'entités
+ * @param {string} type - Type d'entité
+ * @param {Object} opts - Options de validation effectives
+ * @param {number} size - Nombre de workers
+ * @param {AbortSignal} [signal] - Signal d'annulation
+ * @param {Function} progress - Rapporteur de progression
+ * @returns {Promise<Array>} - Résultats dans l'ordre des entités
+ */
+async function validateInWorkers(chunks, type, opts, size, signal, progress) {
+  const pool = await createWorkerPool(Math.min(size, Math.max(1, chunks.length)));
+  const onAbort = () => pool.terminate(getAbortReason(signal));
+  
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  
+  try {
+    const chunkResults = await Promise.all(chunks.map(async chunk => {
+      const results = await pool.run({ type, entities: chunk, options: opts });
+      progress(chunk.length);
+      return results;
+    }));
+    
+    throwIfAborted(signal);
+    
+    return chunkResults.flat();
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    pool.terminate();
+  }
+}
+
+/**
+ * Crée une fonction qui cumule les entités traitées et notifie la progression
+ * @private
+ * @param {number} total - Nombre total d'entités
+ * @param {Function} [onProgress] - Callback de progression
+ * @returns {Function} - (count) => void
+ */
+function createProgressReporter(total, onProgress) {
+  let processed = 0;
+  
+  return count => {
+    processed += count;
+    
+    if (typeof onProgress === 'function') {
+      try {
+        onProgress({ processed, total, progress: total > 0 ? processed / total : 1 });
+      } catch (e) {
+        console.error('Erreur dans le callback de progression:', e);
+      }
+    }
+  };
+}
+
+/**
+ * Rend la main à la boucle d'événements
+ * @private
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Retourne la raison d'une annulation
+ * @private
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Error} - Raison fournie par le signal ou AbortError générique
+ */
+function getAbortReason(signal) {
+  return (signal && signal.reason) || new DOMException('Validation annulée', 'AbortError');
+}
+
+/**
+ * Lève la raison de l'annulation si le signal a été déclenché
+ * @private
+ * @param {AbortSignal} [signal] - Signal d'annulation
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw getAbortReason(signal);
+  }
+}
\ No newline at end of file
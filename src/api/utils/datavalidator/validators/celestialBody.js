@@ -3,28 +3,34 @@
  * @module api/utils/datavalidator/validators/celestialBody
  */
 
-import { getNestedValue, validateRequiredProps, applyDefaults } from '../../../../utils/SafeAccess.js';
-import { ERROR_CODES, ERROR_TYPES } from '../constants.js';
+import { getNestedValue, applyDefaults } from '../../../../utils/SafeAccess.js';
+import { VALIDATION_TYPES, ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
 import { formatError } from '../formatters.js';
+import { msg, localizeResult } from '../messages/index.js';
+import { applyRuleProfile } from '../profiles.js';
+import { getEntityDefaults } from '../defaults.js';
+import { validateSchema } from '../helpers/schemaValidator.js';
+import { validateBodyPhysics, validateAtmosphereCurves } from '../helpers/celestialBodyValidator.js';
+import { CELESTIAL_BODY_SCHEMA } from '../schemas/celestialBody.js';
 
 /**
  * Valide un corps céleste
  * @param {Object} body - Corps céleste à valider
- * @param {Map} validationCache - Cache de validation
+ * @param {ValidationCache} validationCache - Cache de validation
  * @param {Object} defaultOptions - Options par défaut
  * @param {Function} applyCustomRules - Fonction pour appliquer les règles personnalisées
- * @param {Function} validateType - Fonction de validation de type
  * @param {Object} options - Options spécifiques à cette validation
  * @returns {Object} - Résultat de la validation {valid, errors, warnings, infos}
  */
-export function validateCelestialBody(body, validationCache, defaultOptions, applyCustomRules, validateType, options = {}) {
+export function validateCelestialBody(body, validationCache, defaultOptions, applyCustomRules, options = {}) {
   // Fusion avec les options par défaut
   const opts = { ...defaultOptions, ...options };
   
-  // Vérifier le cache si activé
-  const cacheKey = body ? `celestialBody_${body.id || 'undefined'}` : 'celestialBody_undefined';
-  if (opts.enableCache && validationCache.has(cacheKey)) {
-    return validationCache.get(cacheKey);
+  // Vérifier le cache si activé (clé basée sur le contenu et les options effectives)
+  const cacheKey = opts.enableCache ? validationCache.buildKey(VALIDATION_TYPES.CELESTIAL_BODY, body, opts) : null;
+  const cached = cacheKey ? validationCache.get(cacheKey) : undefined;
+  if (cached) {
+    return cached;
   }
 
   const errors = [];
@@ -33,12 +39,17 @@ export function validateCelestialBody(body, validationCache, defaultOptions, app
   
   if (!body) {
     errors.push(formatError(
-      'Corps céleste non défini',
+      msg('undefinedCelestialBody'),
       '',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
+      ERROR_CODES.REQUIRED_FIELD_MISSING,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.CELESTIAL_BODY_UNDEFINED
     ));
     
-    const result = { valid: false, errors, warnings, infos };
+    applyRuleProfile({ errors, warnings, infos }, opts);
+    
+    const result = localizeResult({ valid: errors.length === 0, errors, warnings, infos }, opts.locale);
     
     if (opts.enableCache) {
       validationCache.set(cacheKey, result);
@@ -50,72 +61,52 @@ export function validateCelestialBody(body, validationCache, defaultOptions, app
   // Appliquer les valeurs par défaut si demandé
   let validatedBody = body;
   if (opts.autoFix) {
-    validatedBody = applyDefaults(body, {
-      name: `Body_${body.id || 'unknown'}`,
-      type: 'planet',
-      physical: { radius: 0, mass: 0, gravity: 0 }
-    });
+    validatedBody = applyDefaults(body, getEntityDefaults(VALIDATION_TYPES.CELESTIAL_BODY, body));
   }
   
-  // Validation des champs obligatoires
-  const requiredFields = ['id', 'name', 'type', 'physical'];
-  const requiredProps = validateRequiredProps(validatedBody, requiredFields);
-  
-  if (!requiredProps.valid) {
-    requiredProps.missing.forEach(field => {
-      errors.push(formatError(
-        `Champ obligatoire manquant: ${field}`,
-        field,
-        ERROR_CODES.REQUIRED_FIELD_MISSING
-      ));
-    });
-  }
+  // Validation de la structure (champs obligatoires, propriétés physiques, orbite, atmosphère)
+  validateSchema(validatedBody, CELESTIAL_BODY_SCHEMA, errors, warnings);
   
-  // Validation des types
-  validateType(validatedBody, 'id', 'string', errors);
-  validateType(validatedBody, 'name', 'string', errors);
-  validateType(validatedBody, 'type', 'string', errors);
+  // Présence de l'orbite (sauf pour l'étoile centrale)
+  validateOrbitPresence(validatedBody, errors);
   
-  // Validation des propriétés physiques
-  validatePhysicalProperties(validatedBody, errors);
+  // Cohérence physique (gravité de surface, excentricité)
+  validateBodyPhysics(validatedBody, errors, warnings);
   
-  // Validation de l'orbite (sauf pour l'étoile centrale)
-  const type = getNestedValue(validatedBody, 'type', '');
-  const parent = getNestedValue(validatedBody, 'parent', null);
-  
-  if (type !== 'star' && parent) {
-    validateOrbit(validatedBody, errors);
-  }
-  
-  // Validation de l'atmosphère si présente
-  validateAtmosphere(validatedBody, errors);
+  // Courbes de pression et de température de l'atmosphère
+  validateAtmosphereCurves(validatedBody, errors, warnings);
   
   // Appliquer les règles de validation personnalisées
   applyCustomRules(validatedBody, 'celestial_body', errors, warnings, infos);
   
+  // Appliquer le profil de validation (contrôles désactivés, gravités, mode strict)
+  applyRuleProfile({ errors, warnings, infos }, opts);
+  
   // Limiter le nombre d'erreurs si demandé
   if (opts.maxErrors > 0 && errors.length > opts.maxErrors) {
     const exceededCount = errors.length - opts.maxErrors;
     errors.length = opts.maxErrors;
     
     warnings.unshift(formatError(
-      `${exceededCount} erreurs supplémentaires non affichées`,
+      msg('count', { count: exceededCount }),
       '',
-      'MAX_ERRORS_EXCEEDED',
-      ERROR_TYPES.WARNING
+      ERROR_CODES.MAX_ERRORS_EXCEEDED,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.MAX_ERRORS_EXCEEDED
     ));
   }
   
-  // Construire le résultat final
-  const result = {
+  // Construire le résultat final dans la langue demandée
+  const result = localizeResult({
     valid: errors.length === 0,
     errors,
     warnings: opts.includeWarnings ? warnings : [],
     infos: opts.includeInfo ? infos : []
-  };
+  }, opts.locale);
   
   // Mettre en cache si demandé
-  if (opts.enableCache && body && body.id) {
+  if (opts.enableCache) {
     validationCache.set(cacheKey, result);
   }
   
@@ -123,135 +114,24 @@ export function validateCelestialBody(body, validationCache, defaultOptions, app
 }
 
 /**
- * Valide les propriétés physiques d'un corps céleste
- * @private
- * @param {Object} body - Corps céleste à valider
- * @param {Array} errors - Tableau des erreurs à remplir
- */
-function validatePhysicalProperties(body, errors) {
-  const physical = getNestedValue(body, 'physical', null);
-  
-  if (physical === null) {
-    errors.push(formatError(
-      "Champ 'physical' manquant",
-      'physical',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
-    ));
-  } else if (typeof physical !== 'object') {
-    errors.push(formatError(
-      "Le champ 'physical' doit être un objet",
-      'physical',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  } else {
-    const physicalFields = ['radius', 'mass', 'gravity'];
-      
-    physicalFields.forEach(field => {
-      const value = getNestedValue(physical, field, null);
-      
-      if (value === null) {
-        errors.push(formatError(
-          `Champ physique obligatoire manquant: '${field}'`,
-          `physical.${field}`,
-          ERROR_CODES.REQUIRED_FIELD_MISSING
-        ));
-      } else if (typeof value !== 'number') {
-        errors.push(formatError(
-          `Le champ physique '${field}' doit être un nombre`,
-          `physical.${field}`,
-          ERROR_CODES.INVALID_TYPE
-        ));
-      } else if (value < 0) {
-        errors.push(formatError(
-          `Le champ physique '${field}' ne peut pas être négatif`,
-          `physical.${field}`,
-          ERROR_CODES.INVALID_VALUE
-        ));
-      }
-    });
-  }
-}
-
-/**
- * Valide l'orbite d'un corps céleste
+ * Vérifie qu'un corps orbital possède une orbite
+ * Le format de l'orbite est vérifié par le schéma.
  * @private
  * @param {Object} body - Corps céleste à valider
  * @param {Array} errors - Tableau des erreurs à remplir
  */
-function validateOrbit(body, errors) {
-  const orbit = getNestedValue(body, 'orbit', null);
+function validateOrbitPresence(body, errors) {
+  const type = getNestedValue(body, 'type', '');
+  const parent = getNestedValue(body, 'parent', null);
   
-  if (orbit === null) {
+  if (type !== 'star' && parent && getNestedValue(body, 'orbit', null) === null) {
     errors.push(formatError(
-      "Champ 'orbit' manquant pour un corps orbital",
+      msg('orbit'),
       'orbit',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
+      ERROR_CODES.REQUIRED_FIELD_MISSING,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.CELESTIAL_BODY_ORBIT
     ));
-  } else if (typeof orbit !== 'object') {
-    errors.push(formatError(
-      "Le champ 'orbit' doit être un objet",
-      'orbit',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  } else {
-    const orbitFields = ['semiMajorAxis', 'eccentricity', 'inclination', 'orbitalPeriod'];
-    
-    orbitFields.forEach(field => {
-      const value = getNestedValue(orbit, field, null);
-      
-      if (value === null) {
-        errors.push(formatError(
-          `Champ orbital obligatoire manquant: '${field}'`,
-          `orbit.${field}`,
-          ERROR_CODES.REQUIRED_FIELD_MISSING
-        ));
-      } else if (typeof value !== 'number') {
-        errors.push(formatError(
-          `Le champ orbital '${field}' doit être un nombre`,
-          `orbit.${field}`,
-          ERROR_CODES.INVALID_TYPE
-        ));
-      }
-    });
-  }
-}
-
-/**
- * Valide l'atmosphère d'un corps céleste
- * @private
- * @param {Object} body - Corps céleste à valider
- * @param {Array} errors - Tableau des erreurs à remplir
- */
-function validateAtmosphere(body, errors) {
-  const atmosphere = getNestedValue(body, 'atmosphere', null);
-  
-  if (atmosphere && getNestedValue(atmosphere, 'present', false) === true) {
-    if (typeof atmosphere !== 'object') {
-      errors.push(formatError(
-        "Le champ 'atmosphere' doit être un objet",
-        'atmosphere',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else {
-      const atmosphereFields = ['height', 'pressure', 'temperatureASL'];
-      
-      atmosphereFields.forEach(field => {
-        const value = getNestedValue(atmosphere, field, null);
-        
-        if (value === null) {
-          errors.push(formatError(
-            `Champ atmosphérique obligatoire manquant: '${field}'`,
-            `atmosphere.${field}`,
-            ERROR_CODES.REQUIRED_FIELD_MISSING
-          ));
-        } else if (typeof value !== 'number') {
-          errors.push(formatError(
-            `Le champ atmosphérique '${field}' doit être un nombre`,
-            `atmosphere.${field}`,
-            ERROR_CODES.INVALID_TYPE
-          ));
-        }
-      });
-    }
   }
 }
\ No newline at end of file
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Validateur pour un jeu de données complet (pièces, ressources, corps célestes, technologies)
+ * @module api/utils/datavalidator/validators/dataset
+ */
+
+import { getNestedValue } from '../../../../utils/SafeAccess.js';
+import { VALIDATION_TYPES, ERROR_CODES, ERROR_TYPES, RULES } from '../constants.js';
+import { formatError } from '../formatters.js';
+import { msg, localizeResult } from '../messages/index.js';
+import { applyRuleProfile } from '../profiles.js';
+import {
+  validatePartResourceReferences,
+  validateTankWetMass,
+  validatePartTechReferences,
+  validateCelestialBodyHierarchy,
+  validateCelestialBodyOrbits,
+  validateTechTreeCycles
+} from '../helpers/relationValidators.js';
+
+/**
+ * Collections reconnues dans un jeu de données
+ * @type {Array<string>}
+ */
+export const DATASET_COLLECTIONS = ['parts', 'resources', 'celestialBodies', 'techs'];
+
+/**
+ * Rapport des constats qui ne relèvent d'aucune collection (chemin sans préfixe de collection)
+ * @type {string}
+ */
+export const DATASET_REPORT_KEY = 'dataset';
+
+/**
+ * Type d'entité de chaque collection
+ * @type {Object<string, string>}
+ */
+export const COLLECTION_TYPES = {
+  parts: VALIDATION_TYPES.PART,
+  resources: VALIDATION_TYPES.RESOURCE,
+  celestialBodies: VALIDATION_TYPES.CELESTIAL_BODY,
+  techs: VALIDATION_TYPES.TECH
+};
+
+/**
+ * Valide un jeu de données complet
+ * Chaque entité est validée individuellement, puis les références croisées
+ * entre collections sont vérifiées si l'option validateReferences est active.
+ * @param {Object} dataset - Jeu de données {parts, resources, celestialBodies, techs}
+ * @param {Object} entityValidators - Fonctions de validation par collection (entity, options) => résultat
+ * @param {Object} defaultOptions - Options par défaut
+ * @param {Object} options - Options spécifiques à cette validation
+ * @returns {Object} - Rapport {valid, collections, summary}
+ */
+export function validateDataset(dataset, entityValidators, defaultOptions, options = {}) {
+  // Fusion avec les options par défaut
+  const opts = { ...defaultOptions, ...options };
+  const data = dataset || {};
+  
+  const collections = {};
+  
+  DATASET_COLLECTIONS.forEach(name => {
+    const entities = data[name];
+    
+    if (entities === undefined || entities === null) {
+      return;
+    }
+    
+    const report = createCollectionReport();
+    collections[name] = report;
+    
+    if (!Array.isArray(entities)) {
+      report.errors.push(formatError(
+        msg('collection', { collection: name }),
+        name,
+        ERROR_CODES.INVALID_TYPE,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.DATASET_COLLECTION_TYPE
+      ));
+      return;
+    }
+    
+    validateCollectionEntities(entities, entityValidators[name], report, options);
+    validateUniqueIds(name, entities, report);
+  });
+  
+  // Vérification des références croisées
+  if (opts.validateReferences) {
+    validateDatasetReferences(data, collections);
+  }
+  
+  return finalizeDatasetReport(collections, opts);
+}
+
+/**
+ * Crée un rapport vide pour une collection
+ * @returns {Object} - Rapport {valid, entities, errors, warnings, infos}
+ */
+export function createCollectionReport() {
+  return {
+    valid: true,
+    entities: {},
+    errors: [],
+    warnings: [],
+    infos: []
+  };
+}
+
+/**
+ * Valide chaque entité d'une collection et range le résultat dans le rapport
+ * @param {Array} entities - Entités à valider
+ * @param {Function} validate - Fonction de validation (entity, options) => résultat
+ * @param {Object} report - Rapport de collection à remplir
+ * @param {Object} options - Options transmises au validateur d'entité
+ */
+export function validateCollectionEntities(entities, validate, report, options) {
+  entities.forEach((entity, index) => {
+    const key = getEntityKey(entity, index, report.entities);
+    report.entities[key] = validate(entity, options);
+  });
+}
+
+/**
+ * Calcule la clé d'une entité dans le rapport
+ * Utilise l'identifiant si possible, sinon la position dans la collection.
+ * @param {Object} entity - Entité
+ * @param {number} index - Position dans la collection
+ * @param {Object} existing - Entrées déjà présentes dans le rapport
+ * @returns {string} - Clé unique
+ */
+export function getEntityKey(entity, index, existing) {
+  const id = getNestedValue(entity, 'id', null);
+  
+  if (typeof id !== 'string' || id === '') {
+    return `#${index}`;
+  }
+  
+  return existing[id] === undefined ? id : `${id}#${index}`;
+}
+
+/**
+ * Vérifie l'unicité des identifiants d'une collection
+ * @param {string} name - Nom de la collection
+ * @param {Array} entities - Entités de la collection
+ * @param {Object} report - Rapport de collection à remplir
+ */
+export function validateUniqueIds(name, entities, report) {
+  const seen = new Set();
+  
+  entities.forEach((entity, index) => {
+    const id = getNestedValue(entity, 'id', null);
+    
+    if (typeof id !== 'string') {
+      return;
+    }
+    
+    if (seen.has(id)) {
+      report.errors.push(formatError(
+        msg('duplicateId', { id, collection: name }),
+        `${name}[${id}#${index}].id`,
+        ERROR_CODES.CONSTRAINT_VIOLATION,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.DATASET_DUPLICATE_ID
+      ));
+    }
+    
+    seen.add(id);
+  });
+}
+
+/**
+ * Exécute les validateurs de relations et range leurs résultats par collection
+ * @private
+ * @param {Object} data - Jeu de données
+ * @param {Object} collections - Rapports par collection
+ */
+function validateDatasetReferences(data, collections) {
+  const errors = [];
+  const warnings = [];
+  const asArray = name => (Array.isArray(data[name]) ? data[name] : null);
+  
+  const parts = asArray('parts');
+  const resources = asArray('resources');
+  const celestialBodies = asArray('celestialBodies');
+  const techs = asArray('techs');
+  
+  if (parts && resources) {
+    validatePartResourceReferences(parts, resources, errors, warnings);
+    validateTankWetMass(parts, resources, errors, warnings);
+  }
+  
+  if (parts && techs) {
+    validatePartTechReferences(parts, techs, errors, warnings);
+  }
+  
+  if (celestialBodies) {
+    validateCelestialBodyHierarchy(celestialBodies, errors, warnings);
+    validateCelestialBodyOrbits(celestialBodies, errors, warnings);
+  }
+  
+  if (techs) {
+    validateTechTreeCycles(techs, errors, warnings);
+  }
+  
+  errors.forEach(error => getCollectionForPath(error.path, collections).errors.push(error));
+  warnings.forEach(warning => getCollectionForPath(warning.path, collections).warnings.push(warning));
+}
+
+/**
+ * Retrouve le rapport de collection correspondant au chemin d'une erreur
+ * Les validateurs de relations préfixent leurs chemins par le nom de la collection ; un chemin
+ * sans préfixe reconnu est rangé dans le rapport du jeu de données (DATASET_REPORT_KEY).
+ * @private
+ * @param {string} path - Chemin de l'erreur (ex: "parts[liquidEngine2].techRequired")
+ * @param {Object} collections - Rapports par collection
+ * @returns {Object} - Rapport de collection
+ */
+function getCollectionForPath(path, collections) {
+  const name = DATASET_COLLECTIONS.find(collection =>
+    typeof path === 'string' && (path === collection || path.startsWith(`${collection}[`))
+  ) || DATASET_REPORT_KEY;
+  
+  if (!collections[name]) {
+    collections[name] = createCollectionReport();
+  }
+  
+  return collections[name];
+}
+
+/**
+ * Filtre les niveaux demandés, calcule la validité et le résumé du rapport
+ * @param {Object} collections - Rapports par collection
+ * @param {Object} opts - Options de validation effectives
+ * @returns {Object} - Rapport {valid, collections, summary}
+ */
+export function finalizeDatasetReport(collections, opts) {
+  const summary = {
+    entities: 0,
+    invalidEntities: 0,
+    errors: 0,
+    warnings: 0,
+    infos: 0
+  };
+  
+  Object.values(collections).forEach(report => {
+    finalizeCollectionReport(report, opts);
+    
+    summary.entities += report.summary.entities;
+    summary.invalidEntities += report.summary.invalidEntities;
+    summary.errors += report.summary.errors;
+    summary.warnings += report.summary.warnings;
+    summary.infos += report.summary.infos;
+  });
+  
+  return {
+    valid: summary.errors === 0,
+    collections,
+    summary
+  };
+}
+
+/**
+ * Applique le profil de validation aux constats de la collection, filtre les niveaux
+ * demandés, calcule la validité et le résumé d'une collection
+ * @param {Object} report - Rapport de collection
+ * @param {Object} opts - Options de validation effectives
+ * @returns {Object} - Le rapport complété
+ */
+export function finalizeCollectionReport(report, opts) {
+  // Les résultats des entités ont déjà reçu le profil de validation
+  applyRuleProfile(report, opts);
+  
+  if (!opts.includeWarnings) {
+    report.warnings = [];
+  }
+  
+  if (!opts.includeInfo) {
+    report.infos = [];
+  }
+  
+  // Les résultats des entités sont déjà traduits par leurs validateurs
+  Object.assign(report, localizeResult(report, opts.locale));
+  
+  const results = Object.values(report.entities);
+  const count = type => results.reduce((sum, result) => sum + result[type].length, report[type].length);
+  
+  report.summary = {
+    entities: results.length,
+    invalidEntities: results.filter(result => !result.valid).length,
+    errors: count('errors'),
+    warnings: count('warnings'),
+    infos: count('infos')
+  };
+  report.valid = report.summary.errors === 0;
+  
+  return report;
+}
+
+/**
+ * Regroupe toutes les erreurs d'un rapport de jeu de données
+ * @param {Object} report - Rapport produit par validateDataset
+ * @param {string} [type=ERROR_TYPES.ERROR] - Niveau à extraire
+ * @returns {Array} - Liste à plat des erreurs, chemin préfixé par la collection et l'entité
+ */
+export function flattenDatasetReport(report, type = ERROR_TYPES.ERROR) {
+  const key = { [ERROR_TYPES.ERROR]: 'errors', [ERROR_TYPES.WARNING]: 'warnings', [ERROR_TYPES.INFO]: 'infos' }[type];
+  const flat = [];
+  
+  Object.entries(getNestedValue(report, 'collections', {})).forEach(([name, collection]) => {
+    collection[key].forEach(finding => flat.push(finding));
+    
+    Object.entries(collection.entities).forEach(([entityKey, result]) => {
+      result[key].forEach(finding => flat.push({
+        ...finding,
+        path: finding.path ? `${name}[${entityKey}].${finding.path}` : `${name}[${entityKey}]`
+      }));
+    });
+  });
+  
+  return flat;
+}
\ No newline at end of file
@@ -3,28 +3,33 @@
  * @module api/utils/datavalidator/validators/resource
  */
 
-import { getNestedValue, validateRequiredProps, applyDefaults } from '../../../../utils/SafeAccess.js';
-import { ERROR_CODES, ERROR_TYPES } from '../constants.js';
-import { formatError } from '../formatters.js';
+import { getNestedValue, applyDefaults } from '../../../../utils/SafeAccess.js';
+import { VALIDATION_TYPES, ERROR_CODES, ERROR_TYPES, FIX_RULES, RULES } from '../constants.js';
+import { formatError, createFix } from '../formatters.js';
+import { msg, localizeResult } from '../messages/index.js';
+import { applyRuleProfile } from '../profiles.js';
+import { getEntityDefaults } from '../defaults.js';
+import { validateSchema } from '../helpers/schemaValidator.js';
+import { RESOURCE_SCHEMA } from '../schemas/resource.js';
 
 /**
  * Valide une ressource
  * @param {Object} resource - Ressource à valider
- * @param {Map} validationCache - Cache de validation
+ * @param {ValidationCache} validationCache - Cache de validation
  * @param {Object} defaultOptions - Options par défaut
  * @param {Function} applyCustomRules - Fonction pour appliquer les règles personnalisées
- * @param {Function} validateType - Fonction de validation de type
  * @param {Object} options - Options spécifiques à cette validation
  * @returns {Object} - Résultat de la validation {valid, errors, warnings, infos}
  */
-export function validateResource(resource, validationCache, defaultOptions, applyCustomRules, validateType, options = {}) {
+export function validateResource(resource, validationCache, defaultOptions, applyCustomRules, options = {}) {
   // Fusion avec les options par défaut
   const opts = { ...defaultOptions, ...options };
   
-  // Vérifier le cache si activé
-  const cacheKey = resource ? `resource_${resource.id || 'undefined'}` : 'resource_undefined';
-  if (opts.enableCache && validationCache.has(cacheKey)) {
-    return validationCache.get(cacheKey);
+  // Vérifier le cache si activé (clé basée sur le contenu et les options effectives)
+  const cacheKey = opts.enableCache ? validationCache.buildKey(VALIDATION_TYPES.RESOURCE, resource, opts) : null;
+  const cached = cacheKey ? validationCache.get(cacheKey) : undefined;
+  if (cached) {
+    return cached;
   }
 
   const errors = [];
@@ -33,12 +38,17 @@ export function validateResource(resource, validationCache, defaultOptions, appl
   
   if (!resource) {
     errors.push(formatError(
-      'Ressource non définie',
+      msg('undefinedResource'),
       '',
-      ERROR_CODES.REQUIRED_FIELD_MISSING
+      ERROR_CODES.REQUIRED_FIELD_MISSING,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.RESOURCE_UNDEFINED
     ));
     
-    const result = { valid: false, errors, warnings, infos };
+    applyRuleProfile({ errors, warnings, infos }, opts);
+    
+    const result = localizeResult({ valid: errors.length === 0, errors, warnings, infos }, opts.locale);
     
     if (opts.enableCache) {
       validationCache.set(cacheKey, result);
@@ -50,44 +60,17 @@ export function validateResource(resource, validationCache, defaultOptions, appl
   // Appliquer les valeurs par défaut si demandé
   let validatedResource = resource;
   if (opts.autoFix) {
-    validatedResource = applyDefaults(resource, {
-      name: `Resource_${resource.id || 'unknown'}`,
-      density: 0,
-      unitCost: 0,
-      transferable: true,
-      flowMode: 'STAGE_PRIORITY_FLOW',
-      color: [1, 1, 1, 1] // RGBA format blanc par défaut
-    });
-  }
-  
-  // Validation des champs obligatoires
-  const requiredFields = ['id', 'name', 'density', 'unitCost'];
-  const requiredProps = validateRequiredProps(validatedResource, requiredFields);
-  
-  if (!requiredProps.valid) {
-    requiredProps.missing.forEach(field => {
-      errors.push(formatError(
-        `Champ obligatoire manquant: ${field}`,
-        field,
-        ERROR_CODES.REQUIRED_FIELD_MISSING
-      ));
-    });
+    validatedResource = applyDefaults(resource, getEntityDefaults(VALIDATION_TYPES.RESOURCE, resource));
   }
   
-  // Validation des types
-  validateType(validatedResource, 'id', 'string', errors);
-  validateType(validatedResource, 'name', 'string', errors);
-  validateType(validatedResource, 'density', 'number', errors);
-  validateType(validatedResource, 'unitCost', 'number', errors);
-  
-  // Validation des valeurs numériques
-  validateNumericValues(validatedResource, errors, warnings);
+  // Validation de la structure (champs obligatoires, types, bornes, flowMode, couleur)
+  validateSchema(validatedResource, RESOURCE_SCHEMA, errors, warnings);
   
-  // Validation des propriétés de flux et de transfert
-  validateFlowProperties(validatedResource, errors, warnings);
+  // Validation des valeurs numériques inhabituelles
+  validateNumericValues(validatedResource, warnings);
   
-  // Validation de la couleur
-  validateColor(validatedResource, errors, warnings);
+  // Validation de la cohérence entre transférabilité et mode de flux
+  validateFlowProperties(validatedResource, warnings);
   
   // Validation des propriétés spécifiques au type de ressource
   validateResourceTypeSpecifics(validatedResource, errors, warnings);
@@ -95,29 +78,34 @@ export function validateResource(resource, validationCache, defaultOptions, appl
   // Appliquer les règles de validation personnalisées
   applyCustomRules(validatedResource, 'resource', errors, warnings, infos);
   
+  // Appliquer le profil de validation (contrôles désactivés, gravités, mode strict)
+  applyRuleProfile({ errors, warnings, infos }, opts);
+  
   // Limiter le nombre d'erreurs si demandé
   if (opts.maxErrors > 0 && errors.length > opts.maxErrors) {
     const exceededCount = errors.length - opts.maxErrors;
     errors.length = opts.maxErrors;
     
     warnings.unshift(formatError(
-      `${exceededCount} erreurs supplémentaires non affichées`,
+      msg('count', { count: exceededCount }),
       '',
-      'MAX_ERRORS_EXCEEDED',
-      ERROR_TYPES.WARNING
+      ERROR_CODES.MAX_ERRORS_EXCEEDED,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.MAX_ERRORS_EXCEEDED
     ));
   }
   
-  // Construire le résultat final
-  const result = {
+  // Construire le résultat final dans la langue demandée
+  const result = localizeResult({
     valid: errors.length === 0,
     errors,
     warnings: opts.includeWarnings ? warnings : [],
     infos: opts.includeInfo ? infos : []
-  };
+  }, opts.locale);
   
   // Mettre en cache si demandé
-  if (opts.enableCache && validatedResource && validatedResource.id) {
+  if (opts.enableCache) {
     validationCache.set(cacheKey, result);
   }
   
@@ -125,178 +113,50 @@ export function validateResource(resource, validationCache, defaultOptions, appl
 }
 
 /**
- * Valide les valeurs numériques d'une ressource
+ * Signale les valeurs numériques inhabituelles d'une ressource
+ * Les types et les bornes sont vérifiés par le schéma.
  * @private
  * @param {Object} resource - Ressource à valider
- * @param {Array} errors - Tableau des erreurs à remplir
  * @param {Array} warnings - Tableau des avertissements à remplir
  */
-function validateNumericValues(resource, errors, warnings) {
-  // Vérification de la densité
+function validateNumericValues(resource, warnings) {
   const density = getNestedValue(resource, 'density', null);
   
-  if (density !== null) {
-    if (typeof density !== 'number') {
-      errors.push(formatError(
-        "Le champ 'density' doit être un nombre",
-        'density',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (density < 0) {
-      errors.push(formatError(
-        "Le champ 'density' ne peut pas être négatif",
-        'density',
-        ERROR_CODES.INVALID_VALUE
-      ));
-    } else if (density === 0) {
-      warnings.push(formatError(
-        "La densité est à zéro, ce qui est inhabituel pour une ressource",
-        'density',
-        ERROR_CODES.UNUSUAL_VALUE,
-        ERROR_TYPES.WARNING
-      ));
-    }
-  }
-  
-  // Vérification du coût unitaire
-  const unitCost = getNestedValue(resource, 'unitCost', null);
-  
-  if (unitCost !== null) {
-    if (typeof unitCost !== 'number') {
-      errors.push(formatError(
-        "Le champ 'unitCost' doit être un nombre",
-        'unitCost',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (unitCost < 0) {
-      errors.push(formatError(
-        "Le champ 'unitCost' ne peut pas être négatif",
-        'unitCost',
-        ERROR_CODES.INVALID_VALUE
-      ));
-    }
-  }
-  
-  // Vérification de la valeur spécifique d'énergie (si présente)
-  const specificEnergy = getNestedValue(resource, 'specificEnergy', null);
-  
-  if (specificEnergy !== null) {
-    if (typeof specificEnergy !== 'number') {
-      errors.push(formatError(
-        "Le champ 'specificEnergy' doit être un nombre",
-        'specificEnergy',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (specificEnergy < 0) {
-      errors.push(formatError(
-        "Le champ 'specificEnergy' ne peut pas être négatif",
-        'specificEnergy',
-        ERROR_CODES.INVALID_VALUE
-      ));
-    }
+  if (density === 0) {
+    warnings.push(formatError(
+      msg('zeroDensity'),
+      'density',
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RESOURCE_ZERO_DENSITY
+    ));
   }
 }
 
 /**
- * Valide les propriétés de flux d'une ressource
+ * Valide la cohérence des propriétés de flux d'une ressource
  * @private
  * @param {Object} resource - Ressource à valider
- * @param {Array} errors - Tableau des erreurs à remplir
  * @param {Array} warnings - Tableau des avertissements à remplir
  */
-function validateFlowProperties(resource, errors, warnings) {
-  // Vérification de la transférabilité
+function validateFlowProperties(resource, warnings) {
   const transferable = getNestedValue(resource, 'transferable', null);
-  
-  if (transferable !== null && typeof transferable !== 'boolean') {
-    errors.push(formatError(
-      "Le champ 'transferable' doit être un booléen",
-      'transferable',
-      ERROR_CODES.INVALID_TYPE
-    ));
-  }
-  
-  // Vérification du mode de flux
   const flowMode = getNestedValue(resource, 'flowMode', null);
-  const validFlowModes = [
-    'NO_FLOW', 
-    'ALL_VESSEL', 
-    'STAGE_PRIORITY_FLOW', 
-    'STAGE_STACK_FLOW', 
-    'STAGE_LOCKED'
-  ];
-  
-  if (flowMode !== null) {
-    if (typeof flowMode !== 'string') {
-      errors.push(formatError(
-        "Le champ 'flowMode' doit être une chaîne de caractères",
-        'flowMode',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (!validFlowModes.includes(flowMode)) {
-      errors.push(formatError(
-        `Le flowMode '${flowMode}' n'est pas valide. Valeurs acceptées: ${validFlowModes.join(', ')}`,
-        'flowMode',
-        ERROR_CODES.INVALID_VALUE
-      ));
-    }
-  }
   
   // Vérification de la cohérence entre transférabilité et mode de flux
-  if (transferable === false && flowMode && flowMode !== 'NO_FLOW' && flowMode !== 'STAGE_LOCKED') {
+  if (transferable === false && typeof flowMode === 'string' && flowMode !== 'NO_FLOW' && flowMode !== 'STAGE_LOCKED') {
     warnings.push(formatError(
-      `Incohérence: ressource non transférable avec flowMode '${flowMode}'`,
+      msg('nonTransferableFlow', { flowMode }),
       'flowMode',
       ERROR_CODES.CONSTRAINT_VIOLATION,
-      ERROR_TYPES.WARNING
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.RESOURCE_NON_TRANSFERABLE_FLOW
     ));
   }
 }
 
-/**
- * Valide la couleur d'une ressource
- * @private
- * @param {Object} resource - Ressource à valider
- * @param {Array} errors - Tableau des erreurs à remplir
- * @param {Array} warnings - Tableau des avertissements à remplir
- */
-function validateColor(resource, errors, warnings) {
-  const color = getNestedValue(resource, 'color', null);
-  
-  if (color !== null) {
-    if (!Array.isArray(color)) {
-      errors.push(formatError(
-        "Le champ 'color' doit être un tableau",
-        'color',
-        ERROR_CODES.INVALID_TYPE
-      ));
-    } else if (color.length !== 3 && color.length !== 4) {
-      errors.push(formatError(
-        "Le champ 'color' doit contenir 3 (RGB) ou 4 (RGBA) valeurs",
-        'color',
-        ERROR_CODES.INVALID_VALUE
-      ));
-    } else {
-      // Vérification de chaque composante
-      color.forEach((component, index) => {
-        if (typeof component !== 'number') {
-          errors.push(formatError(
-            `La composante de couleur à l'index ${index} doit être un nombre`,
-            `color[${index}]`,
-            ERROR_CODES.INVALID_TYPE
-          ));
-        } else if (component < 0 || component > 1) {
-          errors.push(formatError(
-            `La composante de couleur à l'index ${index} doit être entre 0 et 1`,
-            `color[${index}]`,
-            ERROR_CODES.INVALID_VALUE
-          ));
-        }
-      });
-    }
-  }
-}
-
 /**
  * Valide les propriétés spécifiques au type de ressource
  * @private
@@ -311,20 +171,24 @@ function validateResourceTypeSpecifics(resource, errors, warnings) {
   if (id === 'ElectricCharge') {
     if (!getNestedValue(resource, 'specificEnergy', null)) {
       warnings.push(formatError(
-        "La ressource 'ElectricCharge' devrait avoir une propriété 'specificEnergy'",
+        msg('specificEnergy', { resource: id }),
         'specificEnergy',
         ERROR_CODES.RECOMMENDED_FIELD_MISSING,
-        ERROR_TYPES.WARNING
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.RESOURCE_SPECIFIC_ENERGY
       ));
     }
     
     // Vérifier que ElectricCharge a les bonnes propriétés de flux
     if (getNestedValue(resource, 'flowMode', '') !== 'ALL_VESSEL') {
       warnings.push(formatError(
-        "La ressource 'ElectricCharge' devrait avoir un 'flowMode' défini sur 'ALL_VESSEL'",
+        msg('electricChargeFlowMode', { resource: id, flowMode: 'ALL_VESSEL' }),
         'flowMode',
         ERROR_CODES.UNUSUAL_VALUE,
-        ERROR_TYPES.WARNING
+        ERROR_TYPES.WARNING,
+        createFix(FIX_RULES.ELECTRIC_CHARGE_FLOW_MODE, [{ path: 'flowMode', value: 'ALL_VESSEL' }]),
+        RULES.RESOURCE_ELECTRIC_CHARGE_FLOW_MODE
       ));
     }
   }
@@ -336,17 +200,21 @@ function validateResourceTypeSpecifics(resource, errors, warnings) {
     
     if (density > 0 && density < 0.1) {
       warnings.push(formatError(
-        `La densité (${density}) semble très faible pour un propergol`,
+        msg('lowPropellantDensity', { resource: id, density }),
         'density',
         ERROR_CODES.UNUSUAL_VALUE,
-        ERROR_TYPES.WARNING
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.RESOURCE_PROPELLANT_DENSITY
       ));
     } else if (density > 10) {
       warnings.push(formatError(
-        `La densité (${density}) semble très élevée pour un propergol`,
+        msg('highPropellantDensity', { resource: id, density }),
         'density',
         ERROR_CODES.UNUSUAL_VALUE,
-        ERROR_TYPES.WARNING
+        ERROR_TYPES.WARNING,
+        null,
+        RULES.RESOURCE_PROPELLANT_DENSITY
       ));
     }
   }
@@ -354,10 +222,12 @@ function validateResourceTypeSpecifics(resource, errors, warnings) {
   // Vérification des ressources non transférables
   if (id === 'SolidFuel' && getNestedValue(resource, 'transferable', true) !== false) {
     warnings.push(formatError(
-      "La ressource 'SolidFuel' devrait avoir 'transferable' défini sur false",
+      msg('solidFuelTransferable', { resource: id }),
       'transferable',
       ERROR_CODES.UNUSUAL_VALUE,
-      ERROR_TYPES.WARNING
+      ERROR_TYPES.WARNING,
+      createFix(FIX_RULES.SOLID_FUEL_NOT_TRANSFERABLE, [{ path: 'transferable', value: false }]),
+      RULES.RESOURCE_SOLID_FUEL_TRANSFERABLE
     ));
   }
 }
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Validateur pour les nœuds de l'arbre technologique
+ * @module api/utils/datavalidator/validators/tech
+ */
+
+import { getNestedValue, applyDefaults } from '../../../../utils/SafeAccess.js';
+import { VALIDATION_TYPES, ERROR_CODES, ERROR_TYPES, FIX_RULES, RULES } from '../constants.js';
+import { formatError, createFix } from '../formatters.js';
+import { msg, localizeResult } from '../messages/index.js';
+import { applyRuleProfile } from '../profiles.js';
+import { getEntityDefaults } from '../defaults.js';
+import { validateSchema } from '../helpers/schemaValidator.js';
+import { TECH_SCHEMA } from '../schemas/tech.js';
+
+/**
+ * Coût au-delà duquel un nœud technologique est considéré comme inhabituel
+ * (le nœud le plus cher de l'arbre de base coûte 4500 points de science)
+ * @type {number}
+ */
+const MAX_USUAL_TECH_COST = 10000;
+
+/**
+ * Valide un nœud technologique
+ * @param {Object} tech - Nœud technologique à valider
+ * @param {ValidationCache} validationCache - Cache de validation
+ * @param {Object} defaultOptions - Options par défaut
+ * @param {Function} applyCustomRules - Fonction pour appliquer les règles personnalisées
+ * @param {Object} options - Options spécifiques à cette validation
+ * @returns {Object} - Résultat de la validation {valid, errors, warnings, infos}
+ */
+export function validateTech(tech, validationCache, defaultOptions, applyCustomRules, options = {}) {
+  // Fusion avec les options par défaut
+  const opts = { ...defaultOptions, ...options };
+  
+  // Vérifier le cache si activé (clé basée sur le contenu et les options effectives)
+  const cacheKey = opts.enableCache ? validationCache.buildKey(VALIDATION_TYPES.TECH, tech, opts) : null;
+  const cached = cacheKey ? validationCache.get(cacheKey) : undefined;
+  if (cached) {
+    return cached;
+  }
+  
+  const errors = [];
+  const warnings = [];
+  const infos = [];
+  
+  if (!tech) {
+    errors.push(formatError(
+      msg('undefinedTech'),
+      '',
+      ERROR_CODES.REQUIRED_FIELD_MISSING,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.TECH_UNDEFINED
+    ));
+    
+    applyRuleProfile({ errors, warnings, infos }, opts);
+    
+    const result = localizeResult({ valid: errors.length === 0, errors, warnings, infos }, opts.locale);
+    
+    if (opts.enableCache) {
+      validationCache.set(cacheKey, result);
+    }
+    
+    return result;
+  }
+  
+  // Appliquer les valeurs par défaut si demandé
+  let validatedTech = tech;
+  if (opts.autoFix) {
+    validatedTech = applyDefaults(tech, getEntityDefaults(VALIDATION_TYPES.TECH, tech));
+  }
+  
+  // Validation de la structure (champs obligatoires, types, bornes)
+  validateSchema(validatedTech, TECH_SCHEMA, errors, warnings);
+  
+  // Validation du coût
+  validateTechCost(validatedTech, warnings);
+  
+  // Validation des parents et de leur sémantique
+  validateTechParents(validatedTech, errors, warnings, infos);
+  
+  // Validation des pièces débloquées
+  validateTechPartUnlocks(validatedTech, warnings);
+  
+  // Appliquer les règles de validation personnalisées
+  applyCustomRules(validatedTech, 'tech', errors, warnings, infos);
+  
+  // Appliquer le profil de validation (contrôles désactivés, gravités, mode strict)
+  applyRuleProfile({ errors, warnings, infos }, opts);
+  
+  // Limiter le nombre d'erreurs si demandé
+  if (opts.maxErrors > 0 && errors.length > opts.maxErrors) {
+    const exceededCount = errors.length - opts.maxErrors;
+    errors.length = opts.maxErrors;
+    
+    warnings.unshift(formatError(
+      msg('count', { count: exceededCount }),
+      '',
+      ERROR_CODES.MAX_ERRORS_EXCEEDED,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.MAX_ERRORS_EXCEEDED
+    ));
+  }
+  
+  // Construire le résultat final dans la langue demandée
+  const result = localizeResult({
+    valid: errors.length === 0,
+    errors,
+    warnings: opts.includeWarnings ? warnings : [],
+    infos: opts.includeInfo ? infos : []
+  }, opts.locale);
+  
+  // Mettre en cache si demandé
+  if (opts.enableCache) {
+    validationCache.set(cacheKey, result);
+  }
+  
+  return result;
+}
+
+/**
+ * Signale un coût inhabituellement élevé
+ * @private
+ * @param {Object} tech - Nœud technologique à valider
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+function validateTechCost(tech, warnings) {
+  const cost = getNestedValue(tech, 'cost', null);
+  
+  if (typeof cost === 'number' && cost > MAX_USUAL_TECH_COST) {
+    warnings.push(formatError(
+      msg('highTechCost', { cost }),
+      'cost',
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.TECH_HIGH_COST
+    ));
+  }
+}
+
+/**
+ * Valide les parents d'un nœud technologique et la sémantique anyParent/allParents
+ * Le format des champs est vérifié par le schéma.
+ * @private
+ * @param {Object} tech - Nœud technologique à valider
+ * @param {Array} errors - Tableau des erreurs à remplir
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ * @param {Array} infos - Tableau des informations à remplir
+ */
+function validateTechParents(tech, errors, warnings, infos) {
+  const parents = getNestedValue(tech, 'parents', null);
+  const anyParent = getNestedValue(tech, 'anyParent', null);
+  const allParents = getNestedValue(tech, 'allParents', null);
+  
+  if (anyParent === true && allParents === true) {
+    errors.push(formatError(
+      msg('exclusiveParentModes'),
+      'anyParent',
+      ERROR_CODES.CONSTRAINT_VIOLATION,
+      ERROR_TYPES.ERROR,
+      null,
+      RULES.TECH_EXCLUSIVE_PARENT_MODES
+    ));
+  }
+  
+  if (!Array.isArray(parents)) {
+    return;
+  }
+  
+  const seen = new Set();
+  
+  parents.forEach((parentId, index) => {
+    if (typeof parentId !== 'string' || parentId === '') {
+      return;
+    }
+    
+    if (parentId === tech.id) {
+      errors.push(formatError(
+        msg('techSelfParent', { tech: tech.id }),
+        `parents[${index}]`,
+        ERROR_CODES.CIRCULAR_REFERENCE,
+        ERROR_TYPES.ERROR,
+        null,
+        RULES.TECH_SELF_PARENT
+      ));
+    }
+    
+    if (seen.has(parentId)) {
+      warnings.push(formatError(
+        msg('duplicateParent', { parent: parentId }),
+        `parents[${index}]`,
+        ERROR_CODES.INVALID_VALUE,
+        ERROR_TYPES.WARNING,
+        createFix(FIX_RULES.REMOVE_DUPLICATE, [{ path: `parents[${index}]`, remove: true }]),
+        RULES.TECH_DUPLICATE_PARENT
+      ));
+    }
+    
+    seen.add(parentId);
+  });
+  
+  // Un nœud sans parent est une racine : il doit être gratuit
+  const cost = getNestedValue(tech, 'cost', 0);
+  if (parents.length === 0 && typeof cost === 'number' && cost > 0) {
+    warnings.push(formatError(
+      msg('rootTechCost', { cost }),
+      'parents',
+      ERROR_CODES.UNUSUAL_VALUE,
+      ERROR_TYPES.WARNING,
+      null,
+      RULES.TECH_ROOT_COST
+    ));
+  }
+  
+  // anyParent/allParents n'ont de sens qu'avec plusieurs parents
+  if (parents.length < 2 && (anyParent === true || allParents === true)) {
+    const field = anyParent === true ? 'anyParent' : 'allParents';
+    
+    infos.push(formatError(
+      msg('parentModeWithoutParents', { field }),
+      field,
+      ERROR_CODES.OPTIMIZATION_SUGGESTION,
+      ERROR_TYPES.INFO,
+      null,
+      RULES.TECH_PARENT_MODE_WITHOUT_PARENTS
+    ));
+  }
+}
+
+/**
+ * Signale les pièces débloquées plusieurs fois par un nœud technologique
+ * Le format des champs est vérifié par le schéma.
+ * @private
+ * @param {Object} tech - Nœud technologique à valider
+ * @param {Array} warnings - Tableau des avertissements à remplir
+ */
+function validateTechPartUnlocks(tech, warnings) {
+  const partUnlocks = getNestedValue(tech, 'partUnlocks', null);
+  
+  if (!Array.isArray(partUnlocks)) {
+    return;
+  }
+  
+  const seen = new Set();
+  
+  partUnlocks.forEach((partId, index) => {
+    if (typeof partId !== 'string' || partId === '') {
+      return;
+    }
+    
+    if (seen.has(partId)) {
+      warnings.push(formatError(
+        msg('duplicatePartUnlock', { part: partId }),
+        `partUnlocks[${index}]`,
+        ERROR_CODES.INVALID_VALUE,
+        ERROR_TYPES.WARNING,
+        createFix(FIX_RULES.REMOVE_DUPLICATE, [{ path: `partUnlocks[${index}]`, remove: true }]),
+        RULES.TECH_DUPLICATE_PART_UNLOCK
+      ));
+    }
+    
+    seen.add(partId);
+  });
+}
\ No newline at end of file
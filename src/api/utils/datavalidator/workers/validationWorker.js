@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Script des workers de validation
+ * Reçoit des lots d'entités {id, type, entities, options} et renvoie {id, results}.
+ * @module api/utils/datavalidator/workers/validationWorker
+ */
+
+import DataValidator from '../DataValidator.js';
+import { VALIDATION_TYPES } from '../constants.js';
+
+const validator = new DataValidator();
+
+/**
+ * Méthode de validation par type d'entité
+ * @type {Object<string, Function>}
+ */
+const VALIDATORS = {
+  [VALIDATION_TYPES.PART]: (entity, options) => validator.validatePart(entity, options),
+  [VALIDATION_TYPES.CELESTIAL_BODY]: (entity, options) => validator.validateCelestialBody(entity, options),
+  [VALIDATION_TYPES.RESOURCE]: (entity, options) => validator.validateResource(entity, options),
+  [VALIDATION_TYPES.TECH]: (entity, options) => validator.validateTech(entity, options)
+};
+
+/**
+ * Valide un lot d'entités
+ * @param {Object} message - Tâche {id, type, entities, options}
+ * @returns {Object} - Réponse {id, results} ou {id, error}
+ */
+function handleTask({ id, type, entities, options }) {
+  const validate = VALIDATORS[type];
+  
+  if (!validate) {
+    return { id, error: `Type d'entité inconnu: ${type}` };
+  }
+  
+  try {
+    return { id, results: entities.map(entity => validate(entity, options)) };
+  } catch (e) {
+    return { id, error: e.message };
+  }
+}
+
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+  self.onmessage = event => self.postMessage(handleTask(event.data));
+} else {
+  const { parentPort } = await import('node:worker_threads');
+  parentPort.on('message', message => parentPort.postMessage(handleTask(message)));
+}
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Pool de workers de validation (Web Workers ou worker_threads de Node)
+ * @module api/utils/datavalidator/workers/workerPool
+ */
+
+/**
+ * URL du script exécuté par chaque worker
+ * @type {URL}
+ */
+const WORKER_URL = new URL('./validationWorker.js', import.meta.url);
+
+/**
+ * Crée un pool de workers de validation
+ * Utilise les Web Workers dans le navigateur et worker_threads sous Node.
+ * @param {number} size - Nombre de workers
+ * @returns {Promise<Object>} - Pool {run(task), terminate(reason)}
+ */
+export async function createWorkerPool(size) {
+  const spawn = await getWorkerFactory();
+  const idle = [];
+  const queue = [];
+  const pending = new Map();
+  let nextTaskId = 0;
+  let terminated = false;
+  
+  /**
+   * Traite la réponse d'un worker puis lui confie la tâche suivante
+   * @param {Object} worker - Worker ayant répondu
+   * @param {Object} message - Réponse {id, results, error}
+   */
+  function handleMessage(worker, message) {
+    const task = pending.get(message.id);
+    pending.delete(message.id);
+    
+    if (task) {
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve(message.results);
+      }
+    }
+    
+    idle.push(worker);
+    dispatch();
+  }
+  
+  /**
+   * Rejette les tâches d'un worker en échec
+   * @param {Object} worker - Worker en échec
+   * @param {Error} error - Erreur survenue
+   */
+  function handleError(worker, error) {
+    for (const [id, task] of pending) {
+      if (task.worker === worker) {
+        pending.delete(id);
+        task.reject(error);
+      }
+    }
+  }
+  
+  /**
+   * Confie les tâches en attente aux workers disponibles
+   */
+  function dispatch() {
+    while (!terminated && idle.length > 0 && queue.length > 0) {
+      const worker = idle.shift();
+      const task = queue.shift();
+      
+      task.worker = worker;
+      pending.set(task.id, task);
+      worker.postMessage({ id: task.id, ...task.payload });
+    }
+  }
+  
+  const workers = Array.from({ length: Math.max(1, size) }, () => {
+    const worker = spawn(
+      message => handleMessage(worker, message),
+      error => handleError(worker, error)
+    );
+    idle.push(worker);
+    return worker;
+  });
+  
+  return {
+    /**
+     * Exécute une tâche de validation dans le premier worker disponible
+     * @param {Object} payload - Tâche {type, entities, options}
+     * @returns {Promise<Array>} - Résultats de validation des entités
+     */
+    run(payload) {
+      if (terminated) {
+        return Promise.reject(new Error('Pool de workers terminé'));
+      }
+      
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextTaskId++, payload, resolve, reject });
+        dispatch();
+      });
+    },
+    
+    /**
+     * Arrête tous les workers et rejette les tâches non terminées
+     * @param {Error} [reason] - Raison transmise aux tâches rejetées
+     */
+    terminate(reason = new Error('Pool de workers terminé')) {
+      if (terminated) {
+        return;
+      }
+      
+      terminated = true;
+      workers.forEach(worker => worker.terminate());
+      [...pending.values(), ...queue].forEach(task => task.reject(reason));
+      pending.clear();
+      queue.length = 0;
+    }
+  };
+}
+
+/**
+ * Retourne une fabrique de workers adaptée à l'environnement
+ * @private
+ * @returns {Promise<Function>} - (onMessage, onError) => worker {postMessage, terminate}
+ */
+async function getWorkerFactory() {
+  if (typeof Worker === 'function') {
+    return (onMessage, onError) => {
+      const worker = new Worker(WORKER_URL, { type: 'module' });
+      worker.onmessage = event => onMessage(event.data);
+      worker.onerror = event => onError(new Error(event.message || 'Erreur du worker de validation'));
+      return worker;
+    };
+  }
+  
+  const { Worker: NodeWorker } = await import('node:worker_threads');
+  
+  return (onMessage, onError) => {
+    const worker = new NodeWorker(WORKER_URL);
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    return worker;
+  };
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Chargement et écriture des fichiers de données du répertoire data/
+ * @module cli/dataLoader
+ */
+
+import { readFile, writeFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseJsonSource, updateJsonSource } from '../utils/JsonSource.js';
+import { toJsonPointer } from '../utils/SafeAccess.js';
+
+/**
+ * Fichiers de données par collection (hors pièces)
+ * @type {Object<string, string>}
+ */
+export const DATA_FILES = {
+  resources: 'resources.json',
+  celestialBodies: 'celestial_bodies.json',
+  techs: 'tech_tree.json'
+};
+
+/**
+ * Sous-répertoire contenant les pièces (un fichier JSON par catégorie)
+ * @type {string}
+ */
+export const PARTS_DIRECTORY = 'parts';
+
+/**
+ * Clés acceptées lorsqu'un fichier contient un objet plutôt qu'un tableau
+ * @type {Object<string, Array<string>>}
+ */
+const WRAPPER_KEYS = {
+  parts: ['parts'],
+  resources: ['resources'],
+  celestialBodies: ['celestialBodies', 'celestial_bodies', 'bodies'],
+  techs: ['techs', 'tech_tree', 'nodes']
+};
+
+/**
+ * Charge le jeu de données d'un répertoire
+ * Chaque entité garde la trace de son fichier d'origine et de sa position (pointeur JSON)
+ * pour localiser les constats et écrire les corrections.
+ * @param {string} directory - Répertoire de données (ex: "data/")
+ * @returns {Promise<Object>} - {dataset, files, sources} où sources[collection][i] = {file, index, pointer}
+ * @throws {Error} - Si aucun fichier n'est trouvé ou si un fichier n'est pas un JSON valide
+ */
+export async function loadDataDirectory(directory) {
+  const files = [];
+  
+  const partsDirectory = path.join(directory, PARTS_DIRECTORY);
+  const partFiles = await listJsonFiles(partsDirectory);
+  
+  for (const name of partFiles) {
+    files.push(await loadDataFile(path.join(partsDirectory, name), 'parts'));
+  }
+  
+  for (const [collection, name] of Object.entries(DATA_FILES)) {
+    const file = await loadDataFile(path.join(directory, name), collection, { optional: true });
+    
+    if (file) {
+      files.push(file);
+    }
+  }
+  
+  if (files.length === 0) {
+    throw new Error(`Aucun fichier de données trouvé dans "${directory}"`);
+  }
+  
+  const dataset = {};
+  const sources = {};
+  
+  files.forEach(file => {
+    dataset[file.collection] = dataset[file.collection] || [];
+    sources[file.collection] = sources[file.collection] || [];
+    
+    file.entities.forEach((entity, index) => {
+      dataset[file.collection].push(entity);
+      sources[file.collection].push({ file: file.path, index, pointer: file.entityPointer(index) });
+    });
+  });
+  
+  return { dataset, files, sources };
+}
+
+/**
+ * Réécrit un fichier de données en ne modifiant que les valeurs qui ont changé
+ * Le reste du texte (indentation, tableaux sur une ligne, fin de fichier) est conservé ;
+ * le fichier n'est sérialisé en entier que si les modifications ne peuvent pas être placées
+ * dans le texte existant. Le texte et les positions des valeurs du fichier sont mis à jour.
+ * @param {Object} file - Fichier chargé par loadDataDirectory
+ * @param {Array} entities - Nouvelles entités du fichier
+ * @returns {Promise<void>}
+ */
+export async function writeDataFile(file, entities) {
+  let content = entities;
+  
+  if (file.wrapperKey) {
+    content = { ...file.data, [file.wrapperKey]: entities };
+  } else if (!Array.isArray(file.data)) {
+    content = entities[0];
+  }
+  
+  const text = updateJsonSource(file.text, content, file.indent);
+  
+  await writeFile(file.path, text, 'utf8');
+  file.text = text;
+  file.positions = parseJsonSource(text).positions;
+}
+
+/**
+ * Liste les fichiers JSON d'un répertoire, par ordre alphabétique
+ * @private
+ * @param {string} directory - Répertoire
+ * @returns {Promise<Array<string>>} - Noms des fichiers (vide si le répertoire n'existe pas)
+ */
+async function listJsonFiles(directory) {
+  try {
+    const entries = await readdir(directory, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+      .map(entry => entry.name)
+      .sort();
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+}
+
+/**
+ * Charge un fichier de données
+ * @private
+ * @param {string} filePath - Chemin du fichier
+ * @param {string} collection - Collection du fichier
+ * @param {Object} [options] - Options de chargement
+ * @param {boolean} [options.optional=false] - Ne pas échouer si le fichier est absent
+ * @returns {Promise<Object|null>} - {path, collection, entities, data, positions, entityPointer, wrapperKey, indent, text}
+ */
+async function loadDataFile(filePath, collection, { optional = false } = {}) {
+  let text;
+  
+  try {
+    text = await readFile(filePath, 'utf8');
+  } catch (e) {
+    if (optional && e.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Impossible de lire "${filePath}": ${e.message}`);
+  }
+  
+  let data;
+  let positions;
+  
+  try {
+    ({ value: data, positions } = parseJsonSource(text));
+  } catch (e) {
+    throw new Error(`JSON invalide dans "${filePath}": ${e.message}`);
+  }
+  
+  const wrapperKey = Array.isArray(data)
+    ? null
+    : WRAPPER_KEYS[collection].find(key => data && Array.isArray(data[key])) || null;
+  
+  return {
+    path: filePath,
+    collection,
+    // Un objet sans tableau reconnu est validé comme une entité unique
+    entities: Array.isArray(data) ? data : (wrapperKey ? data[wrapperKey] : [data]),
+    data,
+    positions,
+    // Pointeur JSON de la i-ème entité dans le fichier
+    entityPointer: index => (Array.isArray(data) ? `/${index}` : (wrapperKey ? toJsonPointer([wrapperKey, index]) : '')),
+    wrapperKey,
+    indent: detectIndent(text),
+    text
+  };
+}
+
+/**
+ * Détecte l'indentation d'un fichier JSON
+ * @private
+ * @param {string} text - Contenu du fichier
+ * @returns {string|number} - Indentation à utiliser avec JSON.stringify
+ */
+function detectIndent(text) {
+  const match = /\n([ \t]+)\S/.exec(text);
+  return match ? match[1] : 2;
+}
\ No newline at end of file
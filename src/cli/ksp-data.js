@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Validation des données du jeu en ligne de commande
+ * @module cli/ksp-data
+ *
+ * Usage : node src/cli/ksp-data.js validate data/ [options]
+ *         node src/cli/ksp-data.js apply data/ corrections.patch.json
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { watch } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import validator, {
+  formatReport,
+  annotateLocations,
+  REPORT_FORMATS,
+  DEFAULT_PROFILE,
+  getProfile,
+  getAvailableProfiles
+} from '../api/utils/datavalidator/index.js';
+import { getEntityKey } from '../api/utils/datavalidator/validators/dataset.js';
+import { applyPatch } from '../utils/SafeAccess.js';
+import { loadDataDirectory, writeDataFile } from './dataLoader.js';
+
+/**
+ * Codes de sortie
+ * @enum {number}
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,            // Aucune erreur
+  VALIDATION_FAILED: 1,  // Erreurs (ou avertissements en mode strict)
+  USAGE_ERROR: 2,        // Arguments invalides ou données illisibles
+  PATCH_FAILED: 3        // Patch JSON non applicable (test échoué, chemin introuvable)
+};
+
+/**
+ * Seuils de gravité acceptés par --severity, du plus au moins restrictif
+ * @type {Array<string>}
+ */
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Délai de regroupement des modifications de fichiers en mode --watch (ms)
+ * @type {number}
+ */
+const WATCH_DEBOUNCE = 200;
+
+const USAGE = `Usage : ksp-data validate <répertoire> [options]
+        ksp-data apply <répertoire> <patch.json>
+
+validate  Valide data/parts/*.json, resources.json, celestial_bodies.json et tech_tree.json.
+apply     Applique un patch JSON (RFC 6902) au jeu de données et réécrit les fichiers modifiés.
+          Les chemins du patch désignent les collections (ex: /parts/3/mass/wet).
+
+Options :
+  --strict               Traiter les avertissements comme des erreurs
+  --profile <profil>     Profil de validation : ${getAvailableProfiles().join(', ')} ou fichier JSON (défaut : ${DEFAULT_PROFILE})
+  --severity <niveau>    Niveau minimal rapporté : ${SEVERITIES.join(', ')} (défaut : info)
+  --format <format>      Format du rapport : ${Object.keys(REPORT_FORMATS).join(', ')} (défaut : text)
+  --output <fichier>     Écrire le rapport dans un fichier plutôt que sur la sortie standard
+  --locale <langue>      Langue des messages (ex: fr, en)
+  --fix                  Appliquer les corrections automatiques dans les fichiers (mise en forme conservée)
+  --patch <fichier>      Avec --fix, écrire les corrections dans un patch JSON sans modifier les fichiers
+  --watch                Relancer la validation à chaque modification des fichiers
+  -h, --help             Afficher cette aide
+
+Codes de sortie : 0 si valide, 1 en cas d'erreurs, 2 en cas d'erreur d'utilisation,
+3 si le patch ne peut pas être appliqué.`;
+
+/**
+ * Point d'entrée de la ligne de commande
+ * @param {Array<string>} [argv] - Arguments (sans "node" ni le nom du script)
+ * @returns {Promise<number>} - Code de sortie
+ */
+export async function main(argv = process.argv.slice(2)) {
+  let options;
+  
+  try {
+    options = parseCliArgs(argv);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE_ERROR;
+  }
+  
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  if (options.command === 'apply') {
+    return runPatch(options);
+  }
+  
+  if (options.watch) {
+    return watchDirectory(options);
+  }
+  
+  return runValidation(options);
+}
+
+/**
+ * Analyse les arguments de la ligne de commande
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} - Options {command, directory, patchFile, strict, profile, severity, format, output, locale, fix, patch, watch, help}
+ * @throws {Error} - Si les arguments sont invalides
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      strict: { type: 'boolean', default: false },
+      profile: { type: 'string', default: DEFAULT_PROFILE },
+      severity: { type: 'string', default: 'info' },
+      format: { type: 'string', default: 'text' },
+      output: { type: 'string' },
+      locale: { type: 'string' },
+      fix: { type: 'boolean', default: false },
+      patch: { type: 'string' },
+      watch: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  
+  if (values.help) {
+    return { help: true };
+  }
+  
+  const [command, directory, ...extra] = positionals;
+  
+  if (command !== 'validate' && command !== 'apply') {
+    throw new Error(command ? `Commande inconnue: ${command}` : 'Commande manquante');
+  }
+  
+  if (!directory) {
+    throw new Error('Répertoire de données manquant');
+  }
+  
+  // La commande apply attend le fichier du patch après le répertoire
+  const patchFile = command === 'apply' ? extra.shift() : undefined;
+  
+  if (command === 'apply' && !patchFile) {
+    throw new Error('Fichier de patch manquant');
+  }
+  
+  if (extra.length > 0) {
+    throw new Error(`Arguments inattendus: ${extra.join(' ')}`);
+  }
+  
+  if (values.patch && !values.fix) {
+    throw new Error("L'option --patch nécessite --fix");
+  }
+  
+  if (!SEVERITIES.includes(values.severity)) {
+    throw new Error(`Niveau de gravité inconnu: ${values.severity}`);
+  }
+  
+  if (!REPORT_FORMATS[values.format]) {
+    throw new Error(`Format de rapport inconnu: ${values.format}`);
+  }
+  
+  return { command, directory, patchFile, ...values };
+}
+
+/**
+ * Charge, corrige si demandé, valide les données et produit le rapport
+ * @param {Object} options - Options de la ligne de commande
+ * @returns {Promise<number>} - Code de sortie
+ */
+export async function runValidation(options) {
+  let loaded;
+  let profile;
+  
+  try {
+    profile = await loadProfile(options.profile);
+    loaded = await loadDataDirectory(options.directory);
+    
+    if (options.fix) {
+      await applyFixes(loaded, { ...options, profile });
+    }
+  } catch (e) {
+    console.error(e.message);
+    return EXIT_CODES.USAGE_ERROR;
+  }
+  
+  const severity = SEVERITIES.indexOf(options.severity);
+  const resolveSource = createSourceResolver(loaded);
+  
+  // Situer chaque constat dans son fichier (ligne et colonne de la valeur)
+  const report = annotateLocations(validator.validateDataset(loaded.dataset, {
+    profile,
+    strictMode: options.strict,
+    includeWarnings: severity >= SEVERITIES.indexOf('warning'),
+    includeInfo: severity >= SEVERITIES.indexOf('info'),
+    ...(options.locale ? { locale: options.locale } : {})
+  }), resolveSource);
+  
+  const output = formatReport(report, options.format, {
+    locale: options.locale,
+    files: entity => (resolveSource(entity) || {}).file
+  });
+  
+  if (options.output) {
+    await writeFile(options.output, output, 'utf8');
+  } else {
+    process.stdout.write(output);
+  }
+  
+  // En mode strict, les avertissements sont déjà comptés comme des erreurs
+  return report.summary.errors > 0 ? EXIT_CODES.VALIDATION_FAILED : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Applique un patch JSON au jeu de données et réécrit les fichiers modifiés
+ * Le patch est atomique : aucun fichier n'est modifié si une opération échoue.
+ * @param {Object} options - Options de la ligne de commande
+ * @returns {Promise<number>} - Code de sortie
+ */
+export async function runPatch(options) {
+  let loaded;
+  let patch;
+  
+  try {
+    loaded = await loadDataDirectory(options.directory);
+    patch = await readPatchFile(options.patchFile);
+  } catch (e) {
+    console.error(e.message);
+    return EXIT_CODES.USAGE_ERROR;
+  }
+  
+  try {
+    const changedFiles = await writeDataset(loaded, applyPatch(loaded.dataset, patch));
+    console.error(`${patch.length} opération(s) appliquée(s), ${changedFiles} fichier(s) modifié(s)`);
+    return EXIT_CODES.SUCCESS;
+  } catch (e) {
+    console.error(`Patch non appliqué : ${e.message}`);
+    return EXIT_CODES.PATCH_FAILED;
+  }
+}
+
+/**
+ * Applique autoFix au jeu de données puis réécrit les fichiers modifiés,
+ * ou écrit les corrections dans un patch JSON si l'option --patch est fournie
+ * Le jeu de données chargé n'est remplacé par les entités corrigées que si les fichiers sont réécrits.
+ * @private
+ * @param {Object} loaded - Données chargées par loadDataDirectory
+ * @param {Object} options - Options de la ligne de commande, profil de validation résolu
+ * @returns {Promise<void>}
+ */
+async function applyFixes(loaded, options) {
+  // Les contrôles désactivés par le profil ne proposent pas de correction. Les valeurs par
+  // défaut ne servent qu'à la validation en mémoire : elles ne sont ni écrites ni mises dans le patch.
+  const result = validator.autoFixDataset(loaded.dataset, { profile: options.profile, applyDefaults: false });
+  
+  // Avec --patch, les fichiers ne changent pas : la suite valide le jeu de données sur disque
+  if (options.patch) {
+    await writeFile(options.patch, `${JSON.stringify(result.patch, null, 2)}\n`, 'utf8');
+    console.error(`${result.changes.length} correction(s) écrite(s) dans ${options.patch} (${result.patch.length} opération(s))`);
+    return;
+  }
+  
+  const changedFiles = await writeDataset(loaded, result.dataset);
+  console.error(`${result.changes.length} correction(s) dans ${changedFiles} fichier(s)`);
+}
+
+/**
+ * Réécrit les fichiers dont les entités ont changé
+ * Le nombre d'entités de chaque collection doit être inchangé pour retrouver leur fichier.
+ * Le jeu de données chargé est remplacé par le nouveau.
+ * @private
+ * @param {Object} loaded - Données chargées par loadDataDirectory
+ * @param {Object} dataset - Nouveau jeu de données
+ * @returns {Promise<number>} - Nombre de fichiers réécrits
+ * @throws {Error} - Si une collection a été ajoutée ou a changé de taille
+ */
+async function writeDataset(loaded, dataset) {
+  // Vérifier toutes les collections avant d'écrire le moindre fichier
+  Object.entries(dataset).forEach(([collection, entities]) => {
+    const sources = loaded.sources[collection] || [];
+    
+    if (!Array.isArray(entities) || entities.length !== sources.length) {
+      throw new Error(`le nombre d'entités de la collection "${collection}" ne peut pas être modifié`);
+    }
+  });
+  
+  const changedFiles = new Set();
+  
+  Object.entries(dataset).forEach(([collection, entities]) => {
+    entities.forEach((entity, index) => {
+      if (JSON.stringify(entity) === JSON.stringify(loaded.dataset[collection][index])) {
+        return;
+      }
+      
+      const source = loaded.sources[collection][index];
+      const file = loaded.files.find(candidate => candidate.path === source.file);
+      
+      file.entities[source.index] = entity;
+      changedFiles.add(file);
+    });
+  });
+  
+  for (const file of changedFiles) {
+    await writeDataFile(file, file.entities);
+  }
+  
+  loaded.dataset = dataset;
+  return changedFiles.size;
+}
+
+/**
+ * Charge le profil de validation désigné par --profile
+ * @private
+ * @param {string} value - Nom d'un profil enregistré ou chemin d'un fichier JSON
+ * @returns {Promise<string|Object>} - Nom du profil ou profil lu dans le fichier
+ * @throws {Error} - Si le profil est inconnu, illisible ou invalide
+ */
+async function loadProfile(value) {
+  if (!value.endsWith('.json')) {
+    getProfile(value);
+    return value;
+  }
+  
+  let profile;
+  
+  try {
+    profile = JSON.parse(await readFile(value, 'utf8'));
+  } catch (e) {
+    throw new Error(`Profil illisible "${value}": ${e.message}`);
+  }
+  
+  try {
+    getProfile(profile);
+  } catch (e) {
+    throw new Error(`Profil invalide "${value}": ${e.message}`);
+  }
+  
+  return profile;
+}
+
+/**
+ * Lit un fichier de patch JSON
+ * @private
+ * @param {string} filePath - Chemin du fichier
+ * @returns {Promise<Array<Object>>} - Opérations du patch
+ * @throws {Error} - Si le fichier est illisible ou n'est pas un patch JSON
+ */
+async function readPatchFile(filePath) {
+  let patch;
+  
+  try {
+    patch = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Patch illisible "${filePath}": ${e.message}`);
+  }
+  
+  if (!Array.isArray(patch)) {
+    throw new Error(`Le patch "${filePath}" doit être un tableau d'opérations JSON Patch`);
+  }
+  
+  return patch;
+}
+
+/**
+ * Crée la fonction qui associe une entité du rapport à sa source
+ * @private
+ * @param {Object} loaded - Données chargées par loadDataDirectory
+ * @returns {Function} - ({collection, key}) => {file, positions, pointer} ou null,
+ *   où file est le chemin du fichier relatif au répertoire courant
+ */
+function createSourceResolver(loaded) {
+  const sources = {};
+  
+  // Recalculer les clés du rapport dans l'ordre de validation
+  Object.entries(loaded.dataset).forEach(([collection, entities]) => {
+    const keys = {};
+    
+    entities.forEach((entity, index) => {
+      const key = getEntityKey(entity, index, keys);
+      const source = loaded.sources[collection][index];
+      const file = loaded.files.find(candidate => candidate.path === source.file);
+      
+      keys[key] = {
+        file: path.relative(process.cwd(), source.file).split(path.sep).join('/'),
+        positions: file.positions,
+        pointer: source.pointer
+      };
+    });
+    
+    sources[collection] = keys;
+  });
+  
+  return ({ collection, key }) => (sources[collection] && sources[collection][key]) || null;
+}
+
+/**
+ * Valide le répertoire puis relance la validation à chaque modification
+ * La surveillance s'arrête sur SIGINT ; le code de sortie est celui de la dernière validation.
+ * @private
+ * @param {Object} options - Options de la ligne de commande
+ * @returns {Promise<number>} - Code de sortie
+ */
+function watchDirectory(options) {
+  return new Promise(resolve => {
+    let exitCode = EXIT_CODES.SUCCESS;
+    let running = Promise.resolve();
+    let timer = null;
+    
+    const run = () => {
+      running = running.then(async () => {
+        exitCode = await runValidation(options);
+        console.error(`\nSurveillance de "${options.directory}" (Ctrl+C pour quitter)`);
+      });
+    };
+    
+    const watcher = watch(options.directory, { recursive: true }, (eventType, fileName) => {
+      if (fileName && !String(fileName).endsWith('.json')) {
+        return;
+      }
+      
+      clearTimeout(timer);
+      timer = setTimeout(run, WATCH_DEBOUNCE);
+    });
+    
+    process.once('SIGINT', () => {
+      clearTimeout(timer);
+      watcher.close();
+      running.then(() => resolve(exitCode));
+    });
+    
+    run();
+  });
+}
+
+// Exécution directe du script
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
\ No newline at end of file
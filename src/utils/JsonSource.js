@@ -0,0 +1,567 @@
+/**
+ * @fileoverview Analyse de documents JSON avec conservation de la position des valeurs
+ * Permet de relier une valeur (désignée par un pointeur JSON) à sa ligne et sa colonne
+ * dans le fichier source, par exemple pour situer les erreurs de validation.
+ * @module utils/JsonSource
+ */
+
+import { parseJsonPointer, toJsonPointer } from './SafeAccess.js';
+
+/**
+ * Expression d'un nombre JSON (RFC 8259)
+ * @private
+ * @type {RegExp}
+ */
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Littéraux JSON et leur valeur
+ * @private
+ * @type {Object<string, *>}
+ */
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Analyse un document JSON en relevant la position de chaque valeur
+ * Produit la même valeur que JSON.parse ; un éventuel BOM initial est ignoré.
+ *
+ * @param {string} text - Contenu du document
+ * @returns {Object} - {value, positions} où positions associe à chaque pointeur JSON
+ *   (ex: "/parts/2/orientation") la position {line, column} du début de la valeur (à partir de 1),
+ *   ainsi que les index offset (début) et end (fin exclue) de la valeur dans le texte
+ * @throws {SyntaxError} - Si le document n'est pas un JSON valide (message indiquant la ligne et la colonne)
+ *
+ * @example
+ * const { value, positions } = parseJsonSource(text);
+ * positions.get("/0/mass/dry"); // { line: 4, column: 14 }
+ */
+export function parseJsonSource(text) {
+  const parser = {
+    text,
+    index: text.charCodeAt(0) === 0xFEFF ? 1 : 0,
+    lineStarts: computeLineStarts(text),
+    positions: new Map()
+  };
+  
+  skipWhitespace(parser);
+  const value = parseValue(parser, '');
+  skipWhitespace(parser);
+  
+  if (parser.index < text.length) {
+    fail(parser, 'contenu inattendu après la fin du document');
+  }
+  
+  return { value, positions: parser.positions };
+}
+
+/**
+ * Retrouve la position d'une valeur, ou celle de son plus proche parent existant
+ *
+ * @param {Map<string, Object>} positions - Positions produites par parseJsonSource
+ * @param {string|Array} pointer - Pointeur JSON (ou liste de clés) de la valeur
+ * @returns {Object|null} - {line, column, pointer, exact} où exact vaut false si la
+ *   position est celle d'un parent (valeur absente du document)
+ */
+export function findSourcePosition(positions, pointer) {
+  const keys = Array.isArray(pointer) ? pointer : parseJsonPointer(pointer);
+  
+  for (let length = keys.length; length >= 0; length--) {
+    const candidate = toJsonPointer(keys.slice(0, length));
+    const position = positions.get(candidate);
+    
+    if (position) {
+      return { ...position, pointer: candidate, exact: length === keys.length };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Remplace la valeur d'un document JSON en ne réécrivant que les parties modifiées
+ * Les valeurs inchangées gardent leur texte d'origine (indentation, tableaux sur une ligne,
+ * espaces, fin de fichier). Une valeur modifiée est réécrite à sa place, sur une ligne si
+ * elle y tenait ; les propriétés ajoutées à la fin d'un objet et les éléments null retirés
+ * d'un tableau sont insérés ou supprimés sans toucher au reste.
+ * Si le texte obtenu ne correspond pas exactement à la nouvelle valeur, tout le document
+ * est sérialisé avec l'indentation indiquée.
+ *
+ * @param {string} text - Contenu actuel du document
+ * @param {*} value - Nouvelle valeur du document
+ * @param {string|number} [indent=2] - Indentation des valeurs réécrites sur plusieurs lignes
+ * @returns {string} - Nouveau contenu du document
+ */
+export function updateJsonSource(text, value, indent = 2) {
+  const { value: original, positions } = parseJsonSource(text);
+  const ctx = { text, positions, indent, eol: text.includes('\r\n') ? '\r\n' : '\n', edits: [] };
+  
+  collectEdits(ctx, original, value, '');
+  
+  // Les modifications ne se chevauchent pas : appliquées de la fin vers le début
+  const updated = ctx.edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((current, edit) => current.slice(0, edit.start) + edit.text + current.slice(edit.end), text);
+  
+  try {
+    if (isSameJson(parseJsonSource(updated).value, value)) {
+      return updated;
+    }
+  } catch (e) {
+    // Texte invalide : sérialisation complète ci-dessous
+  }
+  
+  return JSON.stringify(value, null, indent) + (text.endsWith('\n') ? ctx.eol : '');
+}
+
+/**
+ * Relève les modifications de texte qui transforment une valeur en une autre
+ * @private
+ * @param {Object} ctx - Contexte {text, positions, indent, eol, edits}
+ * @param {*} before - Valeur du document
+ * @param {*} after - Nouvelle valeur
+ * @param {string} pointer - Pointeur JSON de la valeur
+ */
+function collectEdits(ctx, before, after, pointer) {
+  if (isSameJson(before, after)) {
+    return;
+  }
+  
+  const position = ctx.positions.get(pointer);
+  
+  if (isPlainObject(before) && isPlainObject(after) && collectObjectEdits(ctx, before, after, pointer, position)) {
+    return;
+  }
+  
+  if (Array.isArray(before) && Array.isArray(after) && collectArrayEdits(ctx, before, after, pointer, position)) {
+    return;
+  }
+  
+  ctx.edits.push({ start: position.offset, end: position.end, text: formatValue(ctx, after, position) });
+}
+
+/**
+ * Relève les modifications d'un objet dont les propriétés existantes gardent leur ordre
+ * @private
+ * @param {Object} ctx - Contexte de modification
+ * @param {Object} before - Objet du document
+ * @param {Object} after - Nouvel objet
+ * @param {string} pointer - Pointeur JSON de l'objet
+ * @param {Object} position - Position de l'objet
+ * @returns {boolean} - false si l'objet doit être réécrit en entier
+ */
+function collectObjectEdits(ctx, before, after, pointer, position) {
+  const keys = Object.keys(before);
+  const afterKeys = Object.keys(after);
+  const added = afterKeys.slice(keys.length);
+  const previous = ctx.text.slice(position.offset, position.end);
+  
+  // Propriétés supprimées ou réordonnées, ou objet vide : réécriture de l'objet
+  if (!keys.every((key, index) => afterKeys[index] === key) || (added.length > 0 && keys.length === 0)) {
+    return false;
+  }
+  
+  keys.forEach(key => collectEdits(ctx, before[key], after[key], `${pointer}${toJsonPointer([key])}`));
+  
+  if (added.length > 0) {
+    const last = ctx.positions.get(`${pointer}${toJsonPointer([keys[keys.length - 1]])}`);
+    const memberIndent = getLineIndent(ctx.text, last.offset);
+    const spaced = !/[,:]\S/.test(previous);
+    const formatMember = /\n/.test(previous)
+      ? key => `,${ctx.eol}${memberIndent}${JSON.stringify(key)}: ${formatBlock(ctx, after[key], memberIndent)}`
+      : key => `,${spaced ? ' ' : ''}${JSON.stringify(key)}:${spaced ? ' ' : ''}${formatInline(after[key], spaced)}`;
+    
+    ctx.edits.push({ start: last.end, end: last.end, text: added.map(formatMember).join('') });
+  }
+  
+  return true;
+}
+
+/**
+ * Relève les modifications d'un tableau de même longueur ou dont seuls des éléments null ont été retirés
+ * @private
+ * @param {Object} ctx - Contexte de modification
+ * @param {Array} before - Tableau du document
+ * @param {Array} after - Nouveau tableau
+ * @param {string} pointer - Pointeur JSON du tableau
+ * @returns {boolean} - false si le tableau doit être réécrit en entier
+ */
+function collectArrayEdits(ctx, before, after, pointer) {
+  const kept = before.length === after.length
+    ? before.map((item, index) => index)
+    : before.map((item, index) => index).filter(index => before[index] !== null);
+  
+  if (kept.length !== after.length || kept.length === 0) {
+    return false;
+  }
+  
+  kept.forEach((index, position) => collectEdits(ctx, before[index], after[position], `${pointer}/${index}`));
+  
+  // Un élément retiré emporte la virgule qui le précède, ou celle qui le suit en tête de tableau
+  before.forEach((item, index) => {
+    if (kept.includes(index)) {
+      return;
+    }
+    
+    const current = ctx.positions.get(`${pointer}/${index}`);
+    
+    if (index > kept[0]) {
+      ctx.edits.push({ start: ctx.positions.get(`${pointer}/${index - 1}`).end, end: current.end, text: '' });
+    } else {
+      ctx.edits.push({ start: current.offset, end: ctx.positions.get(`${pointer}/${index + 1}`).offset, text: '' });
+    }
+  });
+  
+  return true;
+}
+
+/**
+ * Formate une valeur qui remplace une valeur du document, sur une ligne si celle-ci y tenait
+ * @private
+ * @param {Object} ctx - Contexte de modification
+ * @param {*} value - Nouvelle valeur
+ * @param {Object} position - Position de la valeur remplacée
+ * @returns {string} - Texte de la valeur
+ */
+function formatValue(ctx, value, position) {
+  const previous = ctx.text.slice(position.offset, position.end);
+  
+  if (!/\n/.test(previous)) {
+    return formatInline(value, !/[,:]\S/.test(previous));
+  }
+  
+  return formatBlock(ctx, value, getLineIndent(ctx.text, position.offset));
+}
+
+/**
+ * Formate une valeur sur plusieurs lignes, alignée sur l'indentation de sa ligne
+ * @private
+ * @param {Object} ctx - Contexte de modification
+ * @param {*} value - Valeur
+ * @param {string} baseIndent - Indentation de la ligne de la valeur
+ * @returns {string} - Texte de la valeur
+ */
+function formatBlock(ctx, value, baseIndent) {
+  return JSON.stringify(value, null, ctx.indent).split('\n').join(`${ctx.eol}${baseIndent}`);
+}
+
+/**
+ * Formate une valeur sur une ligne
+ * @private
+ * @param {*} value - Valeur
+ * @param {boolean} spaced - Espace après les virgules et les deux-points
+ * @returns {string} - Texte de la valeur
+ */
+function formatInline(value, spaced) {
+  if (!spaced) {
+    return JSON.stringify(value);
+  }
+  
+  if (Array.isArray(value)) {
+    return `[${value.map(item => formatInline(item, spaced)).join(', ')}]`;
+  }
+  
+  if (isPlainObject(value)) {
+    return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${formatInline(item, spaced)}`).join(', ')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
+
+/**
+ * Retourne l'indentation de la ligne qui contient un index du texte
+ * @private
+ * @param {string} text - Contenu du document
+ * @param {number} index - Index dans le texte
+ * @returns {string} - Espaces et tabulations en début de ligne
+ */
+function getLineIndent(text, index) {
+  const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+  return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+/**
+ * Indique si une valeur est un objet JSON (ni tableau ni null)
+ * @private
+ * @param {*} value - Valeur
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare deux valeurs JSON, ordre des propriétés compris
+ * @private
+ * @param {*} a - Première valeur
+ * @param {*} b - Seconde valeur
+ * @returns {boolean}
+ */
+function isSameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Analyse une valeur et enregistre sa position
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @param {string} pointer - Pointeur JSON de la valeur
+ * @returns {*} - Valeur
+ */
+function parseValue(parser, pointer) {
+  const position = { ...getPosition(parser, parser.index), offset: parser.index };
+  parser.positions.set(pointer, position);
+  
+  const value = parseValueAt(parser, pointer);
+  position.end = parser.index;
+  
+  return value;
+}
+
+/**
+ * Analyse la valeur qui commence à la position courante
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @param {string} pointer - Pointeur JSON de la valeur
+ * @returns {*} - Valeur
+ */
+function parseValueAt(parser, pointer) {
+  const char = parser.text[parser.index];
+  
+  if (char === '{') {
+    return parseObject(parser, pointer);
+  }
+  
+  if (char === '[') {
+    return parseArray(parser, pointer);
+  }
+  
+  if (char === '"') {
+    return parseString(parser);
+  }
+  
+  if (char === '-' || (char >= '0' && char <= '9')) {
+    return parseNumber(parser);
+  }
+  
+  const literal = Object.keys(LITERALS).find(name => parser.text.startsWith(name, parser.index));
+  
+  if (literal) {
+    parser.index += literal.length;
+    return LITERALS[literal];
+  }
+  
+  return fail(parser, char === undefined ? 'fin du document inattendue' : `caractère inattendu '${char}'`);
+}
+
+/**
+ * Analyse un objet
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @param {string} pointer - Pointeur JSON de l'objet
+ * @returns {Object} - Objet
+ */
+function parseObject(parser, pointer) {
+  const object = {};
+  parser.index++;
+  skipWhitespace(parser);
+  
+  if (parser.text[parser.index] === '}') {
+    parser.index++;
+    return object;
+  }
+  
+  for (;;) {
+    if (parser.text[parser.index] !== '"') {
+      fail(parser, 'nom de propriété attendu');
+    }
+    
+    const key = parseString(parser);
+    skipWhitespace(parser);
+    expect(parser, ':');
+    skipWhitespace(parser);
+    
+    object[key] = parseValue(parser, `${pointer}${toJsonPointer([key])}`);
+    skipWhitespace(parser);
+    
+    if (parser.text[parser.index] === '}') {
+      parser.index++;
+      return object;
+    }
+    
+    expect(parser, ',');
+    skipWhitespace(parser);
+  }
+}
+
+/**
+ * Analyse un tableau
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @param {string} pointer - Pointeur JSON du tableau
+ * @returns {Array} - Tableau
+ */
+function parseArray(parser, pointer) {
+  const array = [];
+  parser.index++;
+  skipWhitespace(parser);
+  
+  if (parser.text[parser.index] === ']') {
+    parser.index++;
+    return array;
+  }
+  
+  for (;;) {
+    array.push(parseValue(parser, `${pointer}/${array.length}`));
+    skipWhitespace(parser);
+    
+    if (parser.text[parser.index] === ']') {
+      parser.index++;
+      return array;
+    }
+    
+    expect(parser, ',');
+    skipWhitespace(parser);
+  }
+}
+
+/**
+ * Analyse une chaîne (le décodage des échappements est confié à JSON.parse)
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @returns {string} - Chaîne
+ */
+function parseString(parser) {
+  const start = parser.index;
+  parser.index++;
+  
+  for (;;) {
+    const code = parser.text.charCodeAt(parser.index);
+    
+    if (Number.isNaN(code)) {
+      fail(parser, 'chaîne non terminée');
+    }
+    
+    if (code < 0x20) {
+      fail(parser, 'caractère de contrôle dans une chaîne');
+    }
+    
+    parser.index++;
+    
+    if (code === 0x22) { // "
+      break;
+    }
+    
+    if (code === 0x5C) { // \
+      parser.index++;
+    }
+  }
+  
+  try {
+    return JSON.parse(parser.text.slice(start, parser.index));
+  } catch (e) {
+    parser.index = start;
+    return fail(parser, 'séquence d\'échappement invalide');
+  }
+}
+
+/**
+ * Analyse un nombre
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @returns {number} - Nombre
+ */
+function parseNumber(parser) {
+  NUMBER_PATTERN.lastIndex = parser.index;
+  const match = NUMBER_PATTERN.exec(parser.text);
+  
+  if (!match) {
+    fail(parser, 'nombre invalide');
+  }
+  
+  parser.index += match[0].length;
+  return Number(match[0]);
+}
+
+/**
+ * Consomme le caractère attendu
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @param {string} char - Caractère attendu
+ */
+function expect(parser, char) {
+  if (parser.text[parser.index] !== char) {
+    fail(parser, `'${char}' attendu`);
+  }
+  
+  parser.index++;
+}
+
+/**
+ * Ignore les espaces, tabulations et retours à la ligne
+ * @private
+ * @param {Object} parser - État de l'analyse
+ */
+function skipWhitespace(parser) {
+  while (/[ \t\n\r]/.test(parser.text[parser.index] || '')) {
+    parser.index++;
+  }
+}
+
+/**
+ * Calcule la position de début de chaque ligne
+ * @private
+ * @param {string} text - Contenu du document
+ * @returns {Array<number>} - Index du premier caractère de chaque ligne
+ */
+function computeLineStarts(text) {
+  const starts = [0];
+  
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      starts.push(i + 1);
+    }
+  }
+  
+  return starts;
+}
+
+/**
+ * Convertit un index du texte en ligne et colonne (à partir de 1)
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @param {number} index - Index dans le texte
+ * @returns {Object} - Position {line, column}
+ */
+function getPosition(parser, index) {
+  let low = 0;
+  let high = parser.lineStarts.length - 1;
+  
+  // Recherche dichotomique de la dernière ligne commençant avant l'index
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    
+    if (parser.lineStarts[middle] <= index) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  
+  return { line: low + 1, column: index - parser.lineStarts[low] + 1 };
+}
+
+/**
+ * Interrompt l'analyse sur une erreur de syntaxe
+ * @private
+ * @param {Object} parser - État de l'analyse
+ * @param {string} message - Description de l'erreur
+ * @throws {SyntaxError}
+ */
+function fail(parser, message) {
+  const { line, column } = getPosition(parser, parser.index);
+  const error = new SyntaxError(`${message} (ligne ${line}, colonne ${column})`);
+  
+  error.line = line;
+  error.column = column;
+  throw error;
+}
\ No newline at end of file
@@ -4,12 +4,38 @@
  * @module utils/SafeAccess
  */
 
+/**
+ * Convertit un chemin d'accès en liste de clés
+ * Les index entre crochets deviennent des nombres.
+ * 
+ * @param {string|Array} path - Chemin d'accès (ex: "attachNodes[0].position")
+ * @returns {Array<string|number>} - Clés successives
+ * 
+ * @example
+ * parsePath("attachNodes[0].position"); // ["attachNodes", 0, "position"]
+ */
+export function parsePath(path) {
+  if (Array.isArray(path)) {
+    return path;
+  }
+  
+  if (path === '') {
+    return [];
+  }
+  
+  return String(path)
+    .replace(/\[(\d+)\]/g, '.$1.')
+    .split('.')
+    .filter(key => key !== '')
+    .map(key => (/^\d+$/.test(key) ? Number(key) : key));
+}
+
 /**
  * Obtient une valeur imbriquée dans un objet de façon sécurisée
  * Évite les erreurs si un chemin intermédiaire est null ou undefined
  * 
  * @param {Object} obj - L'objet à explorer
- * @param {string|Array} path - Chemin d'accès (ex: "user.address.city" ou ["user", "address", "city"])
+ * @param {string|Array} path - Chemin d'accès (ex: "user.address.city", "nodes[0].position" ou ["user", "address", "city"])
  * @param {*} defaultValue - Valeur par défaut si le chemin n'existe pas
  * @returns {*} - La valeur trouvée ou la valeur par défaut
  * 
@@ -23,7 +49,7 @@ export function getNestedValue(obj, path, defaultValue = null) {
   }
 
   // Convertir le chemin en tableau s'il est sous forme de chaîne
-  const keys = Array.isArray(path) ? path : path.split('.');
+  const keys = parsePath(path);
   
   // Cas spécial pour un chemin vide
   if (keys.length === 0) {
@@ -66,7 +92,7 @@ export function setNestedValue(obj, path, value) {
   }
 
   // Convertir le chemin en tableau s'il est sous forme de chaîne
-  const keys = Array.isArray(path) ? path : path.split('.');
+  const keys = parsePath(path);
   
   // Cas spécial pour un chemin vide
   if (keys.length === 0) {
@@ -79,9 +105,9 @@ export function setNestedValue(obj, path, value) {
   for (let i = 0; i < keys.length - 1; i++) {
     const key = keys[i];
     
-    // Créer l'objet intermédiaire s'il n'existe pas
+    // Créer l'objet (ou le tableau si la clé suivante est un index) s'il n'existe pas
     if (current[key] === undefined || current[key] === null || typeof current[key] !== 'object') {
-      current[key] = {};
+      current[key] = typeof keys[i + 1] === 'number' ? [] : {};
     }
     
     current = current[key];
@@ -94,6 +120,303 @@ export function setNestedValue(obj, path, value) {
   return obj;
 }
 
+/**
+ * Convertit un chemin d'accès en pointeur JSON (RFC 6901)
+ * 
+ * @param {string|Array} path - Chemin d'accès (ex: "attachNodes[0].position")
+ * @returns {string} - Pointeur JSON (ex: "/attachNodes/0/position")
+ * 
+ * @example
+ * toJsonPointer(["parts", 3, "mass.dry"]); // "/parts/3/mass.dry"
+ */
+export function toJsonPointer(path) {
+  return parsePath(path)
+    .map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * Convertit un pointeur JSON (RFC 6901) en liste de clés
+ * 
+ * @param {string} pointer - Pointeur JSON ("" désigne le document entier)
+ * @returns {Array<string>} - Clés successives
+ * @throws {Error} - Si le pointeur ne commence pas par "/"
+ */
+export function parseJsonPointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new Error(`Pointeur JSON invalide: ${pointer}`);
+  }
+  
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Applique un patch JSON (RFC 6902) à une copie d'un objet
+ * Les opérations add, remove, replace, move, copy et test sont supportées. Le patch
+ * est atomique : si une opération échoue (par exemple un test dont la valeur a changé
+ * depuis la création du patch), aucune modification n'est conservée.
+ * 
+ * @param {Object|Array} obj - Document à modifier (non modifié)
+ * @param {Array<Object>} patch - Opérations {op, path, value, from}
+ * @returns {Object|Array} - Document modifié
+ * @throws {Error} - Si une opération est invalide ou échoue
+ * 
+ * @example
+ * const fixed = applyPatch(part, [
+ *   { op: "test", path: "/mass/dry", value: -1 },
+ *   { op: "replace", path: "/mass/dry", value: 0 }
+ * ]);
+ */
+export function applyPatch(obj, patch) {
+  if (!Array.isArray(patch)) {
+    throw new Error('Un patch JSON doit être un tableau d\'opérations');
+  }
+  
+  let document = cloneJson(obj);
+  
+  patch.forEach((operation, index) => {
+    try {
+      document = applyPatchOperation(document, operation);
+    } catch (error) {
+      const description = operation && typeof operation === 'object' ? ` (${operation.op} ${operation.path})` : '';
+      throw new Error(`Opération ${index}${description} : ${error.message}`);
+    }
+  });
+  
+  return document;
+}
+
+/**
+ * Applique une opération de patch JSON
+ * 
+ * @private
+ * @param {*} document - Document à modifier (modifié sur place sauf à la racine)
+ * @param {Object} operation - Opération {op, path, value, from}
+ * @returns {*} - Document modifié
+ */
+function applyPatchOperation(document, operation) {
+  if (!operation || typeof operation !== 'object') {
+    throw new Error('opération invalide');
+  }
+  
+  const keys = parseJsonPointer(operation.path);
+  
+  switch (operation.op) {
+    case 'test':
+      if (!isDeepEqual(resolvePointer(document, keys), operation.value)) {
+        throw new Error('la valeur ne correspond pas à la valeur attendue');
+      }
+      return document;
+    
+    case 'add':
+      requireValue(operation);
+      return addValue(document, keys, cloneJson(operation.value));
+    
+    case 'remove':
+      return removeValue(document, keys);
+    
+    case 'replace':
+      requireValue(operation);
+      return replaceValue(document, keys, cloneJson(operation.value));
+    
+    case 'copy':
+      return addValue(document, keys, cloneJson(resolvePointer(document, parseJsonPointer(operation.from))));
+    
+    case 'move': {
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw new Error('impossible de déplacer une valeur dans l\'un de ses enfants');
+      }
+      
+      const fromKeys = parseJsonPointer(operation.from);
+      const value = resolvePointer(document, fromKeys);
+      return addValue(removeValue(document, fromKeys), keys, value);
+    }
+    
+    default:
+      throw new Error(`opération inconnue: ${operation.op}`);
+  }
+}
+
+/**
+ * Copie profonde d'une valeur JSON
+ * Contrairement à structuredClone, les objets partagés entre plusieurs chemins
+ * deviennent indépendants, comme dans le document JSON qu'ils représentent.
+ * 
+ * @private
+ * @param {*} value - Valeur JSON
+ * @returns {*} - Copie de la valeur
+ */
+function cloneJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Vérifie qu'une opération fournit une valeur
+ * 
+ * @private
+ * @param {Object} operation - Opération de patch
+ * @throws {Error} - Si la valeur est absente
+ */
+function requireValue(operation) {
+  if (!('value' in operation)) {
+    throw new Error('valeur manquante');
+  }
+}
+
+/**
+ * Retrouve la valeur désignée par un pointeur JSON
+ * 
+ * @private
+ * @param {*} document - Document
+ * @param {Array<string>} keys - Clés du pointeur
+ * @returns {*} - Valeur trouvée
+ * @throws {Error} - Si le chemin n'existe pas
+ */
+function resolvePointer(document, keys) {
+  return keys.reduce((current, key) => {
+    if (Array.isArray(current) ? !isArrayIndex(key, current.length - 1) : !isObjectWithKey(current, key)) {
+      throw new Error(`chemin introuvable: ${toJsonPointer(keys)}`);
+    }
+    
+    return current[key];
+  }, document);
+}
+
+/**
+ * Ajoute une valeur (insertion dans un tableau, ajout ou remplacement dans un objet)
+ * 
+ * @private
+ * @param {*} document - Document
+ * @param {Array<string>} keys - Clés du pointeur
+ * @param {*} value - Valeur à ajouter
+ * @returns {*} - Document modifié
+ */
+function addValue(document, keys, value) {
+  if (keys.length === 0) {
+    return value;
+  }
+  
+  const parent = resolvePointer(document, keys.slice(0, -1));
+  const key = keys[keys.length - 1];
+  
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : key;
+    
+    if (!isArrayIndex(index, parent.length)) {
+      throw new Error(`index de tableau invalide: ${key}`);
+    }
+    
+    parent.splice(Number(index), 0, value);
+  } else if (parent !== null && typeof parent === 'object') {
+    parent[key] = value;
+  } else {
+    throw new Error(`impossible d'ajouter une valeur dans ${toJsonPointer(keys.slice(0, -1))}`);
+  }
+  
+  return document;
+}
+
+/**
+ * Remplace une valeur existante à sa place
+ * La clé remplacée garde sa position dans son objet, ce qui évite de réordonner les fichiers corrigés.
+ * 
+ * @private
+ * @param {*} document - Document
+ * @param {Array<string>} keys - Clés du pointeur
+ * @param {*} value - Nouvelle valeur
+ * @returns {*} - Document modifié
+ */
+function replaceValue(document, keys, value) {
+  resolvePointer(document, keys);
+  
+  if (keys.length === 0) {
+    return value;
+  }
+  
+  const parent = resolvePointer(document, keys.slice(0, -1));
+  parent[Array.isArray(parent) ? Number(keys[keys.length - 1]) : keys[keys.length - 1]] = value;
+  
+  return document;
+}
+
+/**
+ * Supprime une valeur existante
+ * 
+ * @private
+ * @param {*} document - Document
+ * @param {Array<string>} keys - Clés du pointeur
+ * @returns {*} - Document modifié (undefined si la racine est supprimée)
+ */
+function removeValue(document, keys) {
+  resolvePointer(document, keys);
+  
+  if (keys.length === 0) {
+    return undefined;
+  }
+  
+  const parent = resolvePointer(document, keys.slice(0, -1));
+  const key = keys[keys.length - 1];
+  
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+  
+  return document;
+}
+
+/**
+ * Indique si une clé de pointeur est un index de tableau valide
+ * 
+ * @private
+ * @param {string|number} key - Clé
+ * @param {number} maxIndex - Index maximal autorisé
+ * @returns {boolean}
+ */
+function isArrayIndex(key, maxIndex) {
+  return /^(0|[1-9]\d*)$/.test(String(key)) && Number(key) <= maxIndex;
+}
+
+/**
+ * Indique si une valeur est un objet possédant la clé demandée
+ * 
+ * @private
+ * @param {*} value - Valeur
+ * @param {string} key - Clé
+ * @returns {boolean}
+ */
+function isObjectWithKey(value, key) {
+  return value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key);
+}
+
+/**
+ * Compare deux valeurs JSON en profondeur, sans tenir compte de l'ordre des clés
+ * 
+ * @private
+ * @param {*} a - Première valeur
+ * @param {*} b - Seconde valeur
+ * @returns {boolean} - true si les valeurs sont égales
+ */
+function isDeepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  
+  return keysA.length === keysB.length && keysA.every(key => isObjectWithKey(b, key) && isDeepEqual(a[key], b[key]));
+}
+
 /**
  * Sécurise l'accès à un objet pour éviter les erreurs sur propriétés nulles
  * 
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Modèle d'atmosphère des corps célestes : pression, densité, température
+ * et vitesse du son à une altitude donnée
+ * Les courbes pressureCurve et temperatureCurve du corps (format FloatCurve du jeu) sont
+ * utilisées si elles existent ; à défaut, la pression décroît exponentiellement selon la
+ * hauteur d'échelle et la température reste celle du niveau de la mer.
+ * @module utils/atmosphere
+ */
+
+import { getNestedValue } from './SafeAccess.js';
+import { IDEAL_GAS_CONSTANT } from './physicsConstants.js';
+
+/**
+ * Composition par défaut d'une atmosphère (air de Kerbin)
+ * @type {Object}
+ */
+export const DEFAULT_ATMOSPHERE = {
+  molarMass: 0.0289644, // Masse molaire (kg/mol)
+  adiabaticIndex: 1.4   // Indice adiabatique (Cp/Cv)
+};
+
+/**
+ * Évalue une courbe au format FloatCurve du jeu
+ * Les clés [x, y, tangente entrante, tangente sortante] sont triées par abscisse et interpolées
+ * par splines d'Hermite. Une clé sans tangentes reçoit la pente moyenne de ses voisines ; en
+ * dehors de la courbe, la valeur de la clé extrême est conservée.
+ *
+ * @param {Array<Array<number>>} curve - Clés de la courbe
+ * @param {number} x - Abscisse
+ * @returns {number|null} - Valeur de la courbe, ou null si la courbe n'a aucune clé valide
+ *
+ * @example
+ * evaluateFloatCurve([[0, 101.325], [70000, 0]], 35000); // 50.6625
+ */
+export function evaluateFloatCurve(curve, x) {
+  const keys = (Array.isArray(curve) ? curve : [])
+    .filter(key => Array.isArray(key) && typeof key[0] === 'number' && typeof key[1] === 'number')
+    .sort((a, b) => a[0] - b[0]);
+  
+  if (keys.length === 0) {
+    return null;
+  }
+  
+  if (x <= keys[0][0]) {
+    return keys[0][1];
+  }
+  
+  const last = keys.length - 1;
+  
+  if (x >= keys[last][0]) {
+    return keys[last][1];
+  }
+  
+  const index = keys.findIndex(key => key[0] > x) - 1;
+  const [x0, y0] = keys[index];
+  const [x1, y1] = keys[index + 1];
+  const dx = x1 - x0;
+  const m0 = getTangent(keys, index, 3);
+  const m1 = getTangent(keys, index + 1, 2);
+  
+  const t = (x - x0) / dx;
+  const t2 = t * t;
+  const t3 = t2 * t;
+  
+  return (2 * t3 - 3 * t2 + 1) * y0 +
+    (t3 - 2 * t2 + t) * dx * m0 +
+    (-2 * t3 + 3 * t2) * y1 +
+    (t3 - t2) * dx * m1;
+}
+
+/**
+ * Calcule la hauteur d'échelle d'une atmosphère
+ * Utilise atmosphere.scaleHeight si elle est indiquée, sinon R·T / (M·g) au niveau de la mer.
+ * @param {Object} body - Corps céleste
+ * @returns {number|null} - Hauteur d'échelle (m), ou null si les données manquent
+ */
+export function getScaleHeight(body) {
+  const scaleHeight = getNestedValue(body, 'atmosphere.scaleHeight', null);
+  
+  if (typeof scaleHeight === 'number' && scaleHeight > 0) {
+    return scaleHeight;
+  }
+  
+  const temperature = getNestedValue(body, 'atmosphere.temperatureASL', null);
+  const gravity = getNestedValue(body, 'physical.gravity', null);
+  const molarMass = getNestedValue(body, 'atmosphere.molarMass', DEFAULT_ATMOSPHERE.molarMass);
+  
+  if (typeof temperature !== 'number' || temperature <= 0 || typeof gravity !== 'number' || gravity <= 0) {
+    return null;
+  }
+  
+  return IDEAL_GAS_CONSTANT * temperature / (molarMass * gravity);
+}
+
+/**
+ * Calcule l'état de l'atmosphère d'un corps céleste à une altitude
+ * Au-delà de atmosphere.height, la pression et la densité sont nulles (vide) et la vitesse
+ * du son n'est pas définie (0).
+ *
+ * @param {Object} body - Corps céleste
+ * @param {number} altitude - Altitude au-dessus du niveau de la mer (m)
+ * @returns {Object|null} - {pressure (kPa), density (kg/m³), temperature (K), speedOfSound (m/s)},
+ *   ou null si le corps n'a pas d'atmosphère ou si ses données ne permettent pas le calcul
+ *
+ * @example
+ * getAtmosphereAt(kerbin, 0);
+ * // { pressure: 101.325, density: 1.142, temperature: 309, speedOfSound: 352.4 }
+ */
+export function getAtmosphereAt(body, altitude) {
+  const atmosphere = getNestedValue(body, 'atmosphere', null);
+  
+  if (!atmosphere || atmosphere.present !== true) {
+    return null;
+  }
+  
+  const height = getNestedValue(atmosphere, 'height', null);
+  const h = Math.max(0, altitude);
+  const temperature = getTemperature(atmosphere, Math.min(h, typeof height === 'number' ? height : h));
+  
+  if (temperature === null || temperature <= 0) {
+    return null;
+  }
+  
+  if (typeof height === 'number' && h >= height) {
+    return { pressure: 0, density: 0, temperature, speedOfSound: 0 };
+  }
+  
+  const pressure = getPressure(body, h);
+  
+  if (pressure === null) {
+    return null;
+  }
+  
+  const molarMass = getNestedValue(atmosphere, 'molarMass', DEFAULT_ATMOSPHERE.molarMass);
+  const adiabaticIndex = getNestedValue(atmosphere, 'adiabaticIndex', DEFAULT_ATMOSPHERE.adiabaticIndex);
+  
+  return {
+    pressure,
+    density: Math.max(0, pressure) * 1000 * molarMass / (IDEAL_GAS_CONSTANT * temperature),
+    temperature,
+    speedOfSound: Math.sqrt(adiabaticIndex * IDEAL_GAS_CONSTANT * temperature / molarMass)
+  };
+}
+
+/**
+ * Calcule la pression à une altitude (kPa)
+ * @private
+ * @param {Object} body - Corps céleste
+ * @param {number} altitude - Altitude (m)
+ * @returns {number|null} - Pression, ou null si les données manquent
+ */
+function getPressure(body, altitude) {
+  const curve = evaluateFloatCurve(getNestedValue(body, 'atmosphere.pressureCurve', null), altitude);
+  
+  if (curve !== null) {
+    return Math.max(0, curve);
+  }
+  
+  const pressure = getNestedValue(body, 'atmosphere.pressure', null);
+  const scaleHeight = getScaleHeight(body);
+  
+  if (typeof pressure !== 'number' || scaleHeight === null) {
+    return null;
+  }
+  
+  return pressure * Math.exp(-altitude / scaleHeight);
+}
+
+/**
+ * Calcule la température à une altitude (K)
+ * @private
+ * @param {Object} atmosphere - Atmosphère du corps céleste
+ * @param {number} altitude - Altitude (m)
+ * @returns {number|null} - Température, ou null si les données manquent
+ */
+function getTemperature(atmosphere, altitude) {
+  const curve = evaluateFloatCurve(getNestedValue(atmosphere, 'temperatureCurve', null), altitude);
+  
+  if (curve !== null) {
+    return curve;
+  }
+  
+  const temperature = getNestedValue(atmosphere, 'temperatureASL', null);
+  
+  return typeof temperature === 'number' ? temperature : null;
+}
+
+/**
+ * Retourne la tangente d'une clé, ou la pente moyenne de ses voisines si elle n'en a pas
+ * @private
+ * @param {Array<Array<number>>} keys - Clés triées par abscisse
+ * @param {number} index - Index de la clé
+ * @param {number} position - Position de la tangente dans la clé (2 entrante, 3 sortante)
+ * @returns {number} - Tangente
+ */
+function getTangent(keys, index, position) {
+  if (typeof keys[index][position] === 'number') {
+    return keys[index][position];
+  }
+  
+  const previous = keys[Math.max(0, index - 1)];
+  const next = keys[Math.min(keys.length - 1, index + 1)];
+  
+  return next[0] === previous[0] ? 0 : (next[1] - previous[1]) / (next[0] - previous[0]);
+}
\ No newline at end of file
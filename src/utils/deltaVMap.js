@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Carte des delta-V du système solaire, générée à partir des corps célestes
+ * La carte est un graphe orienté dont les nœuds sont des états (surface, orbite basse, limite
+ * de la sphère d'influence d'un corps, transfert entre deux corps) et dont les arêtes portent
+ * le delta-V de la manœuvre. Elle suit la hiérarchie des parents et fonctionne donc aussi pour
+ * les packs de planètes.
+ *
+ * Les coûts sont additifs, comme sur les cartes de la communauté : un trajet qui traverse
+ * plusieurs corps passe par leurs orbites basses. Les transferts sont des transferts de Hohmann
+ * entre orbites circulaires coplanaires.
+ * @module utils/deltaVMap
+ */
+
+import { getNestedValue } from './SafeAccess.js';
+import {
+  getGravitationalParameter,
+  getOrbitRadius,
+  getHohmannTransfer,
+  getEjectionDeltaV
+} from './orbitalMechanics.js';
+
+/**
+ * Options par défaut de la génération de la carte
+ * @type {Object}
+ */
+export const DEFAULT_DELTA_V_MAP_OPTIONS = {
+  lowOrbitMargin: 10000,   // Altitude de l'orbite basse au-dessus de l'atmosphère ou de la surface (m)
+  lowOrbitAltitudes: {},   // Altitude d'orbite basse imposée par identifiant de corps (m)
+  ascentLossFactor: 0.4    // Pertes (gravité, traînée) d'une ascension atmosphérique, en part du coût idéal
+};
+
+/**
+ * Types d'arêtes de la carte
+ * @enum {string}
+ */
+export const DELTA_V_EDGE_TYPES = {
+  ASCENT: 'ascent',     // Surface vers orbite basse
+  LANDING: 'landing',   // Orbite basse vers surface
+  ESCAPE: 'escape',     // Orbite basse vers limite de la sphère d'influence
+  CAPTURE: 'capture',   // Limite de la sphère d'influence ou transfert vers orbite basse
+  EJECTION: 'ejection', // Orbite basse vers transfert
+  TRANSFER: 'transfer'  // Orbite basse du parent vers transfert (ou retour)
+};
+
+/**
+ * Génère la carte des delta-V d'un ensemble de corps célestes
+ * Les corps sont parcourus depuis les racines de la hiérarchie (corps sans parent connu) :
+ * un corps dont la chaîne de parents est circulaire n'est pas atteint et n'apparaît pas.
+ * Pour chaque corps : ascension et atterrissage (sauf étoile), libération depuis l'orbite
+ * basse, transferts avec son parent (sauf si le parent est une étoile) et avec les corps
+ * qui partagent son parent.
+ *
+ * Les nœuds sont nommés d'après l'identifiant (id) des corps, tel qu'il figure dans le jeu de
+ * données : "<id>:surface", "<id>:lowOrbit", "<id>:soi" (limite de la sphère d'influence) et
+ * "<id départ>><id arrivée>" (en transfert entre deux corps).
+ *
+ * @param {Array} bodies - Collection de corps célestes validés
+ * @param {Object} [options] - Options (voir DEFAULT_DELTA_V_MAP_OPTIONS)
+ * @returns {Object} - {bodies, nodes, edges} où bodies associe à chaque identifiant
+ *   {lowOrbitAltitude, ascent, escape}, nodes liste les identifiants de nœuds et chaque arête
+ *   vaut {from, to, type, deltaV, aerobraking}
+ *
+ * @example
+ * const map = buildDeltaVMap(dataset.celestialBodies);
+ * findRoute(map, `${kerbin.id}:surface`, `${duna.id}:surface`, { aerobraking: true }).deltaV;
+ */
+export function buildDeltaVMap(bodies, options = {}) {
+  const opts = { ...DEFAULT_DELTA_V_MAP_OPTIONS, ...options };
+  const map = { bodies: {}, nodes: [], edges: [] };
+  const nodes = new Set();
+  const addEdge = (from, to, type, deltaV, aerobraking = false) => {
+    if (typeof deltaV !== 'number' || !Number.isFinite(deltaV)) {
+      return;
+    }
+    
+    nodes.add(from);
+    nodes.add(to);
+    map.edges.push({ from, to, type, deltaV, aerobraking });
+  };
+  
+  walkHierarchy(Array.isArray(bodies) ? bodies : []).forEach(({ body, parent, siblings }) => {
+    const lowOrbit = getLowOrbitRadius(body, opts);
+    
+    if (lowOrbit === null || getGravitationalParameter(body) === null) {
+      return;
+    }
+    
+    const id = body.id;
+    const atmospheric = hasAtmosphere(body);
+    const summary = { lowOrbitAltitude: lowOrbit - getOrbitRadius(body, 0) };
+    
+    if (getNestedValue(body, 'type', '') !== 'star') {
+      summary.ascent = getAscentDeltaV(body, lowOrbit, opts);
+      addEdge(`${id}:surface`, `${id}:lowOrbit`, DELTA_V_EDGE_TYPES.ASCENT, summary.ascent);
+      // Descente au coût idéal : pas de pertes de gravité ni de traînée à compenser
+      addEdge(`${id}:lowOrbit`, `${id}:surface`, DELTA_V_EDGE_TYPES.LANDING,
+        getAscentDeltaV(body, lowOrbit, { ...opts, ascentLossFactor: 0 }), atmospheric);
+    }
+    
+    summary.escape = getEjectionDeltaV(body, lowOrbit, 0);
+    addEdge(`${id}:lowOrbit`, `${id}:soi`, DELTA_V_EDGE_TYPES.ESCAPE, summary.escape);
+    addEdge(`${id}:soi`, `${id}:lowOrbit`, DELTA_V_EDGE_TYPES.CAPTURE, summary.escape, atmospheric);
+    
+    map.bodies[id] = summary;
+    
+    // Transferts entre le parent (depuis son orbite basse) et le corps
+    if (parent && getNestedValue(parent, 'type', '') !== 'star') {
+      const parentLowOrbit = getLowOrbitRadius(parent, opts);
+      const transfer = getHohmannTransfer(parent, parentLowOrbit, getNestedValue(body, 'orbit.semiMajorAxis', null));
+      
+      if (transfer !== null) {
+        const capture = getEjectionDeltaV(body, lowOrbit, transfer.arrival);
+        
+        addEdge(`${parent.id}:lowOrbit`, `${parent.id}>${id}`, DELTA_V_EDGE_TYPES.TRANSFER, transfer.departure);
+        addEdge(`${parent.id}>${id}`, `${id}:lowOrbit`, DELTA_V_EDGE_TYPES.CAPTURE, capture, atmospheric);
+        addEdge(`${id}:lowOrbit`, `${id}>${parent.id}`, DELTA_V_EDGE_TYPES.EJECTION, capture);
+        addEdge(`${id}>${parent.id}`, `${parent.id}:lowOrbit`, DELTA_V_EDGE_TYPES.TRANSFER, transfer.departure, hasAtmosphere(parent));
+      }
+    }
+    
+    // Transferts vers les corps qui partagent le même parent
+    siblings.forEach(sibling => {
+      const siblingLowOrbit = getLowOrbitRadius(sibling, opts);
+      const transfer = getHohmannTransfer(
+        parent,
+        getNestedValue(body, 'orbit.semiMajorAxis', null),
+        getNestedValue(sibling, 'orbit.semiMajorAxis', null)
+      );
+      
+      if (transfer === null || siblingLowOrbit === null) {
+        return;
+      }
+      
+      addEdge(`${id}:lowOrbit`, `${id}>${sibling.id}`, DELTA_V_EDGE_TYPES.EJECTION, getEjectionDeltaV(body, lowOrbit, transfer.departure));
+      addEdge(`${id}>${sibling.id}`, `${sibling.id}:lowOrbit`, DELTA_V_EDGE_TYPES.CAPTURE,
+        getEjectionDeltaV(sibling, siblingLowOrbit, transfer.arrival), hasAtmosphere(sibling));
+    });
+  });
+  
+  map.nodes = [...nodes];
+  return map;
+}
+
+/**
+ * Cherche le trajet le moins coûteux entre deux nœuds de la carte (algorithme de Dijkstra)
+ * Avec l'aérofreinage, les arêtes marquées aerobraking ne coûtent rien.
+ *
+ * @param {Object} map - Carte produite par buildDeltaVMap
+ * @param {string} from - Nœud de départ, nommé d'après l'id du corps (ex: `${kerbin.id}:surface`)
+ * @param {string} to - Nœud d'arrivée (ex: `${duna.id}:surface`)
+ * @param {Object} [options] - Options de recherche
+ * @param {boolean} [options.aerobraking=false] - Utiliser l'atmosphère pour freiner
+ * @returns {Object|null} - {deltaV, path, steps} où path liste les nœuds traversés et chaque étape
+ *   vaut {from, to, type, deltaV}, ou null si aucun trajet n'existe
+ */
+export function findRoute(map, from, to, options = {}) {
+  const { aerobraking = false } = options;
+  const costs = new Map([[from, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  
+  let current = from;
+  
+  while (current !== to) {
+    visited.add(current);
+    
+    map.edges
+      .filter(edge => edge.from === current && !visited.has(edge.to))
+      .forEach(edge => {
+        const deltaV = aerobraking && edge.aerobraking ? 0 : edge.deltaV;
+        const cost = costs.get(current) + deltaV;
+        
+        if (!costs.has(edge.to) || cost < costs.get(edge.to)) {
+          costs.set(edge.to, cost);
+          previous.set(edge.to, { ...edge, deltaV });
+        }
+      });
+    
+    // Nœud non visité le moins coûteux
+    current = null;
+    costs.forEach((cost, node) => {
+      if (!visited.has(node) && (current === null || cost < costs.get(current))) {
+        current = node;
+      }
+    });
+    
+    if (current === null) {
+      return null;
+    }
+  }
+  
+  const steps = [];
+  
+  for (let node = to; previous.has(node); node = previous.get(node).from) {
+    const { from: stepFrom, to: stepTo, type, deltaV } = previous.get(node);
+    steps.unshift({ from: stepFrom, to: stepTo, type, deltaV });
+  }
+  
+  return { deltaV: costs.get(to), path: [from, ...steps.map(step => step.to)], steps };
+}
+
+/**
+ * Parcourt la hiérarchie des corps depuis les racines
+ * @private
+ * @param {Array} bodies - Collection de corps célestes
+ * @returns {Array<Object>} - {body, parent, siblings} pour chaque corps atteint
+ */
+function walkHierarchy(bodies) {
+  const index = {};
+  const children = {};
+  
+  bodies.forEach(body => {
+    if (body && body.id) {
+      index[body.id] = body;
+    }
+  });
+  
+  const roots = Object.values(index).filter(body => !index[body.parent]);
+  
+  Object.values(index).forEach(body => {
+    if (index[body.parent]) {
+      (children[body.parent] = children[body.parent] || []).push(body);
+    }
+  });
+  
+  const result = [];
+  const visited = new Set();
+  const visit = (body, parent) => {
+    if (visited.has(body.id)) {
+      return;
+    }
+    
+    visited.add(body.id);
+    
+    const siblings = parent ? children[parent.id].filter(other => other !== body) : [];
+    result.push({ body, parent, siblings });
+    (children[body.id] || []).forEach(child => visit(child, body));
+  };
+  
+  roots.forEach(root => visit(root, null));
+  return result;
+}
+
+/**
+ * Calcule le rayon de l'orbite basse d'un corps
+ * @private
+ * @param {Object} body - Corps céleste
+ * @param {Object} opts - Options de la carte
+ * @returns {number|null} - Rayon (m)
+ */
+function getLowOrbitRadius(body, opts) {
+  const altitude = opts.lowOrbitAltitudes[body.id];
+  
+  if (typeof altitude === 'number') {
+    return getOrbitRadius(body, altitude);
+  }
+  
+  const atmosphereHeight = hasAtmosphere(body) ? getNestedValue(body, 'atmosphere.height', 0) : 0;
+  
+  return getOrbitRadius(body, atmosphereHeight + opts.lowOrbitMargin);
+}
+
+/**
+ * Calcule le coût d'une ascension de la surface à l'orbite basse
+ * Coût idéal d'une impulsion depuis la surface (√(2μ/R − μ/r)), moins la vitesse de rotation
+ * à l'équateur, majoré des pertes pour un corps doté d'une atmosphère.
+ * @private
+ * @param {Object} body - Corps céleste
+ * @param {number} lowOrbit - Rayon de l'orbite basse (m)
+ * @param {Object} opts - Options de la carte
+ * @returns {number|null} - Delta-V (m/s)
+ */
+function getAscentDeltaV(body, lowOrbit, opts) {
+  const mu = getGravitationalParameter(body);
+  const radius = getOrbitRadius(body, 0);
+  const rotationPeriod = getNestedValue(body, 'physical.rotationPeriod', null);
+  
+  if (mu === null || !(radius > 0)) {
+    return null;
+  }
+  
+  const rotationSpeed = typeof rotationPeriod === 'number' && rotationPeriod > 0 ? 2 * Math.PI * radius / rotationPeriod : 0;
+  const ideal = Math.max(0, Math.sqrt(2 * mu / radius - mu / lowOrbit) - rotationSpeed);
+  
+  return hasAtmosphere(body) ? ideal * (1 + opts.ascentLossFactor) : ideal;
+}
+
+/**
+ * Indique si un corps possède une atmosphère
+ * @private
+ * @param {Object} body - Corps céleste
+ * @returns {boolean} - true si atmosphere.present est vrai
+ */
+function hasAtmosphere(body) {
+  return getNestedValue(body, 'atmosphere.present', false) === true;
+}
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Mécanique orbitale à partir des corps célestes validés
+ * Vitesses (vis-viva, orbite circulaire, libération), sphère d'influence, orbite synchrone,
+ * transferts de Hohmann et bi-elliptiques, changements de plan et éjections interplanétaires.
+ *
+ * Les grandeurs sont en unités SI : distances en mètres, masses en kilogrammes, vitesses en
+ * m/s et durées en secondes ; les angles sont en degrés. Les rayons orbitaux sont mesurés
+ * depuis le centre du corps, les altitudes depuis sa surface. Une fonction retourne null si
+ * les données du corps ne permettent pas le calcul.
+ * @module utils/orbitalMechanics
+ */
+
+import { getNestedValue } from './SafeAccess.js';
+import { GRAVITATIONAL_CONSTANT } from './physicsConstants.js';
+
+/**
+ * Calcule le paramètre gravitationnel standard d'un corps (μ = G·M)
+ * @param {Object} body - Corps céleste
+ * @returns {number|null} - μ (m³/s²)
+ */
+export function getGravitationalParameter(body) {
+  const mass = getNestedValue(body, 'physical.mass', null);
+  
+  return typeof mass === 'number' && mass > 0 ? GRAVITATIONAL_CONSTANT * mass : null;
+}
+
+/**
+ * Convertit une altitude au-dessus de la surface en rayon orbital
+ * @param {Object} body - Corps céleste
+ * @param {number} altitude - Altitude (m)
+ * @returns {number|null} - Rayon depuis le centre du corps (m)
+ */
+export function getOrbitRadius(body, altitude) {
+  const radius = getNestedValue(body, 'physical.radius', null);
+  
+  return typeof radius === 'number' && typeof altitude === 'number' ? radius + altitude : null;
+}
+
+/**
+ * Calcule la vitesse sur une orbite à une distance donnée (équation vis-viva)
+ * @param {Object} body - Corps central
+ * @param {number} radius - Distance au centre du corps (m)
+ * @param {number} [semiMajorAxis=radius] - Demi-grand axe de l'orbite (m), négatif pour une hyperbole
+ * @returns {number|null} - Vitesse (m/s)
+ */
+export function getVisVivaSpeed(body, radius, semiMajorAxis = radius) {
+  const mu = getGravitationalParameter(body);
+  
+  if (mu === null || !(radius > 0)) {
+    return null;
+  }
+  
+  const energy = 2 / radius - 1 / semiMajorAxis;
+  
+  return energy >= 0 ? Math.sqrt(mu * energy) : null;
+}
+
+/**
+ * Calcule la vitesse d'une orbite circulaire à une altitude
+ * @param {Object} body - Corps central
+ * @param {number} altitude - Altitude (m)
+ * @returns {number|null} - Vitesse (m/s)
+ */
+export function getCircularVelocity(body, altitude) {
+  const radius = getOrbitRadius(body, altitude);
+  
+  return radius === null ? null : getVisVivaSpeed(body, radius);
+}
+
+/**
+ * Calcule la vitesse de libération à une altitude
+ * @param {Object} body - Corps central
+ * @param {number} [altitude=0] - Altitude (m)
+ * @returns {number|null} - Vitesse (m/s)
+ */
+export function getEscapeVelocity(body, altitude = 0) {
+  const mu = getGravitationalParameter(body);
+  const radius = getOrbitRadius(body, altitude);
+  
+  return mu === null || !(radius > 0) ? null : Math.sqrt(2 * mu / radius);
+}
+
+/**
+ * Calcule la période d'une orbite selon la troisième loi de Kepler (2π·√(a³/μ))
+ * La masse du corps en orbite est négligée devant celle du corps central, comme dans le jeu.
+ * @param {Object} body - Corps central
+ * @param {number} semiMajorAxis - Demi-grand axe (m)
+ * @returns {number|null} - Période (s)
+ */
+export function getOrbitalPeriod(body, semiMajorAxis) {
+  const mu = getGravitationalParameter(body);
+  
+  return mu === null || !(semiMajorAxis > 0) ? null : 2 * Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / mu);
+}
+
+/**
+ * Calcule le rayon de la sphère d'influence d'un corps (a · (m/M)^(2/5), approximation de Laplace)
+ * Un corps sans parent (étoile centrale) a une sphère d'influence infinie.
+ * @param {Object} body - Corps céleste
+ * @param {Object} [parent=null] - Corps parent
+ * @returns {number|null} - Rayon (m), Infinity sans parent
+ */
+export function getSphereOfInfluence(body, parent = null) {
+  if (!parent) {
+    return Infinity;
+  }
+  
+  const semiMajorAxis = getNestedValue(body, 'orbit.semiMajorAxis', null);
+  const mass = getNestedValue(body, 'physical.mass', null);
+  const parentMass = getNestedValue(parent, 'physical.mass', null);
+  
+  if (typeof semiMajorAxis !== 'number' || typeof mass !== 'number' || typeof parentMass !== 'number' || parentMass <= 0) {
+    return null;
+  }
+  
+  return semiMajorAxis * Math.pow(mass / parentMass, 0.4);
+}
+
+/**
+ * Calcule l'altitude de l'orbite synchrone (période égale à la rotation sidérale du corps)
+ * @param {Object} body - Corps céleste (physical.rotationPeriod requis)
+ * @returns {number|null} - Altitude (m)
+ */
+export function getSynchronousOrbitAltitude(body) {
+  const mu = getGravitationalParameter(body);
+  const rotationPeriod = getNestedValue(body, 'physical.rotationPeriod', null);
+  const radius = getNestedValue(body, 'physical.radius', null);
+  
+  if (mu === null || typeof rotationPeriod !== 'number' || rotationPeriod <= 0 || typeof radius !== 'number') {
+    return null;
+  }
+  
+  return Math.cbrt(mu * Math.pow(rotationPeriod / (2 * Math.PI), 2)) - radius;
+}
+
+/**
+ * Calcule un transfert de Hohmann entre deux orbites circulaires coplanaires
+ * @param {Object} body - Corps central
+ * @param {number} r1 - Rayon de l'orbite de départ (m)
+ * @param {number} r2 - Rayon de l'orbite d'arrivée (m)
+ * @returns {Object|null} - {departure, arrival, total} (m/s) et transferTime (s)
+ *
+ * @example
+ * // Orbite basse de Kerbin (80 km) vers l'orbite de Mun
+ * getHohmannTransfer(kerbin, getOrbitRadius(kerbin, 80000), mun.orbit.semiMajorAxis);
+ * // { departure: 856.4, arrival: 364.8, total: 1221.2, transferTime: 26686 }
+ */
+export function getHohmannTransfer(body, r1, r2) {
+  const mu = getGravitationalParameter(body);
+  
+  if (mu === null || !(r1 > 0) || !(r2 > 0)) {
+    return null;
+  }
+  
+  const transferAxis = (r1 + r2) / 2;
+  const departure = Math.abs(getVisVivaSpeed(body, r1, transferAxis) - getVisVivaSpeed(body, r1));
+  const arrival = Math.abs(getVisVivaSpeed(body, r2) - getVisVivaSpeed(body, r2, transferAxis));
+  
+  return {
+    departure,
+    arrival,
+    total: departure + arrival,
+    transferTime: getOrbitalPeriod(body, transferAxis) / 2
+  };
+}
+
+/**
+ * Calcule un transfert bi-elliptique entre deux orbites circulaires coplanaires
+ * Plus économique qu'un transfert de Hohmann lorsque r2/r1 dépasse environ 11,94.
+ * @param {Object} body - Corps central
+ * @param {number} r1 - Rayon de l'orbite de départ (m)
+ * @param {number} r2 - Rayon de l'orbite d'arrivée (m)
+ * @param {number} rb - Rayon de l'apoapse intermédiaire (m), au moins égal à r1 et r2
+ * @returns {Object|null} - {first, second, third, total} (m/s) et transferTime (s)
+ */
+export function getBiEllipticTransfer(body, r1, r2, rb) {
+  const mu = getGravitationalParameter(body);
+  
+  if (mu === null || !(r1 > 0) || !(r2 > 0) || !(rb >= Math.max(r1, r2))) {
+    return null;
+  }
+  
+  const a1 = (r1 + rb) / 2;
+  const a2 = (r2 + rb) / 2;
+  const first = getVisVivaSpeed(body, r1, a1) - getVisVivaSpeed(body, r1);
+  const second = Math.abs(getVisVivaSpeed(body, rb, a2) - getVisVivaSpeed(body, rb, a1));
+  const third = Math.abs(getVisVivaSpeed(body, r2, a2) - getVisVivaSpeed(body, r2));
+  
+  return {
+    first,
+    second,
+    third,
+    total: first + second + third,
+    transferTime: (getOrbitalPeriod(body, a1) + getOrbitalPeriod(body, a2)) / 2
+  };
+}
+
+/**
+ * Calcule le coût d'un changement de plan à vitesse constante (2·v·sin(Δi/2))
+ * @param {number} speed - Vitesse au moment de la manœuvre (m/s)
+ * @param {number} angle - Changement de plan (degrés)
+ * @returns {number} - Delta-V (m/s)
+ */
+export function getPlaneChangeDeltaV(speed, angle) {
+  return 2 * speed * Math.abs(Math.sin(angle * Math.PI / 360));
+}
+
+/**
+ * Calcule le coût d'un changement d'inclinaison sur une orbite circulaire
+ * @param {Object} body - Corps central
+ * @param {number} radius - Rayon de l'orbite (m)
+ * @param {number} angle - Changement d'inclinaison (degrés)
+ * @returns {number|null} - Delta-V (m/s)
+ */
+export function getInclinationChangeDeltaV(body, radius, angle) {
+  const speed = getVisVivaSpeed(body, radius);
+  
+  return speed === null ? null : getPlaneChangeDeltaV(speed, angle);
+}
+
+/**
+ * Calcule l'impulsion à donner depuis une orbite circulaire pour quitter la sphère
+ * d'influence avec un excès de vitesse hyperbolique donné (√(v∞² + 2μ/r) − √(μ/r))
+ * Le même coût s'applique à une capture vers une orbite circulaire de même rayon.
+ * @param {Object} body - Corps quitté (ou atteint)
+ * @param {number} radius - Rayon de l'orbite de parking (m)
+ * @param {number} excessVelocity - Excès de vitesse hyperbolique v∞ (m/s)
+ * @returns {number|null} - Delta-V (m/s)
+ */
+export function getEjectionDeltaV(body, radius, excessVelocity) {
+  const mu = getGravitationalParameter(body);
+  
+  if (mu === null || !(radius > 0)) {
+    return null;
+  }
+  
+  return Math.sqrt(excessVelocity * excessVelocity + 2 * mu / radius) - Math.sqrt(mu / radius);
+}
+
+/**
+ * Calcule un transfert de Hohmann entre deux corps en orbite autour du même parent
+ * Les orbites des deux corps sont supposées circulaires et coplanaires (demi-grands axes) ;
+ * les excès de vitesse hyperbolique sont ceux du transfert autour du parent.
+ * @param {Object} origin - Corps de départ
+ * @param {Object} target - Corps d'arrivée
+ * @param {Object} parent - Parent commun
+ * @param {Object} [options] - Orbites de parking
+ * @param {number} [options.originAltitude=0] - Altitude de l'orbite de départ autour de origin (m)
+ * @param {number} [options.targetAltitude=0] - Altitude de l'orbite de capture autour de target (m)
+ * @returns {Object|null} - {departureExcess, arrivalExcess, ejection, capture, total} (m/s)
+ *   et transferTime (s)
+ */
+export function getInterplanetaryTransfer(origin, target, parent, options = {}) {
+  const { originAltitude = 0, targetAltitude = 0 } = options;
+  const transfer = getHohmannTransfer(
+    parent,
+    getNestedValue(origin, 'orbit.semiMajorAxis', null),
+    getNestedValue(target, 'orbit.semiMajorAxis', null)
+  );
+  
+  if (transfer === null) {
+    return null;
+  }
+  
+  const ejection = getEjectionDeltaV(origin, getOrbitRadius(origin, originAltitude), transfer.departure);
+  const capture = getEjectionDeltaV(target, getOrbitRadius(target, targetAltitude), transfer.arrival);
+  
+  if (ejection === null || capture === null) {
+    return null;
+  }
+  
+  return {
+    departureExcess: transfer.departure,
+    arrivalExcess: transfer.arrival,
+    ejection,
+    capture,
+    total: ejection + capture,
+    transferTime: transfer.transferTime
+  };
+}
\ No newline at end of file
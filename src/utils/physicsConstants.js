@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Constantes physiques communes aux calculs et aux contrôles de plausibilité
+ * Les valeurs sont celles utilisées par le jeu.
+ * @module utils/physicsConstants
+ */
+
+/**
+ * Pesanteur standard utilisée pour l'impulsion spécifique (m/s²)
+ * Relie poussée, ISP et débit massique : F = ṁ · Isp · g₀.
+ * @type {number}
+ */
+export const G0 = 9.80665;
+
+/**
+ * Pression atmosphérique standard au niveau de la mer de Kerbin (kPa)
+ * L'ISP atmosphérique des moteurs (isp.atmosphere) est donnée à cette pression.
+ * @type {number}
+ */
+export const STANDARD_ATMOSPHERE = 101.325;
+
+/**
+ * Constante gravitationnelle (m³/kg/s²)
+ * @type {number}
+ */
+export const GRAVITATIONAL_CONSTANT = 6.67430e-11;
+
+/**
+ * Constante des gaz parfaits (J/mol/K)
+ * @type {number}
+ */
+export const IDEAL_GAS_CONSTANT = 8.31446;
\ No newline at end of file
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Calculs de performance d'une fusée étagée : delta-V, rapport poussée/poids,
+ * durée de combustion et répartition des masses par étage
+ * Les masses sont en tonnes, les poussées en kN, les ISP en secondes et les pressions en kPa.
+ * @module utils/rocketPhysics
+ */
+
+import { getNestedValue } from './SafeAccess.js';
+import { G0, STANDARD_ATMOSPHERE } from './physicsConstants.js';
+import { getAtmosphereAt } from './atmosphere.js';
+
+/**
+ * Calcule l'ISP d'un moteur à une pression donnée
+ * Interpolation linéaire entre isp.vacuum (0 kPa) et isp.atmosphere (pression standard),
+ * prolongée au-delà pour les atmosphères plus denses.
+ * @param {Object} engine - Moteur (catégorie "engines")
+ * @param {number} [pressure=0] - Pression ambiante (kPa)
+ * @returns {number|null} - ISP (s), ou null si le moteur n'a pas d'ISP dans le vide
+ */
+export function getEngineIsp(engine, pressure = 0) {
+  const vacuum = getNestedValue(engine, 'isp.vacuum', null);
+  const atmosphere = getNestedValue(engine, 'isp.atmosphere', vacuum);
+  
+  if (typeof vacuum !== 'number' || vacuum <= 0) {
+    return null;
+  }
+  
+  return Math.max(0, vacuum + (atmosphere - vacuum) * pressure / STANDARD_ATMOSPHERE);
+}
+
+/**
+ * Calcule la masse d'une pièce à partir de sa masse à sec et de ses ressources
+ * La masse des ressources est recalculée (amount × densité) plutôt que lue dans mass.wet.
+ * @param {Object} part - Pièce
+ * @param {Object<string, number>} densities - Densité (t par unité) par identifiant de ressource
+ * @param {boolean} [full=true] - Compter les ressources embarquées (false : masse à sec)
+ * @returns {number} - Masse (t)
+ */
+export function getPartMass(part, densities, full = true) {
+  const dry = getNestedValue(part, 'mass.dry', 0);
+  const resources = getNestedValue(part, 'resources', []);
+  
+  if (!full || !Array.isArray(resources)) {
+    return dry;
+  }
+  
+  return resources
+    .filter(Boolean)
+    .reduce((mass, resource) => mass + getResourceAmount(resource) * (densities[resource.type] || 0), dry);
+}
+
+/**
+ * Calcule le delta-V et les performances de chaque étage d'une fusée
+ * Les étages sont donnés dans l'ordre d'allumage : le premier brûle en premier et chaque
+ * étage est largué une fois ses ergols épuisés. Les moteurs d'un étage brûlent ensemble les
+ * ergols stockés dans les pièces du même étage, selon les ratios de leurs propellants, jusqu'à
+ * épuisement du premier ergol ; les ressources sans masse (ElectricCharge, IntakeAir) ne
+ * limitent pas la combustion. Avec plusieurs moteurs, l'ISP de l'étage est la moyenne pondérée
+ * par la poussée (ΣF / Σ(F/Isp)).
+ *
+ * @param {Object} vessel - Fusée {stages: [{parts: [pièce, ...]}, ...]}
+ * @param {Object} [options] - Options de calcul
+ * @param {Array} [options.resources=[]] - Collection de ressources (densités)
+ * @param {Object} [options.body=null] - Corps céleste (rapport poussée/poids, pression)
+ * @param {number} [options.altitude=0] - Altitude pour la pression ambiante (m)
+ * @param {number} [options.pressure] - Pression ambiante imposée (kPa) ; par défaut celle du corps
+ *   à l'altitude, ou le vide sans corps
+ * @returns {Object|null} - {deltaV, burnTime, mass, stages} où chaque étage vaut
+ *   {index, deltaV, isp, thrust, burnTime, twrStart, twrEnd, mass: {start, end, dry, propellant, payload}} ;
+ *   null si la fusée n'a pas d'étages
+ * @throws {Error} - Si un moteur consomme un ergol stocké dans son étage dont la densité est inconnue
+ *   (ressource absente de options.resources)
+ *
+ * @example
+ * const result = calculateDeltaV({ stages }, { resources: dataset.resources, body: kerbin });
+ * result.stages[0].twrStart; // 1.45
+ */
+export function calculateDeltaV(vessel, options = {}) {
+  const stages = getNestedValue(vessel, 'stages', null);
+  
+  if (!Array.isArray(stages)) {
+    return null;
+  }
+  
+  const { body = null, altitude = 0 } = options;
+  const resources = Array.isArray(options.resources) ? options.resources : [];
+  const densities = {};
+  resources.forEach(resource => {
+    if (resource && resource.id && typeof resource.density === 'number') {
+      densities[resource.id] = resource.density;
+    }
+  });
+  
+  const atmosphere = body ? getAtmosphereAt(body, altitude) : null;
+  const pressure = typeof options.pressure === 'number' ? options.pressure : (atmosphere ? atmosphere.pressure : 0);
+  const gravity = getNestedValue(body, 'physical.gravity', null);
+  const stageParts = stages.map(stage => getStageParts(stage));
+  
+  const results = stageParts.map((parts, index) => {
+    const payload = stageParts.slice(index + 1).flat().reduce((mass, part) => mass + getPartMass(part, densities), 0);
+    const stageMass = parts.reduce((mass, part) => mass + getPartMass(part, densities), 0);
+    const dry = parts.reduce((mass, part) => mass + getPartMass(part, densities, false), 0);
+    const start = payload + stageMass;
+    const burn = getStageBurn(parts, densities, pressure);
+    const end = start - burn.propellant;
+    const deltaV = burn.isp > 0 && end > 0 ? burn.isp * G0 * Math.log(start / end) : 0;
+    
+    return {
+      index,
+      deltaV,
+      isp: burn.isp,
+      thrust: burn.thrust,
+      burnTime: burn.burnTime,
+      twrStart: getThrustToWeight(burn.thrust, start, gravity),
+      twrEnd: getThrustToWeight(burn.thrust, end, gravity),
+      mass: { start, end, dry, propellant: burn.propellant, payload }
+    };
+  });
+  
+  return {
+    deltaV: results.reduce((sum, stage) => sum + stage.deltaV, 0),
+    burnTime: results.reduce((sum, stage) => sum + stage.burnTime, 0),
+    mass: results.length > 0 ? results[0].mass.start : 0,
+    stages: results
+  };
+}
+
+/**
+ * Calcule la combustion d'un étage : poussée, ISP pondérée, durée et masse d'ergols brûlée
+ * @private
+ * @param {Array} parts - Pièces de l'étage
+ * @param {Object<string, number>} densities - Densités par ressource
+ * @param {number} pressure - Pression ambiante (kPa)
+ * @returns {Object} - {thrust, isp, burnTime, propellant}
+ */
+function getStageBurn(parts, densities, pressure) {
+  const flows = {};
+  let thrust = 0;
+  let fuelFlow = 0;
+  
+  parts.filter(isEngine).forEach(engine => {
+    const ispVacuum = getEngineIsp(engine, 0);
+    const isp = getEngineIsp(engine, pressure);
+    const thrustVacuum = getNestedValue(engine, 'thrust.vacuum', 0);
+    const propellants = getNestedValue(engine, 'propellants', []);
+    
+    // Un moteur sans ISP à cette pression ne pousse pas et ne consomme rien
+    if (ispVacuum === null || !(isp > 0) || !(thrustVacuum > 0) || !Array.isArray(propellants)) {
+      return;
+    }
+    
+    propellants.forEach(propellant => {
+      if (densities[propellant.type] === undefined && parts.some(part => getStoredAmount(part, propellant.type) > 0)) {
+        throw new Error(`Densité inconnue pour l'ergol "${propellant.type}" : ajoutez la ressource à options.resources`);
+      }
+    });
+    
+    // Débit massique constant (t/s) : la poussée varie comme l'ISP avec la pression
+    const massFlow = thrustVacuum / (ispVacuum * G0);
+    const mixture = propellants.reduce((sum, propellant) => sum + propellant.ratio * (densities[propellant.type] || 0), 0);
+    
+    thrust += massFlow * isp * G0;
+    fuelFlow += massFlow;
+    
+    propellants.forEach(propellant => {
+      const density = densities[propellant.type] || 0;
+      
+      if (density > 0 && mixture > 0) {
+        flows[propellant.type] = (flows[propellant.type] || 0) + massFlow * propellant.ratio * density / mixture;
+      }
+    });
+  });
+  
+  const totalFlow = Object.values(flows).reduce((sum, flow) => sum + flow, 0);
+  
+  if (thrust <= 0 || totalFlow <= 0) {
+    return { thrust, isp: 0, burnTime: 0, propellant: 0 };
+  }
+  
+  // Le premier ergol épuisé arrête la combustion
+  const burnTime = Math.min(...Object.entries(flows).map(([type, flow]) => {
+    const stored = parts.reduce((mass, part) => mass + getStoredAmount(part, type) * densities[type], 0);
+    return stored / flow;
+  }));
+  
+  return {
+    thrust,
+    isp: thrust / (fuelFlow * G0),
+    burnTime,
+    propellant: burnTime * totalFlow
+  };
+}
+
+/**
+ * Calcule le rapport poussée/poids
+ * @private
+ * @param {number} thrust - Poussée (kN)
+ * @param {number} mass - Masse (t)
+ * @param {number|null} gravity - Gravité de surface (m/s²)
+ * @returns {number|null} - Rapport sans unité, ou null sans corps céleste
+ */
+function getThrustToWeight(thrust, mass, gravity) {
+  return typeof gravity === 'number' && gravity > 0 && mass > 0 ? thrust / (mass * gravity) : null;
+}
+
+/**
+ * Retourne les pièces d'un étage
+ * @private
+ * @param {Object|Array} stage - Étage {parts} ou liste de pièces
+ * @returns {Array} - Pièces
+ */
+function getStageParts(stage) {
+  const parts = Array.isArray(stage) ? stage : getNestedValue(stage, 'parts', []);
+  return Array.isArray(parts) ? parts.filter(Boolean) : [];
+}
+
+/**
+ * Indique si une pièce est un moteur
+ * @private
+ * @param {Object} part - Pièce
+ * @returns {boolean}
+ */
+function isEngine(part) {
+  return getNestedValue(part, 'category', '') === 'engines';
+}
+
+/**
+ * Quantité d'une ressource stockée dans une pièce
+ * @private
+ * @param {Object} part - Pièce
+ * @param {string} type - Identifiant de la ressource
+ * @returns {number} - Quantité (unités)
+ */
+function getStoredAmount(part, type) {
+  const resources = getNestedValue(part, 'resources', []);
+  
+  return Array.isArray(resources)
+    ? resources.filter(resource => resource && resource.type === type).reduce((sum, resource) => sum + getResourceAmount(resource), 0)
+    : 0;
+}
+
+/**
+ * Quantité embarquée d'une ressource (amount, ou maxAmount si amount est absent)
+ * @private
+ * @param {Object} resource - Ressource de la pièce {type, amount, maxAmount}
+ * @returns {number} - Quantité (unités)
+ */
+function getResourceAmount(resource) {
+  const amount = getNestedValue(resource, 'amount', getNestedValue(resource, 'maxAmount', 0));
+  return typeof amount === 'number' ? amount : 0;
+}
\ No newline at end of file